@@ -0,0 +1,128 @@
+const claimWorkflow = require('../claimWorkflow');
+
+function buildClaim(overrides = {}) {
+  return {
+    status: 'submitted',
+    preferredResolution: 'replacement',
+    statusHistory: [],
+    ...overrides
+  };
+}
+
+describe('validateTransition', () => {
+  test('allows the transitions in the map', () => {
+    expect(() => claimWorkflow.validateTransition(buildClaim(), 'under-review')).not.toThrow();
+    expect(() => claimWorkflow.validateTransition(buildClaim({ status: 'under-review' }), 'approved')).not.toThrow();
+  });
+
+  test('refuses skipping a step', () => {
+    expect(() => claimWorkflow.validateTransition(buildClaim(), 'approved'))
+      .toThrow('Cannot change claim from "submitted" to "approved"');
+  });
+
+  test.each(['denied', 'completed', 'cancelled'])('refuses leaving %s', (status) => {
+    expect(() => claimWorkflow.validateTransition(buildClaim({ status }), 'under-review'))
+      .toThrow('can no longer change status');
+  });
+
+  test('refuses unknown statuses', () => {
+    expect(() => claimWorkflow.validateTransition(buildClaim(), 'shipped')).toThrow('Unknown claim status');
+  });
+
+  test('throws ClaimTransitionError', () => {
+    try {
+      claimWorkflow.validateTransition(buildClaim(), 'completed');
+    } catch (error) {
+      expect(error.name).toBe('ClaimTransitionError');
+      return;
+    }
+    throw new Error('expected validateTransition to throw');
+  });
+
+  test('requires a denial reason', () => {
+    const claim = buildClaim({ status: 'under-review' });
+    expect(() => claimWorkflow.validateTransition(claim, 'denied', { denialReason: '  ' })).toThrow('denialReason required');
+    expect(() => claimWorkflow.validateTransition(claim, 'denied', { denialReason: 'Water damage' })).not.toThrow();
+  });
+
+  test('refuses an unknown resolution type on approval', () => {
+    const claim = buildClaim({ status: 'under-review' });
+    expect(() => claimWorkflow.validateTransition(claim, 'approved', { resolutionType: 'upgrade' }))
+      .toThrow('Unknown resolution type');
+  });
+
+  test('needs closed shipments and a replacement unit to complete', () => {
+    const claim = buildClaim({ status: 'approved', resolutionType: 'replacement' });
+    const data = { resolutionNotes: 'Done' };
+    expect(() => claimWorkflow.validateTransition(claim, 'completed', data))
+      .toThrow('returnShipment, outboundShipment');
+
+    claim.returnShipment = { status: 'received' };
+    claim.outboundShipment = { status: 'shipped' };
+    expect(() => claimWorkflow.validateTransition(claim, 'completed', data)).toThrow('Assign a warranty number');
+
+    claim.replacementRegistration = 'registration-id';
+    expect(() => claimWorkflow.validateTransition(claim, 'completed', data)).not.toThrow();
+  });
+
+  test('completes a credit claim without shipments', () => {
+    const claim = buildClaim({ status: 'approved', resolutionType: 'credit' });
+    expect(() => claimWorkflow.validateTransition(claim, 'completed', { resolutionNotes: 'Store credit issued' })).not.toThrow();
+  });
+});
+
+describe('transitionClaim', () => {
+  test('applies the change and records it in the history', () => {
+    const claim = buildClaim();
+    const result = claimWorkflow.transitionClaim(claim, 'under-review', { transitionNote: 'Looking into it' }, 'agent');
+
+    expect(result).toEqual({ from: 'submitted', to: 'under-review' });
+    expect(claim.status).toBe('under-review');
+    expect(claim.assignedTo).toBe('agent');
+    expect(claim.reviewStartedAt).toBeInstanceOf(Date);
+    expect(claim.statusHistory).toHaveLength(1);
+    expect(claim.statusHistory[0]).toMatchObject({ from: 'submitted', to: 'under-review', changedBy: 'agent', note: 'Looking into it' });
+  });
+
+  test('stores the resolution on approval, defaulting to the preferred one', () => {
+    const claim = buildClaim({ status: 'under-review', preferredResolution: 'repair' });
+    claimWorkflow.transitionClaim(claim, 'approved', { resolutionNotes: ' Send it in ' }, 'agent');
+
+    expect(claim.resolutionType).toBe('repair');
+    expect(claim.resolutionNotes).toBe('Send it in');
+    expect(claim.resolvedAt).toBeInstanceOf(Date);
+    expect(claimWorkflow.requiresRma(claim)).toBe(true);
+  });
+
+  test('copies required fields trimmed', () => {
+    const claim = buildClaim({ status: 'under-review' });
+    claimWorkflow.transitionClaim(claim, 'denied', { denialReason: ' Not covered ' }, 'agent');
+    expect(claim.denialReason).toBe('Not covered');
+  });
+
+  test('leaves the claim untouched when the transition is refused', () => {
+    const claim = buildClaim();
+    expect(() => claimWorkflow.transitionClaim(claim, 'completed', {}, 'agent')).toThrow();
+    expect(claim.status).toBe('submitted');
+    expect(claim.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('getCustomerTimeline', () => {
+  test('leaves out who made each change and internal notes', () => {
+    const changedAt = new Date('2024-05-01T10:00:00Z');
+    const claim = buildClaim({
+      statusHistory: [{ from: null, to: 'submitted', changedBy: 'customer', changedAt, note: 'internal' }]
+    });
+    expect(claimWorkflow.getCustomerTimeline(claim)).toEqual([
+      { status: 'submitted', label: 'Claim received', date: changedAt }
+    ]);
+  });
+
+  test('falls back to the submission date for older claims', () => {
+    const submittedAt = new Date('2024-05-01T10:00:00Z');
+    expect(claimWorkflow.getCustomerTimeline(buildClaim({ statusHistory: [], submittedAt }))).toEqual([
+      { status: 'submitted', label: 'Claim received', date: submittedAt }
+    ]);
+  });
+});
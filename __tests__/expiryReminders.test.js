@@ -0,0 +1,128 @@
+// Which registrations runExpiryReminders picks, with the models and the email driver stubbed.
+process.env.EMAIL_PROVIDER = 'local';
+process.env.EXPIRY_REMINDER_DAYS = '30,7';
+
+const mongoose = require('mongoose');
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+const { runExpiryReminders } = require('../server');
+const EmailService = require('../emailService');
+
+const WarrantyRegistration = mongoose.model('WarrantyRegistration');
+const Claim = mongoose.model('Claim');
+const WarrantyPlan = mongoose.model('WarrantyPlan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function registration(status, daysLeft) {
+  return new WarrantyRegistration({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    fullName: 'Jane Doe',
+    email: 'jane@example.com',
+    product: 'LDAS TH11 Headset',
+    productId: 'TH11',
+    source: 'LDAS.ca',
+    orderId: '1001',
+    warrantyNumber: `TH11-${status}`,
+    status,
+    purchaseDate: new Date('2025-11-01'),
+    warrantyEndDate: new Date(Date.now() + daysLeft * DAY_MS)
+  });
+}
+
+let find;
+let reserve;
+let sendReminder;
+
+beforeEach(() => {
+  find = jest.spyOn(WarrantyRegistration, 'find').mockReturnValue({ limit: jest.fn().mockResolvedValue([]) });
+  // The reservation hands back the registration it matched
+  reserve = jest.spyOn(WarrantyRegistration, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(WarrantyRegistration, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Claim, 'exists').mockResolvedValue(null);
+  jest.spyOn(WarrantyPlan, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+  sendReminder = jest.spyOn(EmailService.prototype, 'sendWarrantyReminder')
+    .mockResolvedValue({ success: true, messageId: 'msg-1' });
+});
+
+afterEach(() => {
+  find.mockRestore();
+  reserve.mockRestore();
+  WarrantyRegistration.updateOne.mockRestore();
+  Claim.exists.mockRestore();
+  WarrantyPlan.find.mockRestore();
+  sendReminder.mockRestore();
+});
+
+// Registrations returned by the query for the given window
+function dueIn(windowDays, registrations) {
+  find.mockImplementation(filter => ({
+    limit: jest.fn().mockResolvedValue(
+      filter.expiryReminders.$not.$elemMatch.windowDays === windowDays ? registrations : []
+    )
+  }));
+  reserve.mockImplementation(async filter => registrations.find(due => due._id === filter._id) || null);
+}
+
+test('looks for covered registrations, claimed ones included, in each window', async () => {
+  await runExpiryReminders();
+
+  expect(find).toHaveBeenCalledTimes(2);
+  const [sevenDays, thirtyDays] = find.mock.calls.map(([filter]) => filter);
+  expect(sevenDays.status).toEqual({ $in: ['active', 'claimed'] });
+  expect(thirtyDays.status).toEqual({ $in: ['active', 'claimed'] });
+  // The 30-day window starts where the 7-day one ends
+  expect(thirtyDays.warrantyEndDate.$gt).toEqual(sevenDays.warrantyEndDate.$lte);
+  expect(sevenDays.expiryReminders).toEqual({ $not: { $elemMatch: { windowDays: 7, status: { $in: ['sending', 'sent'] } } } });
+});
+
+test('reminds a claimed registration whose claim has closed', async () => {
+  const due = registration('claimed', 20);
+  dueIn(30, [due]);
+
+  const result = await runExpiryReminders();
+
+  expect(Claim.exists).toHaveBeenCalledWith({ warrantyId: due._id, status: { $nin: expect.any(Array) } });
+  const [filter, update] = reserve.mock.calls[0];
+  expect(filter).toMatchObject({ _id: due._id, status: { $in: ['active', 'claimed'] } });
+  expect(update.$push.expiryReminders).toMatchObject({ windowDays: 30 });
+  expect(sendReminder).toHaveBeenCalledWith(
+    expect.objectContaining({ email: 'jane@example.com' }),
+    due,
+    expect.objectContaining({ windowDays: 30, daysLeft: 20 })
+  );
+  expect(result).toMatchObject({ checked: 1, sent: 1, skippedOpenClaim: 0 });
+});
+
+test('skips a registration with an open claim without reserving the window', async () => {
+  dueIn(7, [registration('claimed', 5)]);
+  Claim.exists.mockResolvedValue({ _id: 'claim-1' });
+
+  const result = await runExpiryReminders();
+
+  expect(reserve).not.toHaveBeenCalled();
+  expect(sendReminder).not.toHaveBeenCalled();
+  expect(result).toMatchObject({ checked: 1, sent: 0, skippedOpenClaim: 1 });
+});
+
+test('does not send when another run reserved the window first', async () => {
+  dueIn(30, [registration('active', 25)]);
+  reserve.mockResolvedValue(null);
+
+  const result = await runExpiryReminders();
+
+  expect(sendReminder).not.toHaveBeenCalled();
+  expect(result).toMatchObject({ checked: 1, sent: 0 });
+});
+
+test('marks a failed reminder so the next run tries again', async () => {
+  dueIn(30, [registration('active', 25)]);
+  sendReminder.mockResolvedValue({ success: false, error: 'Mailbox unavailable' });
+
+  const result = await runExpiryReminders();
+
+  const [, update] = WarrantyRegistration.updateOne.mock.calls[0];
+  expect(update.$set['expiryReminders.$.status']).toBe('failed');
+  expect(result).toMatchObject({ sent: 0, failed: 1, errors: ['TH11-active (30 days): Mailbox unavailable'] });
+});
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { IdempotencyKey, idempotent } = require('../idempotency');
+
+// In-memory stand-in for the IdempotencyKey collection (no MongoDB in unit tests)
+let records;
+
+// Same hash the middleware stores for a request body
+function hashBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+function query(result) {
+  return { exec: async () => result, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+}
+
+function matches(record, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$lt) return record[field] < condition.$lt;
+    return String(record[field]) === String(condition);
+  });
+}
+
+beforeEach(() => {
+  records = [];
+  let nextId = 1;
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (fields) => {
+    if (records.some(record => record.scope === fields.scope && record.key === fields.key)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const record = { _id: String(nextId++), status: 'processing', lockedAt: new Date(), ...fields };
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) =>
+    records.find(record => matches(record, filter)) || null);
+  jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = records.find(candidate => matches(candidate, filter));
+    return record ? Object.assign(record, update) : null;
+  });
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation((filter, update) => {
+    const record = records.find(candidate => matches(candidate, filter));
+    if (record) Object.assign(record, update);
+    return query({ modifiedCount: record ? 1 : 0 });
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation((filter) => {
+    records = records.filter(record => !matches(record, filter));
+    return query({ deletedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function buildApp(handler) {
+  const app = express();
+  app.use(express.json());
+  app.post('/register', idempotent('register'), handler);
+  return app;
+}
+
+describe('idempotent middleware', () => {
+  test('runs requests without a key normally', async () => {
+    const handler = jest.fn((req, res) => res.json({ ok: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/register').send({ a: 1 }).expect(200);
+    await request(app).post('/register').send({ a: 1 }).expect(200);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(records).toHaveLength(0);
+  });
+
+  test('replays the stored response for a retry with the same key', async () => {
+    let count = 0;
+    const app = buildApp((req, res) => res.status(201).json({ registrationId: ++count }));
+
+    const first = await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(201);
+    const retry = await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(201);
+
+    expect(first.body).toEqual({ registrationId: 1 });
+    expect(retry.body).toEqual({ registrationId: 1 });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(count).toBe(1);
+  });
+
+  test('accepts the key in the body and leaves it out of the request hash', async () => {
+    let count = 0;
+    const app = buildApp((req, res) => res.json({ count: ++count }));
+
+    await request(app).post('/register').send({ a: 1, idempotencyKey: 'body-key' }).expect(200);
+    const retry = await request(app).post('/register').set('Idempotency-Key', 'body-key').send({ a: 1 }).expect(200);
+    expect(retry.body).toEqual({ count: 1 });
+  });
+
+  test('refuses the same key for a different request', async () => {
+    const app = buildApp((req, res) => res.json({ ok: true }));
+
+    await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(200);
+    const response = await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 2 }).expect(422);
+    expect(response.body.error).toMatch(/different request/);
+  });
+
+  test('releases the key when the request fails', async () => {
+    let fail = true;
+    const app = buildApp((req, res) => (fail ? res.status(400).json({ error: 'bad' }) : res.json({ ok: true })));
+
+    await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(400);
+    expect(records).toHaveLength(0);
+
+    fail = false;
+    await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(200);
+  });
+
+  test('answers 409 while the first attempt is still processing', async () => {
+    records.push({ _id: 'busy', scope: 'register', key: 'abc', requestHash: hashBody({ a: 1 }), status: 'processing', lockedAt: new Date() });
+    const handler = jest.fn((req, res) => res.json({ ok: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('takes over an abandoned attempt', async () => {
+    records.push({
+      _id: 'stale',
+      scope: 'register',
+      key: 'abc',
+      requestHash: hashBody({ a: 1 }),
+      status: 'processing',
+      lockedAt: new Date(Date.now() - 10 * 60 * 1000)
+    });
+    const app = buildApp((req, res) => res.json({ ok: true }));
+
+    await request(app).post('/register').set('Idempotency-Key', 'abc').send({ a: 1 }).expect(200);
+    expect(records[0].status).toBe('completed');
+  });
+});
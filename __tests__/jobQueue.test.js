@@ -0,0 +1,178 @@
+const jobQueue = require('../jobQueue');
+
+const { QueueJob } = jobQueue;
+
+const deadJobs = [];
+jobQueue.onJobDead(job => { deadJobs.push(job); });
+
+const handlers = {
+  ok: jest.fn(async payload => ({ echoed: payload.value })),
+  flaky: jest.fn(),
+  flakyOnDead: jest.fn()
+};
+jobQueue.registerHandler('test.ok', handlers.ok);
+jobQueue.registerHandler('test.flaky', handlers.flaky, { onDead: handlers.flakyOnDead });
+
+// A job as claimNextJob hands it over: already marked processing with the attempt counted
+function claimedJob(type, { attempts = 1, maxAttempts = 3, payload = {} } = {}) {
+  const job = new QueueJob({ type, payload, status: 'processing', attempts, maxAttempts, lockedAt: new Date(), lockedBy: 'test' });
+  job.save = jest.fn().mockResolvedValue(job);
+  return job;
+}
+
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+beforeEach(() => {
+  deadJobs.length = 0;
+  jest.clearAllMocks();
+  // No jitter: the backoff is exactly 30s * 2^(attempts - 1)
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runJob', () => {
+  test('completes a job with the handler result', async () => {
+    const job = claimedJob('test.ok', { payload: { value: 42 } });
+
+    await jobQueue.runJob(job);
+
+    expect(handlers.ok).toHaveBeenCalledWith({ value: 42 }, job);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ echoed: 42 });
+    expect(job.completedAt).toBeInstanceOf(Date);
+    expect(job.lockedBy).toBeNull();
+    expect(job.save).toHaveBeenCalled();
+  });
+
+  test.each([
+    [1, 30],
+    [2, 60],
+    [3, 120],
+    [10, 60 * 60] // Capped at an hour
+  ])('puts a failed attempt %i back in the queue %is later', async (attempts, seconds) => {
+    handlers.flaky.mockRejectedValue(new Error('Shopify responded with 503'));
+    const job = claimedJob('test.flaky', { attempts, maxAttempts: 20 });
+    const before = Date.now();
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toBe('Shopify responded with 503');
+    expect(job.attemptLog).toHaveLength(1);
+    expect(job.attemptLog[0].attempt).toBe(attempts);
+    const delay = job.runAt.getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(seconds * 1000);
+    expect(delay).toBeLessThan(seconds * 1000 + 1000);
+    expect(handlers.flakyOnDead).not.toHaveBeenCalled();
+    expect(deadJobs).toHaveLength(0);
+  });
+
+  test('spreads retries with up to 20% jitter', async () => {
+    handlers.flaky.mockRejectedValue(new Error('timeout'));
+    Math.random.mockReturnValue(0);
+    const early = claimedJob('test.flaky');
+    await jobQueue.runJob(early);
+    Math.random.mockReturnValue(0.999);
+    const late = claimedJob('test.flaky');
+    await jobQueue.runJob(late);
+
+    expect(late.runAt - early.runAt).toBeGreaterThan(30 * 1000 * 0.39);
+  });
+
+  test('dead-letters a job on its last attempt and runs onDead and the dead listeners', async () => {
+    handlers.flaky.mockRejectedValue(new Error('still down'));
+    const job = claimedJob('test.flaky', { attempts: 3, maxAttempts: 3, payload: { registrationId: 'r1' } });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('dead');
+    expect(job.lastError).toBe('still down');
+    expect(handlers.flakyOnDead).toHaveBeenCalledWith({ registrationId: 'r1' }, job);
+    expect(deadJobs).toEqual([job]);
+    expect(job.save).toHaveBeenCalled();
+  });
+
+  test('dead-letters a permanent error straight away', async () => {
+    handlers.flaky.mockRejectedValue(permanentError('Registration no longer exists'));
+    const job = claimedJob('test.flaky', { attempts: 1, maxAttempts: 6 });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('dead');
+    expect(handlers.flakyOnDead).toHaveBeenCalledTimes(1);
+  });
+
+  test('still saves the dead job when onDead throws', async () => {
+    handlers.flaky.mockRejectedValue(permanentError('gone'));
+    handlers.flakyOnDead.mockRejectedValue(new Error('onDead broke'));
+    const job = claimedJob('test.flaky');
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('dead');
+    expect(deadJobs).toEqual([job]);
+    expect(job.save).toHaveBeenCalled();
+  });
+
+  test('dead-letters a job nobody handles', async () => {
+    const job = claimedJob('test.unknown');
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('dead');
+    expect(job.lastError).toBe('No queue handler registered for "test.unknown"');
+  });
+});
+
+describe('enqueue', () => {
+  test('refuses job types without a handler', async () => {
+    await expect(jobQueue.enqueue('test.unknown')).rejects.toThrow('No queue handler registered for "test.unknown"');
+  });
+
+  test('inserts a plain job', async () => {
+    const create = jest.spyOn(QueueJob, 'create').mockImplementation(async fields => fields);
+
+    await jobQueue.enqueue('test.ok', { value: 1 }, { entityType: 'registration', entityId: 'r1' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'test.ok',
+      payload: { value: 1 },
+      entityType: 'registration',
+      entityId: 'r1'
+    }));
+    expect(create.mock.calls[0][0].uniqueKey).toBeUndefined();
+  });
+
+  test('upserts a unique job on its key instead of checking first', async () => {
+    const waiting = { _id: 'job-1', status: 'pending' };
+    const upsert = jest.spyOn(QueueJob, 'findOneAndUpdate').mockResolvedValue(waiting);
+    const create = jest.spyOn(QueueJob, 'create');
+
+    const job = await jobQueue.enqueue('test.ok', { email: 'a@b.com' }, { entityType: 'customer', entityId: 'a@b.com', unique: true });
+
+    expect(job).toBe(waiting);
+    expect(create).not.toHaveBeenCalled();
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ uniqueKey: 'test.ok:customer:a@b.com' });
+    expect(update.$setOnInsert).toMatchObject({ type: 'test.ok', payload: { email: 'a@b.com' }, uniqueKey: 'test.ok:customer:a@b.com' });
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+
+  test('returns the waiting job when a parallel enqueue inserted it first', async () => {
+    const waiting = { _id: 'job-1', status: 'pending' };
+    jest.spyOn(QueueJob, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const findOne = jest.spyOn(QueueJob, 'findOne').mockResolvedValue(waiting);
+
+    const job = await jobQueue.enqueue('test.ok', {}, { entityType: 'customer', entityId: 'a@b.com', unique: true });
+
+    expect(job).toBe(waiting);
+    expect(findOne).toHaveBeenCalledWith({ uniqueKey: 'test.ok:customer:a@b.com' });
+  });
+});
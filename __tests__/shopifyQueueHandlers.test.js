@@ -0,0 +1,184 @@
+// The Shopify queue handlers in server.js, run through the queue against a stubbed Shopify API.
+// A lookup that fails must leave the job to be retried; only an empty search result is skipped.
+process.env.SHOPIFY_SHOP_NAME = 'test-shop';
+process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+process.env.SHOPIFY_REQUEST_INTERVAL_MS = '1';
+process.env.EMAIL_PROVIDER = 'local';
+
+// Every Shopify request goes through this adapter (the client copies axios defaults when it's created)
+const axios = require('axios');
+const shopifyRequests = jest.fn();
+axios.defaults.adapter = config => shopifyRequests(config);
+
+const mongoose = require('mongoose');
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+require('../server');
+const jobQueue = require('../jobQueue');
+
+const WarrantyRegistration = mongoose.model('WarrantyRegistration');
+const Claim = mongoose.model('Claim');
+const { QueueJob } = jobQueue;
+
+const EMAIL = 'jane@example.com';
+
+function shopifyResponse(config, data) {
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+}
+
+function shopifyFailure(config, status) {
+  const headers = status === 429 ? { 'retry-after': '0.001' } : {};
+  const response = { data: { errors: 'Service Unavailable' }, status, statusText: 'Error', headers, config };
+  return new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+}
+
+// Customer search fails; anything else would be a write and must not happen
+function failCustomerSearch(status = 503) {
+  shopifyRequests.mockImplementation(async config => {
+    throw shopifyFailure(config, config.url.includes('/customers/search.json') ? status : 500);
+  });
+}
+
+function findNoCustomer() {
+  shopifyRequests.mockImplementation(async config => {
+    if (config.url.includes('/customers/search.json')) return shopifyResponse(config, { customers: [] });
+    throw shopifyFailure(config, 500);
+  });
+}
+
+function registration(overrides = {}) {
+  return new WarrantyRegistration({
+    firstName: 'Jane',
+    lastName: 'Doe',
+    fullName: 'Jane Doe',
+    email: EMAIL,
+    product: 'Test Product',
+    productId: 'TP',
+    source: 'LDAS.ca',
+    orderId: '1001',
+    warrantyNumber: 'TP-0001',
+    purchaseDate: new Date('2026-01-10'),
+    warrantyEndDate: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
+    ...overrides
+  });
+}
+
+function claimedJob(type, payload) {
+  const job = new QueueJob({ type, payload, status: 'processing', attempts: 1, maxAttempts: 6 });
+  job.save = jest.fn().mockResolvedValue(job);
+  return job;
+}
+
+beforeEach(() => {
+  shopifyRequests.mockReset();
+  jest.spyOn(WarrantyRegistration, 'find').mockResolvedValue([registration()]);
+  jest.spyOn(WarrantyRegistration, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Claim, 'find').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  WarrantyRegistration.find.mockRestore();
+  WarrantyRegistration.updateMany.mockRestore();
+  Claim.find.mockRestore();
+});
+
+describe('shopify.sync-registration', () => {
+  beforeEach(() => {
+    jest.spyOn(WarrantyRegistration, 'findById').mockResolvedValue(registration());
+  });
+
+  afterEach(() => {
+    WarrantyRegistration.findById.mockRestore();
+  });
+
+  test('retries when the customer search fails instead of creating a second customer', async () => {
+    failCustomerSearch();
+    const job = claimedJob('shopify.sync-registration', { registrationId: new mongoose.Types.ObjectId().toString() });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toMatch(/Request failed with status code 503/);
+    expect(shopifyRequests.mock.calls.map(([config]) => config.method)).toEqual(['get']);
+  });
+
+  test('retries a rate limit that outlasts the client retries', async () => {
+    failCustomerSearch(429);
+    const job = claimedJob('shopify.sync-registration', { registrationId: new mongoose.Types.ObjectId().toString() });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toMatch(/status code 429/);
+    // The first request plus the client's own rate limit retries, and no create
+    expect(shopifyRequests).toHaveBeenCalledTimes(6);
+    expect(shopifyRequests.mock.calls.every(([config]) => config.method === 'get')).toBe(true);
+  });
+});
+
+describe('shopify.migrate-customer-note', () => {
+  test('retries when the customer search fails', async () => {
+    failCustomerSearch();
+    const job = claimedJob('shopify.migrate-customer-note', { email: EMAIL });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toBe('Customer lookup failed: Request failed with status code 503');
+  });
+
+  test('skips a customer Shopify does not have', async () => {
+    findNoCustomer();
+    const job = claimedJob('shopify.migrate-customer-note', { email: EMAIL });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ action: 'skipped' });
+  });
+});
+
+describe('shopify.reconcile-customer', () => {
+  test('retries when the customer search fails, so stale tags are not left behind', async () => {
+    jest.spyOn(WarrantyRegistration, 'find').mockResolvedValue([registration({ status: 'expired' })]);
+    failCustomerSearch();
+    const job = claimedJob('shopify.reconcile-customer', { email: EMAIL });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('pending');
+    expect(job.lastError).toBe('Shopify reconciliation failed: Request failed with status code 503');
+  });
+
+  test('skips a customer Shopify does not have', async () => {
+    findNoCustomer();
+    const job = claimedJob('shopify.reconcile-customer', { email: EMAIL });
+
+    await jobQueue.runJob(job);
+
+    expect(job.status).toBe('completed');
+    expect(job.result).toMatchObject({ action: 'skipped' });
+  });
+
+  test('replaces the warranty tags on the customer', async () => {
+    jest.spyOn(WarrantyRegistration, 'find').mockResolvedValue([registration({
+      product: 'LDAS TH11 Headset',
+      status: 'expired',
+      warrantyEndDate: new Date('2026-01-01')
+    })]);
+    const customer = { id: 42, tags: 'vip, warranty-registered, warranty-active, warranty-claimed' };
+    shopifyRequests.mockImplementation(async config => {
+      if (config.url.includes('/customers/search.json')) return shopifyResponse(config, { customers: [customer] });
+      if (config.method === 'put') return shopifyResponse(config, { customer: { ...customer, ...JSON.parse(config.data).customer } });
+      // Metafield write
+      return shopifyResponse(config, { metafield: { id: 1 } });
+    });
+    const job = claimedJob('shopify.reconcile-customer', { email: EMAIL });
+
+    await jobQueue.runJob(job);
+
+    const tagUpdate = shopifyRequests.mock.calls.find(([config]) => config.method === 'put' && config.url.endsWith('/customers/42.json'));
+    expect(JSON.parse(tagUpdate[0].data).customer.tags.split(', ').sort())
+      .toEqual(['product-th11', 'vip', 'warranty-expired', 'warranty-registered']);
+  });
+});
@@ -0,0 +1,123 @@
+const shopifyResync = require('../shopifyResync');
+
+const { ShopifyResync } = shopifyResync;
+
+const RUN_ID = 'run-1';
+
+// findById(...).select(...) as runResync reads the cancel flag
+function stubCancelFlag(cancelRequestedAt = null) {
+  return jest.spyOn(ShopifyResync, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue({ cancelRequestedAt })
+  });
+}
+
+// The updateMany call that ended the run
+function finishCall(updateMany) {
+  const call = updateMany.mock.calls.find(([, update]) => update.$unset);
+  return call ? { filter: call[0], update: call[1] } : null;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('startRun', () => {
+  test('creates a queued run that holds the current slot', async () => {
+    const create = jest.spyOn(ShopifyResync, 'create').mockImplementation(async fields => fields);
+
+    const run = await shopifyResync.startRun({ total: 3, startedBy: 'admin' });
+
+    expect(create).toHaveBeenCalledWith({ total: 3, startedBy: 'admin', status: 'queued', isCurrent: true });
+    expect(run.isCurrent).toBe(true);
+  });
+
+  test('resolves with null while another run holds the slot', async () => {
+    jest.spyOn(ShopifyResync, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(shopifyResync.startRun({ total: 3 })).resolves.toBeNull();
+  });
+
+  test('passes other errors on', async () => {
+    jest.spyOn(ShopifyResync, 'create').mockRejectedValue(new Error('connection lost'));
+
+    await expect(shopifyResync.startRun({ total: 3 })).rejects.toThrow('connection lost');
+  });
+});
+
+describe('runResync', () => {
+  let updateOne;
+  let updateMany;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(ShopifyResync, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    updateMany = jest.spyOn(ShopifyResync, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('counts each registration and releases the slot when complete', async () => {
+    stubCancelFlag();
+    const load = jest.fn(async id => (id === 'gone' ? null : { _id: id, warrantyNumber: `W-${id}`, email: 'a@b.com' }));
+    const sync = jest.fn()
+      .mockResolvedValueOnce({ status: 'success', action: 'updated' })
+      .mockRejectedValueOnce(new Error('boom'));
+
+    await shopifyResync.runResync(RUN_ID, ['r1', 'r2', 'gone'], load, sync);
+
+    const increments = updateOne.mock.calls.slice(1).map(([, update]) => update.$inc);
+    expect(increments).toEqual([
+      { processed: 1, succeeded: 1 },
+      { processed: 1, failed: 1 },
+      { processed: 1, skipped: 1 }
+    ]);
+    const finished = finishCall(updateMany);
+    expect(finished.filter).toEqual({ _id: RUN_ID });
+    expect(finished.update).toMatchObject({ status: 'completed', finishedAt: expect.any(Date), $unset: { isCurrent: 1 } });
+  });
+
+  test('stops and releases the slot when cancelled', async () => {
+    stubCancelFlag(new Date());
+    const sync = jest.fn();
+
+    await shopifyResync.runResync(RUN_ID, ['r1'], jest.fn(), sync);
+
+    expect(sync).not.toHaveBeenCalled();
+    expect(finishCall(updateMany).update).toMatchObject({ status: 'cancelled', $unset: { isCurrent: 1 } });
+  });
+
+  test('marks the run failed when it cannot even be started', async () => {
+    updateOne.mockRejectedValueOnce(new Error('connection lost'));
+    const load = jest.fn();
+
+    await expect(shopifyResync.runResync(RUN_ID, ['r1'], load, jest.fn())).resolves.toBeUndefined();
+
+    expect(load).not.toHaveBeenCalled();
+    expect(finishCall(updateMany).update).toMatchObject({
+      status: 'failed',
+      error: 'connection lost',
+      $unset: { isCurrent: 1 }
+    });
+  });
+
+  test('does not throw when marking the failure fails too', async () => {
+    updateOne.mockRejectedValue(new Error('connection lost'));
+    updateMany.mockRejectedValue(new Error('connection lost'));
+
+    await expect(shopifyResync.runResync(RUN_ID, ['r1'], jest.fn(), jest.fn())).resolves.toBeUndefined();
+  });
+});
+
+describe('markInterruptedRuns', () => {
+  test('releases the slot held by runs a restart cut short', async () => {
+    const updateMany = jest.spyOn(ShopifyResync, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    await shopifyResync.markInterruptedRuns();
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ status: { $in: ['queued', 'running'] } });
+    expect(update).toMatchObject({ status: 'interrupted', $unset: { isCurrent: 1 } });
+  });
+});
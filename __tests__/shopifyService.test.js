@@ -0,0 +1,96 @@
+const ShopifyService = require('../shopifyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRODUCT = 'LDAS TH11 Headset';
+
+function registration(status, daysLeft, product = PRODUCT) {
+  return { product, status, warrantyEndDate: new Date(Date.now() + daysLeft * DAY_MS) };
+}
+
+describe('getLifecycleTags', () => {
+  const service = new ShopifyService();
+
+  test('has no tags without registrations', () => {
+    expect(service.getLifecycleTags([], [{ status: 'submitted' }])).toEqual([]);
+  });
+
+  test('tags an active warranty with its product', () => {
+    expect(service.getLifecycleTags([registration('active', 100)]))
+      .toEqual(['warranty-registered', 'product-th11', 'warranty-active']);
+  });
+
+  test('treats an active registration past its end date as expired', () => {
+    expect(service.getLifecycleTags([registration('active', -1)])).toContain('warranty-expired');
+    expect(service.getLifecycleTags([registration('active', -1)])).not.toContain('warranty-active');
+  });
+
+  test('only reports expired once nothing is covered any more', () => {
+    const tags = service.getLifecycleTags([registration('expired', -30), registration('active', 30)]);
+    expect(tags).toContain('warranty-active');
+    expect(tags).not.toContain('warranty-expired');
+  });
+
+  test('keeps a claimed registration active until its end date', () => {
+    expect(service.getLifecycleTags([registration('claimed', 30)])).toContain('warranty-active');
+
+    const ended = service.getLifecycleTags([registration('claimed', -1)]);
+    expect(ended).toContain('warranty-expired');
+    expect(ended).not.toContain('warranty-active');
+  });
+
+  test('tags warranty-claimed only while a claim is open', () => {
+    const registrations = [registration('claimed', 30)];
+    expect(service.getLifecycleTags(registrations, [{ status: 'in-review' }])).toContain('warranty-claimed');
+    expect(service.getLifecycleTags(registrations, [{ status: 'completed' }, { status: 'denied' }]))
+      .not.toContain('warranty-claimed');
+    expect(service.getLifecycleTags(registrations)).not.toContain('warranty-claimed');
+  });
+
+  test('ignores replaced units for coverage', () => {
+    expect(service.getLifecycleTags([registration('replaced', 300)]))
+      .toEqual(['warranty-registered', 'product-th11']);
+  });
+});
+
+describe('reconcileCustomerTags', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ShopifyService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('adds the desired tags and removes every other managed tag', async () => {
+    const update = jest.spyOn(service, 'updateCustomerTags').mockResolvedValue({ success: true, action: 'updated' });
+
+    const result = await service.reconcileCustomerTags('jane@example.com', [registration('expired', -10)], []);
+
+    const [email, addTags, removeTags] = update.mock.calls[0];
+    expect(email).toBe('jane@example.com');
+    expect(addTags).toEqual(['warranty-registered', 'product-th11', 'warranty-expired']);
+    expect(removeTags).toEqual(expect.arrayContaining(['warranty-active', 'warranty-claimed']));
+    expect(removeTags).not.toEqual(expect.arrayContaining(addTags));
+    expect(result).toMatchObject({ success: true, desiredTags: addTags, removedTags: removeTags });
+  });
+
+  test('reports a failed customer search as failed, not skipped', async () => {
+    jest.spyOn(service, 'findCustomerByEmail').mockRejectedValue(new Error('Request failed with status code 503'));
+
+    const result = await service.reconcileCustomerTags('jane@example.com', [registration('expired', -10)], []);
+
+    expect(result).toMatchObject({ success: false, action: 'failed', error: 'Request failed with status code 503' });
+  });
+
+  test('skips a customer Shopify does not have', async () => {
+    jest.spyOn(service, 'findCustomerByEmail').mockResolvedValue(null);
+
+    const result = await service.reconcileCustomerTags('jane@example.com', [registration('active', 10)], []);
+
+    expect(result).toMatchObject({ success: false, action: 'skipped' });
+  });
+});
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// The secret is read when the module loads
+const SECRET = 'shpss_test_webhook_secret';
+process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+const shopifyWebhooks = require('../shopifyWebhooks');
+
+const BODY = Buffer.from(JSON.stringify({ id: 820982911946154500, email: 'jon@example.com' }));
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+describe('verifyHmac', () => {
+  test('accepts the signature of the exact body', () => {
+    expect(shopifyWebhooks.verifyHmac(BODY, sign(BODY))).toBe(true);
+  });
+
+  test('rejects a changed body', () => {
+    const changed = Buffer.from(BODY.toString().replace('jon@', 'eve@'));
+    expect(shopifyWebhooks.verifyHmac(changed, sign(BODY))).toBe(false);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    expect(shopifyWebhooks.verifyHmac(BODY, sign(BODY, 'another-secret'))).toBe(false);
+  });
+
+  test('rejects a hex signature of the right HMAC', () => {
+    const hex = crypto.createHmac('sha256', SECRET).update(BODY).digest('hex');
+    expect(shopifyWebhooks.verifyHmac(BODY, hex)).toBe(false);
+  });
+
+  test('rejects truncated or garbage signatures without throwing', () => {
+    expect(shopifyWebhooks.verifyHmac(BODY, sign(BODY).slice(0, 20))).toBe(false);
+    expect(shopifyWebhooks.verifyHmac(BODY, 'not base64 at all!')).toBe(false);
+  });
+
+  test('rejects a missing header', () => {
+    expect(shopifyWebhooks.verifyHmac(BODY, undefined)).toBe(false);
+    expect(shopifyWebhooks.verifyHmac(BODY, '')).toBe(false);
+  });
+
+  test('rejects a body that was already parsed', () => {
+    const parsed = JSON.parse(BODY.toString());
+    expect(shopifyWebhooks.verifyHmac(parsed, sign(BODY))).toBe(false);
+    expect(shopifyWebhooks.verifyHmac(BODY.toString(), sign(BODY))).toBe(false);
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    const saved = { webhook: process.env.SHOPIFY_WEBHOOK_SECRET, api: process.env.SHOPIFY_API_SECRET };
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+    delete process.env.SHOPIFY_API_SECRET;
+    try {
+      jest.isolateModules(() => {
+        const unconfigured = require('../shopifyWebhooks');
+        expect(unconfigured.isConfigured()).toBe(false);
+        expect(unconfigured.verifyHmac(BODY, sign(BODY))).toBe(false);
+      });
+    } finally {
+      process.env.SHOPIFY_WEBHOOK_SECRET = saved.webhook;
+      if (saved.api !== undefined) process.env.SHOPIFY_API_SECRET = saved.api;
+    }
+  });
+});
+
+describe('recordDelivery', () => {
+  const { ShopifyWebhookDelivery } = shopifyWebhooks;
+  const HEADERS = { dedupId: 'evt-1', topic: 'orders/create' };
+  const duplicateKeyError = () => Object.assign(new Error('duplicate key'), { code: 11000 });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('processes the first delivery of an event', async () => {
+    const created = { dedupId: 'evt-1', status: 'received' };
+    jest.spyOn(ShopifyWebhookDelivery, 'create').mockResolvedValue(created);
+
+    await expect(shopifyWebhooks.recordDelivery(HEADERS))
+      .resolves.toEqual({ delivery: created, duplicate: false, inProgress: false });
+  });
+
+  test.each(['processed', 'ignored'])('acknowledges a retry of a %s delivery as a duplicate', async (status) => {
+    jest.spyOn(ShopifyWebhookDelivery, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(ShopifyWebhookDelivery, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ dedupId: 'evt-1', status });
+
+    const recorded = await shopifyWebhooks.recordDelivery(HEADERS);
+    expect(recorded.duplicate).toBe(true);
+    expect(recorded.inProgress).toBe(false);
+  });
+
+  test('claims a failed or stale delivery with one conditional update', async () => {
+    const claimed = { dedupId: 'evt-1', status: 'received' };
+    jest.spyOn(ShopifyWebhookDelivery, 'create').mockRejectedValue(duplicateKeyError());
+    const update = jest.spyOn(ShopifyWebhookDelivery, 'findOneAndUpdate').mockResolvedValueOnce(claimed);
+
+    await expect(shopifyWebhooks.recordDelivery(HEADERS))
+      .resolves.toEqual({ delivery: claimed, duplicate: false, inProgress: false });
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter.dedupId).toBe('evt-1');
+    expect(filter.$or).toEqual([
+      { status: 'failed' },
+      { status: 'received', lockedAt: { $not: { $gte: expect.any(Date) } } }
+    ]);
+    expect(Date.now() - filter.$or[1].lockedAt.$not.$gte.getTime()).toBeGreaterThanOrEqual(30 * 1000);
+    expect(changes).toMatchObject({ status: 'received', lockedAt: expect.any(Date) });
+  });
+
+  test('asks Shopify to retry while another attempt is still processing', async () => {
+    jest.spyOn(ShopifyWebhookDelivery, 'create').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(ShopifyWebhookDelivery, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ dedupId: 'evt-1', status: 'received' });
+
+    const recorded = await shopifyWebhooks.recordDelivery(HEADERS);
+    expect(recorded.duplicate).toBe(false);
+    expect(recorded.inProgress).toBe(true);
+  });
+
+  test('inserts again when the row expired between the insert and the lookup', async () => {
+    const created = { dedupId: 'evt-1', status: 'received' };
+    jest.spyOn(ShopifyWebhookDelivery, 'create')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockResolvedValueOnce(created);
+    jest.spyOn(ShopifyWebhookDelivery, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(shopifyWebhooks.recordDelivery(HEADERS))
+      .resolves.toEqual({ delivery: created, duplicate: false, inProgress: false });
+  });
+});
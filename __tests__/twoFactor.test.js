@@ -0,0 +1,117 @@
+const twoFactor = require('../twoFactor');
+
+// RFC 6238 appendix B: the SHA1 seed is the ASCII string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// The RFC lists 8-digit codes; we issue 6 digits, which are the last 6 of the same value
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' }
+];
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 vector at T=$time', ({ time, code }) => {
+    const step = twoFactor.getCurrentStep(time * 1000);
+    expect(twoFactor.generateCode(RFC_SECRET, step)).toBe(code.slice(-6));
+  });
+
+  test('works with generated secrets', () => {
+    const secret = twoFactor.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(twoFactor.generateCode(secret, 1)).toMatch(/^\d{6}$/);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+  const currentStep = twoFactor.getCurrentStep(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts the current code and returns its step', () => {
+    expect(twoFactor.verifyCode(RFC_SECRET, '050471')).toBe(currentStep);
+  });
+
+  test('ignores spaces in the code', () => {
+    expect(twoFactor.verifyCode(RFC_SECRET, '050 471')).toBe(currentStep);
+  });
+
+  test('allows one step of clock drift either way', () => {
+    const previous = twoFactor.generateCode(RFC_SECRET, currentStep - 1);
+    const next = twoFactor.generateCode(RFC_SECRET, currentStep + 1);
+    expect(twoFactor.verifyCode(RFC_SECRET, previous)).toBe(currentStep - 1);
+    expect(twoFactor.verifyCode(RFC_SECRET, next)).toBe(currentStep + 1);
+  });
+
+  test('rejects codes two steps away', () => {
+    expect(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, currentStep - 2))).toBeNull();
+    expect(twoFactor.verifyCode(RFC_SECRET, twoFactor.generateCode(RFC_SECRET, currentStep + 2))).toBeNull();
+  });
+
+  test('rejects a code that was already used', () => {
+    expect(twoFactor.verifyCode(RFC_SECRET, '050471', currentStep)).toBeNull();
+    expect(twoFactor.verifyCode(RFC_SECRET, '050471', currentStep - 1)).toBe(currentStep);
+  });
+
+  test.each(['', null, '12345', '1234567', 'abcdef', '000000'])('rejects %p', (code) => {
+    expect(twoFactor.verifyCode(RFC_SECRET, code)).toBeNull();
+  });
+});
+
+describe('secret encryption', () => {
+  test('round-trips a secret', () => {
+    const encrypted = twoFactor.encryptSecret(RFC_SECRET);
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(twoFactor.decryptSecret(encrypted)).toBe(RFC_SECRET);
+  });
+
+  test('uses a fresh IV every time', () => {
+    expect(twoFactor.encryptSecret(RFC_SECRET)).not.toBe(twoFactor.encryptSecret(RFC_SECRET));
+  });
+
+  test('refuses a tampered payload', () => {
+    const [iv, tag, encrypted] = twoFactor.encryptSecret(RFC_SECRET).split('.');
+    const bytes = Buffer.from(encrypted, 'base64');
+    bytes[0] ^= 1;
+    expect(() => twoFactor.decryptSecret([iv, tag, bytes.toString('base64')].join('.'))).toThrow();
+  });
+});
+
+describe('recovery codes', () => {
+  test('generates unique codes and stores only their hashes', () => {
+    const { codes, hashes } = twoFactor.generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(hashes).toEqual(codes.map(twoFactor.hashRecoveryCode));
+    hashes.forEach((hash, index) => expect(hash).not.toContain(codes[index].replace('-', '')));
+  });
+
+  test('hashes ignore case, spaces and dashes', () => {
+    const hash = twoFactor.hashRecoveryCode('abcde-12345');
+    expect(twoFactor.hashRecoveryCode('ABCDE12345')).toBe(hash);
+    expect(twoFactor.hashRecoveryCode(' abcde 12345 ')).toBe(hash);
+    expect(twoFactor.hashRecoveryCode('abcde-12346')).not.toBe(hash);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('includes the secret and the code parameters', () => {
+    const uri = new URL(twoFactor.buildOtpauthUri(RFC_SECRET, 'admin'));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+    expect(uri.searchParams.get('algorithm')).toBe('SHA1');
+  });
+});
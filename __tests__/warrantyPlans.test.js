@@ -0,0 +1,55 @@
+const warrantyPlans = require('../warrantyPlans');
+
+describe('calculateWarrantyEndDate', () => {
+  const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+  test('adds the plan duration in months', () => {
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 2, 15), 12))).toEqual([2025, 3, 15]);
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 2, 15), 24))).toEqual([2026, 3, 15]);
+  });
+
+  test('uses the default duration when none is given', () => {
+    const end = warrantyPlans.calculateWarrantyEndDate(new Date(2024, 0, 10));
+    const expected = new Date(2024, 0, 10);
+    expected.setMonth(expected.getMonth() + warrantyPlans.DEFAULT_DURATION_MONTHS);
+    expect(ymd(end)).toEqual(ymd(expected));
+  });
+
+  test('clamps to the last day of a shorter month', () => {
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 0, 31), 1))).toEqual([2024, 2, 29]);
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2023, 0, 31), 1))).toEqual([2023, 2, 28]);
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 7, 31), 1))).toEqual([2024, 9, 30]);
+  });
+
+  test('handles a leap day purchase', () => {
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 1, 29), 12))).toEqual([2025, 2, 28]);
+    expect(ymd(warrantyPlans.calculateWarrantyEndDate(new Date(2024, 1, 29), 48))).toEqual([2028, 2, 29]);
+  });
+
+  test('does not change the purchase date passed in', () => {
+    const purchaseDate = new Date(2024, 4, 1);
+    warrantyPlans.calculateWarrantyEndDate(purchaseDate, 12);
+    expect(ymd(purchaseDate)).toEqual([2024, 5, 1]);
+  });
+});
+
+describe('getPlanTerms', () => {
+  test('falls back to standard coverage without a plan', () => {
+    expect(warrantyPlans.getPlanTerms(null)).toEqual({
+      warrantyPlan: null,
+      warrantyPlanCode: null,
+      coverageType: 'standard',
+      warrantyDurationMonths: warrantyPlans.DEFAULT_DURATION_MONTHS
+    });
+  });
+
+  test('copies the plan terms', () => {
+    const plan = { _id: 'plan-id', code: 'th11-extended', coverageType: 'extended', durationMonths: 36 };
+    expect(warrantyPlans.getPlanTerms(plan)).toEqual({
+      warrantyPlan: 'plan-id',
+      warrantyPlanCode: 'th11-extended',
+      coverageType: 'extended',
+      warrantyDurationMonths: 36
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const dns = require('dns');
+const webhooks = require('../webhooks');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.10',
+    '169.254.169.254',
+    '0.0.0.0',
+    '100.64.0.1',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    'fd00::1',
+    'fe80::1'
+  ])('blocks %s', (address) => {
+    expect(webhooks.isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946'])('allows %s', (address) => {
+    expect(webhooks.isBlockedAddress(address)).toBe(false);
+  });
+
+  test('blocks anything that is not an IP address', () => {
+    expect(webhooks.isBlockedAddress('example.com')).toBe(true);
+  });
+});
+
+describe('validateUrl', () => {
+  test('accepts an https URL that resolves to a public address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    await expect(webhooks.validateUrl('https://hooks.example.com/ldas')).resolves.toBeNull();
+  });
+
+  test('requires https', async () => {
+    await expect(webhooks.validateUrl('http://hooks.example.com/ldas')).resolves.toBe('URL must start with https://');
+    await expect(webhooks.validateUrl('ftp://hooks.example.com')).resolves.toBe('URL must start with https://');
+  });
+
+  test('rejects malformed URLs', async () => {
+    await expect(webhooks.validateUrl('not a url')).resolves.toBe('URL is not valid');
+    await expect(webhooks.validateUrl(undefined)).resolves.toBe('URL is not valid');
+  });
+
+  test.each([
+    'https://127.0.0.1/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::1]/hook',
+    'https://[::ffff:10.0.0.1]/hook',
+    'https://2130706433/hook' // 127.0.0.1 written as a number
+  ])('rejects the internal address in %s', async (url) => {
+    await expect(webhooks.validateUrl(url)).resolves.toMatch(/loopback, private or link-local/);
+  });
+
+  test('rejects a hostname when any of its addresses is internal', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.5', family: 4 }
+    ]);
+    await expect(webhooks.validateUrl('https://internal.example.com')).resolves.toMatch(/loopback, private or link-local/);
+  });
+
+  test('rejects a hostname that does not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+    await expect(webhooks.validateUrl('https://nowhere.invalid')).resolves.toBe('URL host nowhere.invalid could not be resolved');
+  });
+});
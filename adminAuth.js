@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+
+const PASSWORD_MIN_LENGTH = 12;
+const COMMON_PASSWORDS = ['admin123', 'password', 'password123', 'qwerty', '12345678', 'letmein', 'welcome'];
+
+// One row per login. The refresh token itself is never stored, only its hash.
+const AdminSessionSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String }, // 'logout', 'logout-all', 'password-change', 'disabled'...
+  lastUsedAt: { type: Date },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AdminSessionSchema.index({ admin: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once the refresh token has expired
+AdminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AdminSession = mongoose.model('AdminSession', AdminSessionSchema);
+
+// Refuse to run in production with the placeholder signing secret
+function checkJwtSecret() {
+  if (JWT_SECRET !== DEFAULT_JWT_SECRET) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️ JWT_SECRET is not set - using the development fallback secret');
+}
+
+// Returns a list of policy violations (empty when the password is acceptable)
+function validatePassword(password, username) {
+  const problems = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value)) {
+    problems.push('Password must contain upper and lower case letters');
+  }
+  if (!/[0-9]/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (username && value.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+  if (COMMON_PASSWORDS.includes(value.toLowerCase())) {
+    problems.push('Password is too common');
+  }
+
+  return problems;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(admin, session) {
+  return jwt.sign(
+    { id: admin._id, sid: session._id, tv: admin.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+// Short-lived proof that the password step passed, exchanged for tokens once the 2FA code is checked
+function signTwoFactorChallenge(admin) {
+  return jwt.sign(
+    { id: admin._id, tv: admin.tokenVersion || 0, purpose: '2fa' },
+    JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` }
+  );
+}
+
+// Returns the decoded challenge, or null if it's invalid, expired or not a challenge token
+function verifyTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function buildTokenResponse(admin, session, refreshToken) {
+  return {
+    token: signAccessToken(admin, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+  };
+}
+
+function getSessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session for a successful login
+async function createSession(admin, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await AdminSession.create({
+    admin: admin._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getSessionExpiry(),
+    lastUsedAt: new Date(),
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return buildTokenResponse(admin, session, refreshToken);
+}
+
+// Session for a refresh token, or null if it's unknown, revoked or expired
+async function findActiveSession(refreshToken) {
+  if (!refreshToken) return null;
+
+  const session = await AdminSession.findOne({ refreshTokenHash: hashToken(refreshToken) });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+  return session;
+}
+
+// Exchange a refresh token for a new access + refresh token pair.
+// The old refresh token stops working as soon as it has been used: the swap only happens
+// if the session still holds the old hash, so two refreshes with the same token can't both win.
+// Resolves with null when another request rotated (or revoked) the session first.
+async function rotateSession(session, admin) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await AdminSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: getSessionExpiry(),
+      lastUsedAt: new Date()
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return buildTokenResponse(admin, rotated, refreshToken);
+}
+
+async function revokeSession(sessionId, reason) {
+  await AdminSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Revoke every session for an admin. Callers also bump admin.tokenVersion so
+// access tokens that haven't expired yet stop working too.
+async function revokeAllSessions(adminId, reason) {
+  const result = await AdminSession.updateMany(
+    { admin: adminId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+function isLocked(admin) {
+  return !!(admin.lockedUntil && admin.lockedUntil > new Date());
+}
+
+// Count a failed login and lock the account once the limit is reached, in one atomic update so
+// parallel guesses can't all read the same count. Resolves with true when this attempt locked it.
+async function registerFailedLogin(AdminModel, adminId) {
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const reachedLimit = { $gte: ['$failedLoginAttempts', MAX_LOGIN_ATTEMPTS] };
+  const admin = await AdminModel.findOneAndUpdate(
+    { _id: adminId },
+    [
+      { $set: { failedLoginAttempts: { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] } } },
+      {
+        $set: {
+          lockedUntil: { $cond: [reachedLimit, lockedUntil, '$lockedUntil'] },
+          failedLoginAttempts: { $cond: [reachedLimit, 0, '$failedLoginAttempts'] }
+        }
+      }
+    ],
+    { new: true }
+  );
+  return !!(admin && admin.lockedUntil && admin.lockedUntil.getTime() === lockedUntil.getTime());
+}
+
+// Reset the failure count for a login that passed every step - unless parallel wrong guesses
+// locked the account in the meantime. Resolves with false when it's locked.
+async function recordSuccessfulLogin(AdminModel, adminId) {
+  const now = new Date();
+  const admin = await AdminModel.findOneAndUpdate(
+    { _id: adminId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { failedLoginAttempts: 0, lockedUntil: null, lastLoginAt: now },
+    { new: true }
+  );
+  return !!admin;
+}
+
+function clearFailedLogins(admin) {
+  admin.failedLoginAttempts = 0;
+  admin.lockedUntil = null;
+}
+
+module.exports = {
+  AdminSession,
+  ACCESS_TOKEN_TTL_MINUTES,
+  MAX_LOGIN_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  checkJwtSecret,
+  validatePassword,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  findActiveSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isLocked,
+  registerFailedLogin,
+  recordSuccessfulLogin,
+  clearFailedLogins
+};
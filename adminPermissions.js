@@ -0,0 +1,64 @@
+// Admin roles and what each one is allowed to do
+
+const ROLES = ['super_admin', 'admin', 'support'];
+
+const ROLE_LABELS = {
+  'super_admin': 'Super Admin',
+  'admin': 'Admin',
+  'support': 'Support Agent'
+};
+
+const PERMISSIONS = {
+  'dashboard.view': 'View dashboard statistics',
+  'registrations.view': 'View and search registrations',
+  'registrations.edit': 'Edit registrations',
+  'registrations.delete': 'Delete registrations and unlink warranty numbers',
+  'registrations.export': 'Export registrations to CSV',
+  'claims.view': 'View claims and attachments',
+  'claims.update': 'Update claims, shipments and replacements',
+  'warranty-numbers.view': 'View warranty numbers',
+  'warranty-numbers.create': 'Create and upload warranty numbers',
+  'catalog.view': 'View products and warranty plans',
+  'catalog.manage': 'Manage products and warranty plans',
+  'integrations.view': 'Test Shopify and email connections',
+  'integrations.sync': 'Resync customers to Shopify and resend emails',
+  'templates.manage': 'Edit customer email templates',
+  'webhooks.manage': 'Manage outgoing webhooks and view their deliveries',
+  'jobs.view': 'View background jobs',
+  'jobs.run': 'Run background jobs',
+  'audit.view': 'View the audit log',
+  'users.manage': 'Manage admin users'
+};
+
+// Permission matrix. super_admin always has every permission.
+const ROLE_PERMISSIONS = {
+  'super_admin': Object.keys(PERMISSIONS),
+  'admin': Object.keys(PERMISSIONS).filter(permission => permission !== 'users.manage'),
+  'support': [
+    'dashboard.view',
+    'registrations.view',
+    'claims.view',
+    'claims.update',
+    'warranty-numbers.view',
+    'catalog.view',
+    'integrations.sync',
+    'jobs.view'
+  ]
+};
+
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    username: { type: String, required: true },
+    role: { type: String }
+  },
+  action: { type: String, required: true }, // e.g. 'registration.update', 'claim.status_change'
+  entityType: { type: String, required: true }, // e.g. 'registration', 'claim', 'warranty-number'
+  entityId: { type: String },
+  entityLabel: { type: String }, // Human readable reference (claim number, warranty number...)
+  changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } }
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// Fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+
+function toPlainObject(value) {
+  if (!value) return {};
+  if (typeof value.toObject === 'function') return value.toObject({ depopulate: true });
+  return value;
+}
+
+// Field-level diff between two versions of a document: { field: { from, to } }
+function diffObjects(before, after) {
+  const beforeObject = toPlainObject(before);
+  const afterObject = toPlainObject(after);
+  const fields = new Set([...Object.keys(beforeObject), ...Object.keys(afterObject)]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = beforeObject[field];
+    const to = afterObject[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+
+  return changes;
+}
+
+// Express resolves X-Forwarded-For against the 'trust proxy' setting, so a client can't pick its own IP
+function getRequestIp(req) {
+  return req.ip;
+}
+
+// Record an admin write. Never throws - a failed audit write must not fail the request.
+async function recordAudit(req, { action, entityType, entityId, entityLabel, before, after, changes, metadata }) {
+  try {
+    const admin = req.admin || {};
+    const entry = await AuditLog.create({
+      actor: {
+        id: admin._id,
+        username: admin.username || 'unknown',
+        role: admin.role
+      },
+      action,
+      entityType,
+      entityId: entityId ? entityId.toString() : undefined,
+      entityLabel,
+      changes: changes || (before || after ? diffObjects(before, after) : undefined),
+      metadata,
+      ip: getRequestIp(req),
+      userAgent: req.headers['user-agent']
+    });
+    return entry;
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+}
+
+// Drop the recorded values for these entities (customer redaction). The entries stay so the
+// trail still shows who changed which fields and when.
+async function redactEntityHistory(entityType, entityIds) {
+  if (!entityIds || entityIds.length === 0) return 0;
+
+  const result = await AuditLog.updateMany(
+    { entityType, entityId: { $in: entityIds.map(String) } },
+    [
+      {
+        $set: {
+          changes: {
+            $arrayToObject: {
+              $map: {
+                input: { $objectToArray: { $ifNull: ['$changes', {}] } },
+                in: { k: '$$this.k', v: { from: '[redacted]', to: '[redacted]' } }
+              }
+            }
+          }
+        }
+      },
+      { $unset: 'metadata' }
+    ]
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  AuditLog,
+  diffObjects,
+  recordAudit,
+  redactEntityHistory
+};
@@ -0,0 +1,178 @@
+// Claim status state machine
+
+// Allowed next statuses for each claim status
+const CLAIM_TRANSITIONS = {
+  'submitted': ['under-review', 'cancelled'],
+  'under-review': ['approved', 'denied', 'cancelled'],
+  'approved': ['completed', 'cancelled'],
+  'denied': [],
+  'completed': [],
+  'cancelled': []
+};
+
+// Fields that must be provided when moving into a status
+const REQUIRED_TRANSITION_FIELDS = {
+  'denied': ['denialReason'],
+  'completed': ['resolutionNotes']
+};
+
+// Customer-facing wording for each status (used by public claim tracking)
+const CUSTOMER_STATUS_LABELS = {
+  'submitted': 'Claim received',
+  'under-review': 'Under review by our support team',
+  'approved': 'Claim approved',
+  'denied': 'Claim denied',
+  'completed': 'Claim completed',
+  'cancelled': 'Claim cancelled'
+};
+
+// Shipment legs that must be closed before a claim can be completed, by resolution type.
+// The return leg closes when the unit is received, the outbound leg when the unit has shipped.
+const REQUIRED_SHIPMENT_LEGS = {
+  'replacement': ['returnShipment', 'outboundShipment'],
+  'repair': ['returnShipment', 'outboundShipment'],
+  'refund': ['returnShipment'],
+  'credit': []
+};
+
+// Resolutions that need a return authorization (RMA) once approved
+const RMA_RESOLUTIONS = ['replacement', 'repair', 'refund'];
+
+// Statuses that count as a decision on the claim
+const RESOLVED_STATUSES = ['approved', 'denied', 'completed'];
+
+// Statuses a claim can't leave - anything else is still open
+const CLOSED_STATUSES = Object.keys(CLAIM_TRANSITIONS).filter(status => CLAIM_TRANSITIONS[status].length === 0);
+
+function createTransitionError(message) {
+  const error = new Error(message);
+  error.name = 'ClaimTransitionError';
+  return error;
+}
+
+function getAllowedTransitions(status) {
+  return CLAIM_TRANSITIONS[status] || [];
+}
+
+// Throws a ClaimTransitionError if the claim can't move to the new status with the given data
+function validateTransition(claim, toStatus, data = {}) {
+  if (!CLAIM_TRANSITIONS[toStatus]) {
+    throw createTransitionError(`Unknown claim status "${toStatus}"`);
+  }
+
+  const allowed = getAllowedTransitions(claim.status);
+  if (!allowed.includes(toStatus)) {
+    throw createTransitionError(
+      allowed.length > 0
+        ? `Cannot change claim from "${claim.status}" to "${toStatus}". Allowed: ${allowed.join(', ')}`
+        : `Claim is "${claim.status}" and can no longer change status`
+    );
+  }
+
+  const missing = (REQUIRED_TRANSITION_FIELDS[toStatus] || [])
+    .filter(field => !data[field] || !String(data[field]).trim());
+  if (missing.length > 0) {
+    throw createTransitionError(`${missing.join(', ')} required to mark claim as "${toStatus}"`);
+  }
+
+  if (toStatus === 'approved' && data.resolutionType && !REQUIRED_SHIPMENT_LEGS[data.resolutionType]) {
+    throw createTransitionError(`Unknown resolution type "${data.resolutionType}"`);
+  }
+
+  if (toStatus === 'completed') {
+    const openLegs = getOpenShipmentLegs(claim);
+    if (openLegs.length > 0) {
+      throw createTransitionError(`Cannot complete claim until shipments are closed: ${openLegs.join(', ')}`);
+    }
+    if (getResolutionType(claim) === 'replacement' && !claim.replacementRegistration) {
+      throw createTransitionError('Assign a warranty number to the replacement unit before completing the claim');
+    }
+  }
+}
+
+function getResolutionType(claim) {
+  return claim.resolutionType || claim.preferredResolution;
+}
+
+function isShipmentLegClosed(claim, leg) {
+  const shipment = claim[leg] || {};
+  if (leg === 'returnShipment') {
+    return shipment.status === 'received';
+  }
+  return ['shipped', 'delivered'].includes(shipment.status);
+}
+
+// Required shipment legs that aren't closed yet
+function getOpenShipmentLegs(claim) {
+  const requiredLegs = REQUIRED_SHIPMENT_LEGS[getResolutionType(claim)] || [];
+  return requiredLegs.filter(leg => !isShipmentLegClosed(claim, leg));
+}
+
+function requiresRma(claim) {
+  return RMA_RESOLUTIONS.includes(getResolutionType(claim));
+}
+
+// Validate and apply a status change to a claim document (caller saves it)
+function transitionClaim(claim, toStatus, data = {}, changedBy) {
+  validateTransition(claim, toStatus, data);
+
+  const fromStatus = claim.status;
+  const now = new Date();
+
+  for (const field of REQUIRED_TRANSITION_FIELDS[toStatus] || []) {
+    claim[field] = String(data[field]).trim();
+  }
+  if (toStatus === 'approved') {
+    claim.resolutionType = data.resolutionType || claim.preferredResolution;
+    if (data.resolutionNotes) {
+      claim.resolutionNotes = String(data.resolutionNotes).trim();
+    }
+  }
+
+  if (toStatus === 'under-review') {
+    claim.reviewStartedAt = claim.reviewStartedAt || now;
+    claim.assignedTo = claim.assignedTo || changedBy;
+  }
+  if (RESOLVED_STATUSES.includes(toStatus)) {
+    claim.resolvedAt = now;
+  }
+
+  claim.status = toStatus;
+  claim.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    changedBy,
+    changedAt: now,
+    note: data.transitionNote
+  });
+
+  return { from: fromStatus, to: toStatus };
+}
+
+// Status timeline without who made each change or any internal notes
+function getCustomerTimeline(claim) {
+  const history = claim.statusHistory && claim.statusHistory.length > 0
+    ? claim.statusHistory
+    : [{ to: 'submitted', changedAt: claim.submittedAt }];
+
+  return history.map(entry => ({
+    status: entry.to,
+    label: CUSTOMER_STATUS_LABELS[entry.to] || entry.to,
+    date: entry.changedAt
+  }));
+}
+
+module.exports = {
+  CLAIM_TRANSITIONS,
+  REQUIRED_TRANSITION_FIELDS,
+  CUSTOMER_STATUS_LABELS,
+  REQUIRED_SHIPMENT_LEGS,
+  CLOSED_STATUSES,
+  getAllowedTransitions,
+  validateTransition,
+  transitionClaim,
+  getCustomerTimeline,
+  getResolutionType,
+  getOpenShipmentLegs,
+  requiresRma
+};
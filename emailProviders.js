@@ -0,0 +1,716 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const productCatalog = require('./productCatalog');
+
+// Email drivers behind EmailService. Each one implements:
+//   sendWarrantyConfirmation(customer, warranty)
+//   sendClaimEmail(customer, claim, warranty, templateKey, message) - message is the rendered template
+//   sendMessage(to, message, meta) - a message rendered by the system (see emailTemplates.js)
+//   sendWarrantyReminder(customer, warranty, reminder) - reminder: { windowDays, daysLeft, extendedPlans }
+//   updateWarrantyStatus(customer, warranty, status)
+//   testConnection()
+// and resolves with { success, messageId?, skipped?, error? } instead of throwing.
+//
+// Omnisend sends nothing itself - it updates the contact and fires an event, and the
+// automations in Omnisend send the mail. SMTP and local send the message as given.
+
+// Omnisend event carrying a system-rendered message; its automation uses the subject/text properties
+const OMNISEND_MESSAGE_EVENT = process.env.OMNISEND_MESSAGE_EVENT || 'transactional-email';
+
+const PROVIDER_NAMES = ['omnisend', 'smtp', 'local'];
+
+function getFromAddress() {
+  return {
+    email: process.env.FROM_EMAIL || 'support@ldaselectronics.com',
+    name: process.env.FROM_NAME || 'LDAS Electronics'
+  };
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : '-';
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Plain text plus a simple HTML version of the same lines
+function buildMessage(subject, lines) {
+  return {
+    subject,
+    text: lines.join('\n'),
+    html: lines.map(line => (line ? `<p>${escapeHtml(line)}</p>` : '')).join('\n')
+  };
+}
+
+function buildWarrantyConfirmationMessage(customer, warranty) {
+  return buildMessage(`Your ${warranty.product} warranty is registered (${warranty.warrantyNumber})`, [
+    `Hi ${customer.firstName || 'there'},`,
+    '',
+    `Thanks for registering your ${warranty.product}. Your warranty details:`,
+    `Warranty number: ${warranty.warrantyNumber}`,
+    `Purchase date: ${formatDate(warranty.purchaseDate)}`,
+    `Warranty ends: ${formatDate(warranty.warrantyEndDate)}`,
+    `Purchased from: ${warranty.source}`,
+    '',
+    'Keep this email - you will need the warranty number if you ever make a claim.',
+    '',
+    getFromAddress().name
+  ]);
+}
+
+function buildWarrantyReminderMessage(customer, warranty, reminder) {
+  const plans = reminder.extendedPlans || [];
+  return buildMessage(`Your ${warranty.product} warranty ends in ${reminder.daysLeft} days`, [
+    `Hi ${customer.firstName || 'there'},`,
+    '',
+    `The warranty on your ${warranty.product} (warranty ${warranty.warrantyNumber}) ends on ${formatDate(warranty.warrantyEndDate)}.`,
+    'If something is wrong with it, make your claim before then.',
+    ...(plans.length > 0
+      ? ['', 'Want to stay covered? Extended coverage is available:',
+        ...plans.map(plan => `${plan.name} - ${plan.durationMonths} months, ${plan.price} ${plan.currency}`)]
+      : []),
+    '',
+    getFromAddress().name
+  ]);
+}
+
+// Claim details sent with each Omnisend claim event
+function buildClaimEventProperties(claim, warranty) {
+  const outbound = claim.outboundShipment || {};
+  return {
+    claimNumber: claim.claimNumber,
+    warrantyNumber: claim.warrantyNumber,
+    product: warranty ? warranty.product : undefined,
+    claimStatus: claim.status,
+    issueType: claim.issueType,
+    preferredResolution: claim.preferredResolution,
+    resolution: claim.resolutionType || claim.preferredResolution,
+    priority: claim.priority,
+    denialReason: claim.denialReason || undefined,
+    rmaNumber: claim.rmaNumber || undefined,
+    carrier: outbound.carrier || undefined,
+    trackingNumber: outbound.trackingNumber || undefined,
+    submittedAt: claim.submittedAt ? new Date(claim.submittedAt).toISOString() : undefined
+  };
+}
+
+function describeError(error) {
+  return error.response?.data || error.message;
+}
+
+// Contacts + events in Omnisend v5
+class OmnisendProvider {
+  constructor() {
+    this.name = 'omnisend';
+    this.apiKey = process.env.OMNISEND_API_KEY;
+    this.baseUrl = 'https://api.omnisend.com/v5';
+
+    this.headers = {
+      'X-API-KEY': this.apiKey,
+      'Content-Type': 'application/json',
+      'accept': 'application/json'
+    };
+  }
+
+  describe() {
+    return { baseUrl: this.baseUrl, hasApiKey: !!this.apiKey };
+  }
+
+  async sendWarrantyConfirmation(customerData, warrantyData) {
+    try {
+      // Add contact to Omnisend with your exact segment tags
+      await this.addContactV5(customerData, warrantyData);
+
+      console.log('✅ Contact added to Omnisend with warranty segment tags');
+
+      return {
+        success: true,
+        messageId: `omnisend-v5-${Date.now()}`,
+        message: 'Contact added to Omnisend with warranty tags. Your existing automation will trigger.'
+      };
+    } catch (error) {
+      console.error('❌ Email service failed:', {
+        message: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      return {
+        success: false,
+        error: describeError(error),
+        message: 'Failed to process email confirmation'
+      };
+    }
+  }
+
+  // One event per claim step (claim-submitted, claim-approved...), named after the template.
+  // The contact is left alone so claim events don't re-tag it or re-fire warranty-registered.
+  async sendClaimEmail(customer, claim, warranty, templateKey, message) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/events`,
+        {
+          email: customer.email,
+          eventName: templateKey,
+          eventVersion: "1.0.0",
+          origin: "API",
+          properties: {
+            ...buildClaimEventProperties(claim, warranty),
+            customerName: claim.customerName,
+            subject: message.subject,
+            text: message.text
+          }
+        },
+        { headers: this.headers }
+      );
+
+      console.log(`✅ Omnisend ${templateKey} event triggered for claim ${claim.claimNumber}`);
+      return { success: true, messageId: response.data?.eventID || `omnisend-v5-${Date.now()}` };
+    } catch (error) {
+      console.error(`❌ Omnisend ${templateKey} event for claim ${claim.claimNumber} failed:`, {
+        status: error.response?.status,
+        message: describeError(error)
+      });
+      return { success: false, error: describeError(error) };
+    }
+  }
+
+  async sendMessage(to, message, meta = {}) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/events`,
+        {
+          email: to,
+          eventName: OMNISEND_MESSAGE_EVENT,
+          eventVersion: "1.0.0",
+          origin: "API",
+          properties: {
+            template: meta.kind,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            ...meta.data
+          }
+        },
+        { headers: this.headers }
+      );
+
+      console.log(`✅ Omnisend ${OMNISEND_MESSAGE_EVENT} event (${meta.kind}) triggered for ${to}`);
+      return { success: true, messageId: response.data?.eventID || `omnisend-v5-${Date.now()}` };
+    } catch (error) {
+      console.error(`❌ Omnisend ${OMNISEND_MESSAGE_EVENT} event for ${to} failed:`, {
+        status: error.response?.status,
+        message: describeError(error)
+      });
+      return { success: false, error: describeError(error) };
+    }
+  }
+
+  async addContactV5(customerData, warrantyData) {
+    try {
+      console.log('👤 Adding contact to Omnisend with segment tags...');
+
+      // Generate the correct warranty segment tag based on product
+      const warrantySegmentTag = this.getWarrantySegmentTag(warrantyData.product);
+      console.log(`🏷️ Using segment tag: ${warrantySegmentTag}`);
+
+      // Omnisend v5 contact format with your exact segment tags
+      const contactData = {
+        identifiers: [
+          {
+            type: "email",
+            id: customerData.email,
+            channels: {
+              email: {
+                status: "subscribed",
+                statusDate: new Date().toISOString()
+              }
+            }
+          }
+        ],
+        firstName: customerData.firstName,
+        lastName: customerData.lastName,
+        tags: [
+          warrantySegmentTag,           // Your exact segment tag (TH11 Warranty Signup, G7 Warranty Signup)
+          'warranty-customer',          // General warranty customer tag
+          'warranty-active',            // Active warranty status
+          `source-${warrantyData.source.toLowerCase().replace(/[^a-z0-9]/g, '-')}` // Purchase source
+        ],
+        customProperties: {
+          warrantyNumber: warrantyData.warrantyNumber,
+          product: warrantyData.product,
+          purchaseDate: warrantyData.purchaseDate.toISOString(),
+          warrantyEndDate: warrantyData.warrantyEndDate.toISOString(),
+          source: warrantyData.source,
+          registrationDate: new Date().toISOString()
+        }
+      };
+
+      // Add phone if provided
+      if (customerData.phone) {
+        contactData.identifiers.push({
+          type: "phone",
+          id: customerData.phone,
+          channels: {
+            sms: {
+              status: "nonSubscribed"
+            }
+          }
+        });
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/contacts`,
+        contactData,
+        { headers: this.headers }
+      );
+
+      console.log('✅ Contact added to Omnisend successfully');
+      console.log(`✅ Tagged with: ${warrantySegmentTag}`);
+
+      // Trigger warranty registration event
+      await this.triggerWarrantyEvent(customerData, warrantyData);
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Contact creation failed:', {
+        status: error.response?.status,
+        message: describeError(error),
+        url: error.config?.url
+      });
+
+      throw error;
+    }
+  }
+
+  // 'warranty-expiring' event for the reminder automation, with any extended plans to offer
+  async sendWarrantyReminder(customer, warranty, reminder) {
+    try {
+      const plans = reminder.extendedPlans || [];
+      const response = await axios.post(
+        `${this.baseUrl}/events`,
+        {
+          email: customer.email,
+          eventName: "warranty-expiring",
+          eventVersion: "1.0.0",
+          origin: "API",
+          properties: {
+            warrantyNumber: warranty.warrantyNumber,
+            product: warranty.product,
+            productSegment: this.getWarrantySegmentTag(warranty.product),
+            warrantyEndDate: new Date(warranty.warrantyEndDate).toISOString(),
+            daysLeft: reminder.daysLeft,
+            reminderWindow: reminder.windowDays,
+            extendedCoverageAvailable: plans.length > 0,
+            extendedPlans: plans.map(plan => ({
+              code: plan.code,
+              name: plan.name,
+              durationMonths: plan.durationMonths,
+              price: plan.price,
+              currency: plan.currency
+            }))
+          }
+        },
+        { headers: this.headers }
+      );
+
+      console.log(`✅ Omnisend warranty-expiring event triggered for ${warranty.warrantyNumber}`);
+      return { success: true, messageId: response.data?.eventID || `omnisend-v5-${Date.now()}` };
+    } catch (error) {
+      console.error(`❌ Omnisend warranty-expiring event for ${warranty.warrantyNumber} failed:`, {
+        status: error.response?.status,
+        message: describeError(error)
+      });
+      return { success: false, error: describeError(error) };
+    }
+  }
+
+  // Update warranty status tags and properties on an existing Omnisend contact
+  async updateWarrantyStatus(customerData, warrantyData, status) {
+    try {
+      console.log(`🔄 Updating Omnisend warranty status to "${status}" for:`, customerData.email);
+
+      const contactData = {
+        identifiers: [
+          {
+            type: "email",
+            id: customerData.email
+          }
+        ],
+        tags: [`warranty-${status}`],
+        customProperties: {
+          warrantyNumber: warrantyData.warrantyNumber,
+          warrantyStatus: status,
+          warrantyEndDate: new Date(warrantyData.warrantyEndDate).toISOString(),
+          warrantyStatusUpdatedAt: new Date().toISOString()
+        }
+      };
+
+      const response = await axios.post(
+        `${this.baseUrl}/contacts`,
+        contactData,
+        { headers: this.headers }
+      );
+
+      console.log('✅ Omnisend contact warranty status updated');
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error('❌ Omnisend status update failed:', {
+        status: error.response?.status,
+        message: describeError(error)
+      });
+
+      return { success: false, error: describeError(error) };
+    }
+  }
+
+  getWarrantySegmentTag(productName) {
+    // Segment tags come from the product catalog
+    const tag = productCatalog.getSegmentTag(productName);
+    if (!tag) {
+      console.warn(`⚠️ No segment tag found for product: ${productName}`);
+      return 'General Warranty Signup'; // Fallback tag
+    }
+
+    return tag;
+  }
+
+  async triggerWarrantyEvent(customerData, warrantyData) {
+    try {
+      console.log('🎯 Triggering warranty registration event...');
+
+      const eventData = {
+        email: customerData.email,
+        eventName: "warranty-registered",
+        eventVersion: "1.0.0",
+        origin: "API",
+        properties: {
+          product: warrantyData.product,
+          productSegment: this.getWarrantySegmentTag(warrantyData.product),
+          warrantyNumber: warrantyData.warrantyNumber,
+          purchaseDate: warrantyData.purchaseDate.toISOString(),
+          warrantyEndDate: warrantyData.warrantyEndDate.toISOString(),
+          source: warrantyData.source,
+          customerName: `${customerData.firstName} ${customerData.lastName}`
+        }
+      };
+
+      const response = await axios.post(
+        `${this.baseUrl}/events`,
+        eventData,
+        { headers: this.headers }
+      );
+
+      console.log('✅ Warranty registration event triggered successfully');
+      return response.data;
+    } catch (error) {
+      console.log('⚠️ Event trigger failed (continuing anyway):', {
+        status: error.response?.status,
+        message: describeError(error)
+      });
+      // Don't throw - this is optional
+    }
+  }
+
+  async testConnection() {
+    try {
+      console.log('🧪 Testing Omnisend v5 connection...');
+
+      await axios.get(
+        `${this.baseUrl}/contacts?limit=1`,
+        { headers: this.headers }
+      );
+
+      console.log('✅ Omnisend v5 connection successful');
+      return {
+        success: true,
+        message: 'Omnisend v5 API connection successful',
+        apiVersion: 'v5',
+        contactsEndpoint: 'working'
+      };
+    } catch (error) {
+      console.error('❌ Omnisend v5 connection failed:', {
+        status: error.response?.status,
+        message: describeError(error),
+        url: error.config?.url
+      });
+
+      return {
+        success: false,
+        error: describeError(error),
+        status: error.response?.status,
+        apiVersion: 'v5',
+        suggestion: 'Check API key validity in Omnisend dashboard'
+      };
+    }
+  }
+}
+
+// Messages sent straight to the customer through an SMTP server
+class SmtpProvider {
+  constructor() {
+    this.name = 'smtp';
+    this.host = process.env.SMTP_HOST;
+    this.port = parseInt(process.env.SMTP_PORT) || 587;
+    this.secure = process.env.SMTP_SECURE === 'true' || this.port === 465;
+
+    this.transporter = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  describe() {
+    return { host: this.host, port: this.port, secure: this.secure, hasAuth: !!process.env.SMTP_USER };
+  }
+
+  async send(to, message) {
+    try {
+      if (!this.host) {
+        return { success: false, error: 'SMTP_HOST is not configured' };
+      }
+
+      const from = getFromAddress();
+      const info = await this.transporter.sendMail({
+        from: `"${from.name}" <${from.email}>`,
+        to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      console.log(`✅ SMTP email "${message.subject}" sent to ${to}`);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error(`❌ SMTP email to ${to} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendWarrantyConfirmation(customer, warranty) {
+    return this.send(customer.email, buildWarrantyConfirmationMessage(customer, warranty));
+  }
+
+  async sendClaimEmail(customer, claim, warranty, templateKey, message) {
+    return this.send(customer.email, message);
+  }
+
+  async sendMessage(to, message) {
+    return this.send(to, message);
+  }
+
+  async sendWarrantyReminder(customer, warranty, reminder) {
+    return this.send(customer.email, buildWarrantyReminderMessage(customer, warranty, reminder));
+  }
+
+  // No contact list to keep in step - status changes don't send mail on their own
+  async updateWarrantyStatus() {
+    return { success: true, skipped: true, message: 'SMTP driver has no contact list to update' };
+  }
+
+  async testConnection() {
+    try {
+      if (!this.host) {
+        return { success: false, error: 'SMTP_HOST is not configured' };
+      }
+
+      await this.transporter.verify();
+      return { success: true, message: `SMTP server ${this.host}:${this.port} accepted the connection` };
+    } catch (error) {
+      return { success: false, error: error.message, suggestion: 'Check SMTP_HOST, SMTP_PORT and credentials' };
+    }
+  }
+}
+
+// Messages captured by the local driver when EMAIL_LOCAL_STORE=mongo
+const LocalEmailSchema = new mongoose.Schema({
+  kind: { type: String, required: true }, // 'warranty-confirmation', 'warranty-reminder', 'warranty-status' or a template key
+  to: { type: String },
+  from: { type: String },
+  subject: { type: String },
+  text: { type: String },
+  html: { type: String },
+  data: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+LocalEmailSchema.index({ to: 1, createdAt: -1 });
+
+const LocalEmail = mongoose.model('LocalEmail', LocalEmailSchema);
+
+// Nothing leaves the machine: messages go to a directory of JSON files or to Mongo.
+// For development and testing.
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.store = process.env.EMAIL_LOCAL_STORE === 'mongo' ? 'mongo' : 'file';
+    this.directory = process.env.EMAIL_LOCAL_DIR || path.join(os.tmpdir(), 'ldas-warranty-emails');
+  }
+
+  describe() {
+    return this.store === 'mongo'
+      ? { store: 'mongo', collection: LocalEmail.collection.collectionName }
+      : { store: 'file', directory: this.directory };
+  }
+
+  async record(kind, to, message, data) {
+    try {
+      const entry = {
+        kind,
+        to,
+        from: getFromAddress().email,
+        subject: message && message.subject,
+        text: message && message.text,
+        html: message && message.html,
+        data,
+        createdAt: new Date()
+      };
+
+      let messageId;
+      if (this.store === 'mongo') {
+        const saved = await LocalEmail.create(entry);
+        messageId = saved._id.toString();
+      } else {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        messageId = `${entry.createdAt.getTime()}-${kind}-${Math.random().toString(36).slice(2, 8)}`;
+        await fs.promises.writeFile(
+          path.join(this.directory, `${messageId}.json`),
+          JSON.stringify(entry, null, 2)
+        );
+      }
+
+      console.log(`📭 Local email (${kind}) for ${to} stored as ${messageId}`);
+      return { success: true, messageId };
+    } catch (error) {
+      console.error(`❌ Local email (${kind}) for ${to} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendWarrantyConfirmation(customer, warranty) {
+    return this.record('warranty-confirmation', customer.email, buildWarrantyConfirmationMessage(customer, warranty), {
+      warrantyNumber: warranty.warrantyNumber
+    });
+  }
+
+  async sendClaimEmail(customer, claim, warranty, templateKey, message) {
+    return this.record(templateKey, customer.email, message, buildClaimEventProperties(claim, warranty));
+  }
+
+  async sendMessage(to, message, meta = {}) {
+    return this.record(meta.kind || 'message', to, message, meta.data);
+  }
+
+  async sendWarrantyReminder(customer, warranty, reminder) {
+    return this.record('warranty-reminder', customer.email, buildWarrantyReminderMessage(customer, warranty, reminder), {
+      warrantyNumber: warranty.warrantyNumber,
+      windowDays: reminder.windowDays,
+      daysLeft: reminder.daysLeft
+    });
+  }
+
+  // Kept so status changes can be checked locally, like the contact update Omnisend would get
+  async updateWarrantyStatus(customer, warranty, status) {
+    return this.record('warranty-status', customer.email, null, {
+      warrantyNumber: warranty.warrantyNumber,
+      status
+    });
+  }
+
+  // Delete every stored message to this address (customer redaction). Both stores are
+  // checked since EMAIL_LOCAL_STORE may have changed since the messages were written.
+  async forgetRecipient(email) {
+    const address = String(email || '').toLowerCase();
+    if (!address) return 0;
+    let deleted = 0;
+
+    if (mongoose.connection.readyState === 1) {
+      const pattern = new RegExp(`^${address.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+      const result = await LocalEmail.deleteMany({ to: pattern });
+      deleted += result.deletedCount;
+    }
+
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        if (String(entry.to || '').toLowerCase() === address) {
+          await fs.promises.unlink(filePath);
+          deleted++;
+        }
+      } catch (error) {
+        console.error(`⚠️ Could not check local email ${file}:`, error.message);
+      }
+    }
+
+    return deleted;
+  }
+
+  async testConnection() {
+    try {
+      if (this.store === 'mongo') {
+        if (mongoose.connection.readyState !== 1) {
+          return { success: false, error: 'MongoDB is not connected' };
+        }
+      } else {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.access(this.directory, fs.constants.W_OK);
+      }
+      return { success: true, message: `Local email driver is storing messages in ${this.store === 'mongo' ? 'MongoDB' : this.directory}` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+const PROVIDERS = {
+  omnisend: OmnisendProvider,
+  smtp: SmtpProvider,
+  local: LocalProvider
+};
+
+// EMAIL_PROVIDER picks the driver. Without it, Omnisend is used when it has an API key
+// and everything else falls back to local so development never mails real customers.
+function resolveProviderName() {
+  const configured = (process.env.EMAIL_PROVIDER || '').trim().toLowerCase();
+  if (configured) return configured;
+  return process.env.OMNISEND_API_KEY ? 'omnisend' : 'local';
+}
+
+function createProvider(name = resolveProviderName()) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown EMAIL_PROVIDER "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return new Provider();
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  buildMessage,
+  LocalEmail,
+  OmnisendProvider,
+  SmtpProvider,
+  LocalProvider,
+  resolveProviderName,
+  createProvider
+};
@@ -1,242 +1,86 @@
-const axios = require('axios');
+const productCatalog = require('./productCatalog');
+const emailProviders = require('./emailProviders');
 
+// Customer email, sent through whichever driver EMAIL_PROVIDER selects (see emailProviders.js)
 class EmailService {
-  constructor() {
-    this.apiKey = process.env.OMNISEND_API_KEY;
-    this.baseUrl = 'https://api.omnisend.com/v5';
+  constructor(provider) {
+    this.provider = provider || emailProviders.createProvider();
+    this.providerName = this.provider.name;
     this.fromEmail = process.env.FROM_EMAIL || 'support@ldaselectronics.com';
     this.fromName = process.env.FROM_NAME || 'LDAS Electronics';
-    
-    this.headers = {
-      'X-API-KEY': this.apiKey,
-      'Content-Type': 'application/json',
-      'accept': 'application/json'
-    };
 
     console.log('📧 EmailService initialized with:', {
-      baseUrl: this.baseUrl,
+      provider: this.providerName,
+      ...this.provider.describe(),
       fromEmail: this.fromEmail,
-      fromName: this.fromName,
-      hasApiKey: !!this.apiKey
+      fromName: this.fromName
     });
   }
 
   async sendWarrantyConfirmation(customerData, warrantyData) {
-    try {
-      console.log('📧 Sending warranty confirmation email to:', customerData.email);
-      
-      // Add contact to Omnisend with your exact segment tags
-      await this.addContactV5(customerData, warrantyData);
-      
-      console.log('✅ Contact added to Omnisend with warranty segment tags');
-      
-      return { 
-        success: true, 
-        messageId: `omnisend-v5-${Date.now()}`,
-        message: 'Contact added to Omnisend with warranty tags. Your existing automation will trigger.'
-      };
-      
-    } catch (error) {
-      console.error('❌ Email service failed:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      
-      return { 
-        success: false, 
-        error: error.response?.data || error.message,
-        message: 'Failed to process email confirmation'
-      };
-    }
+    console.log(`📧 Sending warranty confirmation email to ${customerData.email} via ${this.providerName}`);
+    return this.provider.sendWarrantyConfirmation(customerData, warrantyData);
   }
 
-  async addContactV5(customerData, warrantyData) {
-    try {
-      console.log('👤 Adding contact to Omnisend with segment tags...');
-      
-      // Generate the correct warranty segment tag based on product
-      const warrantySegmentTag = this.getWarrantySegmentTag(warrantyData.product);
-      console.log(`🏷️ Using segment tag: ${warrantySegmentTag}`);
-      
-      // Omnisend v5 contact format with your exact segment tags
-      const contactData = {
-        identifiers: [
-          {
-            type: "email",
-            id: customerData.email,
-            channels: {
-              email: {
-                status: "subscribed",
-                statusDate: new Date().toISOString()
-              }
-            }
-          }
-        ],
-        firstName: customerData.firstName,
-        lastName: customerData.lastName,
-        tags: [
-          warrantySegmentTag,           // Your exact segment tag (TH11 Warranty Signup, G7 Warranty Signup)
-          'warranty-customer',          // General warranty customer tag
-          'warranty-active',            // Active warranty status
-          `source-${warrantyData.source.toLowerCase().replace(/[^a-z0-9]/g, '-')}` // Purchase source
-        ],
-        customProperties: {
-          warrantyNumber: warrantyData.warrantyNumber,
-          product: warrantyData.product,
-          purchaseDate: warrantyData.purchaseDate.toISOString(),
-          warrantyEndDate: warrantyData.warrantyEndDate.toISOString(),
-          source: warrantyData.source,
-          registrationDate: new Date().toISOString()
-        }
-      };
-
-      // Add phone if provided
-      if (customerData.phone) {
-        contactData.identifiers.push({
-          type: "phone",
-          id: customerData.phone,
-          channels: {
-            sms: {
-              status: "nonSubscribed"
-            }
-          }
-        });
-      }
-
-      const response = await axios.post(
-        `${this.baseUrl}/contacts`,
-        contactData,
-        { headers: this.headers }
-      );
-
-      console.log('✅ Contact added to Omnisend successfully');
-      console.log(`✅ Tagged with: ${warrantySegmentTag}`);
-      
-      // Trigger warranty registration event
-      await this.triggerWarrantyEvent(customerData, warrantyData);
-      
-      return response.data;
-    } catch (error) {
-      console.error('❌ Contact creation failed:', {
-        status: error.response?.status,
-        message: error.response?.data || error.message,
-        url: error.config?.url
-      });
-      
-      throw error;
-    }
+  // Customer email for a claim step. message is the rendered template (see emailTemplates.js);
+  // Omnisend gets a claim event named after templateKey instead of the message itself.
+  async sendClaimEmail(customerData, claim, warranty, templateKey, message) {
+    console.log(`📧 Sending ${templateKey} for claim ${claim.claimNumber} to ${customerData.email} via ${this.providerName}`);
+    return this.provider.sendClaimEmail(customerData, claim, warranty, templateKey, message);
   }
 
-  getWarrantySegmentTag(productName) {
-    // Map products to your exact segment tags
-    const segmentTagMap = {
-      'LDAS TH11 Headset': 'TH11 Warranty Signup',
-      'LDAS G7 Headset': 'G7 Warranty Signup',
-      'LDAS G10 Headset': 'G10 Warranty Signup'  // Add G10 tag for future use
-    };
-    
-    const tag = segmentTagMap[productName];
-    if (!tag) {
-      console.warn(`⚠️ No segment tag found for product: ${productName}`);
-      return 'General Warranty Signup'; // Fallback tag
-    }
-    
-    return tag;
+  // Send a system-rendered { subject, text, html }. meta: { kind, data } - kind is the template key
+  async sendMessage(to, message, meta = {}) {
+    console.log(`📧 Sending ${meta.kind || 'message'} email to ${to} via ${this.providerName}`);
+    return this.provider.sendMessage(to, message, meta);
   }
 
-  async triggerWarrantyEvent(customerData, warrantyData) {
-    try {
-      console.log('🎯 Triggering warranty registration event...');
-      
-      const eventData = {
-        email: customerData.email,
-        eventName: "warranty-registered",
-        eventVersion: "1.0.0",
-        origin: "API",
-        properties: {
-          product: warrantyData.product,
-          productSegment: this.getWarrantySegmentTag(warrantyData.product),
-          warrantyNumber: warrantyData.warrantyNumber,
-          purchaseDate: warrantyData.purchaseDate.toISOString(),
-          warrantyEndDate: warrantyData.warrantyEndDate.toISOString(),
-          source: warrantyData.source,
-          customerName: `${customerData.firstName} ${customerData.lastName}`
-        }
-      };
+  // Warranty is about to end. reminder: { windowDays, daysLeft, extendedPlans }
+  async sendWarrantyReminder(customerData, warrantyData, reminder) {
+    console.log(`📧 Sending ${reminder.windowDays}-day expiry reminder for ${warrantyData.warrantyNumber} via ${this.providerName}`);
+    return this.provider.sendWarrantyReminder(customerData, warrantyData, reminder);
+  }
 
-      const response = await axios.post(
-        `${this.baseUrl}/events`,
-        eventData,
-        { headers: this.headers }
-      );
+  // Update warranty status tags and properties on the customer's contact
+  async updateContactWarrantyStatus(customerData, warrantyData, status) {
+    return this.provider.updateWarrantyStatus(customerData, warrantyData, status);
+  }
 
-      console.log('✅ Warranty registration event triggered successfully');
-      return response.data;
-    } catch (error) {
-      console.log('⚠️ Event trigger failed (continuing anyway):', {
-        status: error.response?.status,
-        message: error.response?.data || error.message
-      });
-      // Don't throw - this is optional
-    }
+  // Delete copies kept by the local driver, whichever driver is active now
+  async forgetLocalMessages(email) {
+    const local = this.provider instanceof emailProviders.LocalProvider ? this.provider : new emailProviders.LocalProvider();
+    return local.forgetRecipient(email);
   }
 
   getProductCode(productName) {
-    const productMap = {
-      'LDAS TH11 Headset': 'th11',
-      'LDAS G7 Headset': 'g7',
-      'LDAS G10 Headset': 'g10'
-    };
-    return productMap[productName] || 'unknown';
+    return productCatalog.getProductCode(productName);
   }
 
-  async testConnection() {
-    try {
-      console.log('🧪 Testing Omnisend v5 connection...');
-      
-      const response = await axios.get(
-        `${this.baseUrl}/contacts?limit=1`,
-        { headers: this.headers }
-      );
-      
-      console.log('✅ Omnisend v5 connection successful');
-      return {
-        success: true,
-        message: 'Omnisend v5 API connection successful',
-        apiVersion: 'v5',
-        contactsEndpoint: 'working',
-        segmentTags: {
-          TH11: 'TH11 Warranty Signup',
-          G7: 'G7 Warranty Signup',
-          G10: 'G10 Warranty Signup'
-        }
-      };
-    } catch (error) {
-      console.error('❌ Omnisend v5 connection failed:', {
-        status: error.response?.status,
-        message: error.response?.data || error.message,
-        url: error.config?.url
-      });
-      
-      return {
-        success: false,
-        error: error.response?.data || error.message,
-        status: error.response?.status,
-        apiVersion: 'v5',
-        suggestion: 'Check API key validity in Omnisend dashboard'
-      };
+  // Segment tags for every product in the catalog, keyed by the given field
+  getSegmentTagMap(keyField = 'name') {
+    const tags = {};
+    for (const product of productCatalog.getAllProducts()) {
+      if (product.omnisendSegmentTag) {
+        tags[product[keyField]] = product.omnisendSegmentTag;
+      }
     }
+    return tags;
+  }
+
+  async testConnection() {
+    const result = await this.provider.testConnection();
+    return {
+      ...result,
+      provider: this.providerName,
+      providerDetails: this.provider.describe(),
+      segmentTags: this.providerName === 'omnisend' && result.success ? this.getSegmentTagMap('claimPrefix') : undefined
+    };
   }
 
   // Method to manually verify segment integration
   async verifySegmentIntegration() {
     return {
-      segmentTags: {
-        'LDAS TH11 Headset': 'TH11 Warranty Signup',
-        'LDAS G7 Headset': 'G7 Warranty Signup',
-        'LDAS G10 Headset': 'G10 Warranty Signup'
-      },
+      segmentTags: this.getSegmentTagMap(),
       message: 'Email service configured to use your exact Omnisend segment tags',
       note: 'Contacts will automatically be added to the correct segments based on product'
     };
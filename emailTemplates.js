@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const claimWorkflow = require('./claimWorkflow');
+const { buildMessage } = require('./emailProviders');
+
+// Customer emails rendered by the system itself. Templates are plain text with {{placeholders}};
+// the HTML version is built from the text, so an edit can't inject markup.
+
+const EmailTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // e.g. 'claim-approved'
+  name: { type: String, required: true },
+  description: { type: String },
+  subject: { type: String, required: true },
+  body: { type: String, required: true },
+  isActive: { type: Boolean, default: true }, // Inactive templates are skipped instead of sent
+  updatedBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+EmailTemplateSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const EmailTemplate = mongoose.model('EmailTemplate', EmailTemplateSchema);
+
+// Placeholders a claim template can use
+const CLAIM_VARIABLES = {
+  customerName: 'Customer full name',
+  firstName: 'Customer first name',
+  claimNumber: 'Claim number',
+  warrantyNumber: 'Warranty number the claim is against',
+  product: 'Product name',
+  status: 'Claim status as the customer sees it',
+  issueType: 'Reported issue',
+  preferredResolution: 'Resolution the customer asked for',
+  resolutionType: 'Resolution decided on approval',
+  resolutionNotes: 'Resolution notes',
+  denialReason: 'Reason the claim was denied',
+  customerMessage: 'Message to the customer from the claim page',
+  rmaNumber: 'Return authorization number',
+  carrier: 'Carrier of the unit shipped to the customer',
+  trackingNumber: 'Tracking number of the unit shipped to the customer',
+  submittedAt: 'Date the claim was submitted',
+  supportEmail: 'Support email address'
+};
+
+const SAMPLE_CLAIM_DATA = {
+  customerName: 'Jane Smith',
+  firstName: 'Jane',
+  claimNumber: 'CLAIM-TH11-2024-0123',
+  warrantyNumber: 'TH11-000456',
+  product: 'TH11 Headphones',
+  status: 'Claim approved',
+  issueType: 'Not turning on',
+  preferredResolution: 'Replacement',
+  resolutionType: 'Replacement',
+  resolutionNotes: 'Replacement unit shipped from our warehouse',
+  denialReason: 'Damage is not covered by the warranty',
+  customerMessage: 'Please include all accessories in the box.',
+  rmaNumber: 'RMA-TH11-2024-0123',
+  carrier: 'Canada Post',
+  trackingNumber: '7023 4567 8901 2345',
+  submittedAt: '2024-05-01',
+  supportEmail: 'support@ldaselectronics.com'
+};
+
+const SIGN_OFF = '\n\nQuestions? Reply to this email or write to {{supportEmail}}.\n\nLDAS Electronics';
+
+// Seeded on startup when missing. 'claim-shipped' follows the outbound shipment, the rest follow claim status.
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'claim-submitted',
+    name: 'Claim submitted',
+    description: 'Sent when a customer submits a claim',
+    subject: 'We received your warranty claim {{claimNumber}}',
+    body: 'Hi {{firstName}},\n\nWe received your warranty claim {{claimNumber}} for your {{product}} (warranty {{warrantyNumber}}).\n\nIssue: {{issueType}}\nRequested resolution: {{preferredResolution}}\n\nOur support team will review it and let you know what happens next.' + SIGN_OFF
+  },
+  {
+    key: 'claim-under-review',
+    name: 'Claim under review',
+    description: 'Sent when the support team starts reviewing a claim',
+    subject: 'Your warranty claim {{claimNumber}} is under review',
+    body: 'Hi {{firstName}},\n\nOur support team is now reviewing your warranty claim {{claimNumber}} for your {{product}}. We may contact you if we need more information.' + SIGN_OFF
+  },
+  {
+    key: 'claim-approved',
+    name: 'Claim approved',
+    description: 'Sent when a claim is approved',
+    subject: 'Your warranty claim {{claimNumber}} has been approved',
+    body: 'Hi {{firstName}},\n\nGood news - your warranty claim {{claimNumber}} for your {{product}} has been approved.\n\nResolution: {{resolutionType}}\nReturn authorization: {{rmaNumber}}\n\n{{customerMessage}}' + SIGN_OFF
+  },
+  {
+    key: 'claim-denied',
+    name: 'Claim denied',
+    description: 'Sent when a claim is denied',
+    subject: 'Update on your warranty claim {{claimNumber}}',
+    body: 'Hi {{firstName}},\n\nWe have reviewed your warranty claim {{claimNumber}} for your {{product}} and are unable to approve it.\n\nReason: {{denialReason}}\n\n{{customerMessage}}' + SIGN_OFF
+  },
+  {
+    key: 'claim-shipped',
+    name: 'Unit shipped',
+    description: 'Sent when the repaired or replacement unit ships',
+    subject: 'Your {{product}} is on its way (claim {{claimNumber}})',
+    body: 'Hi {{firstName}},\n\nYour {{product}} for warranty claim {{claimNumber}} has shipped.\n\nCarrier: {{carrier}}\nTracking number: {{trackingNumber}}' + SIGN_OFF
+  },
+  {
+    key: 'claim-completed',
+    name: 'Claim completed',
+    description: 'Sent when a claim is completed',
+    subject: 'Your warranty claim {{claimNumber}} is complete',
+    body: 'Hi {{firstName}},\n\nYour warranty claim {{claimNumber}} for your {{product}} is complete.\n\n{{resolutionNotes}}\n\nThank you for your patience.' + SIGN_OFF
+  }
+];
+
+const TEMPLATE_KEYS = DEFAULT_TEMPLATES.map(template => template.key);
+
+// Template sent when a claim moves into each status
+const STATUS_TEMPLATES = {
+  'submitted': 'claim-submitted',
+  'under-review': 'claim-under-review',
+  'approved': 'claim-approved',
+  'denied': 'claim-denied',
+  'completed': 'claim-completed'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Add any default template that isn't in the database yet (edited ones are left alone)
+async function initializeEmailTemplates() {
+  try {
+    for (const template of DEFAULT_TEMPLATES) {
+      const result = await EmailTemplate.updateOne(
+        { key: template.key },
+        { $setOnInsert: template },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) {
+        console.log(`Default email template created: ${template.key}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error initializing email templates:', error);
+  }
+}
+
+function getDefaultTemplate(key) {
+  return DEFAULT_TEMPLATES.find(template => template.key === key) || null;
+}
+
+// Stored template, falling back to the default if it hasn't been seeded
+async function getTemplate(key) {
+  const template = await EmailTemplate.findOne({ key });
+  return template || getDefaultTemplate(key);
+}
+
+// Placeholders in the text that aren't known variables
+function findUnknownPlaceholders(text) {
+  const unknown = new Set();
+  for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!Object.prototype.hasOwnProperty.call(CLAIM_VARIABLES, match[1])) unknown.add(match[1]);
+  }
+  return [...unknown];
+}
+
+function fillPlaceholders(text, variables) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// { subject, text, html } for a template and its variables
+function renderTemplate(template, variables) {
+  const text = fillPlaceholders(template.body, variables)
+    .replace(/\n{3,}/g, '\n\n') // Empty placeholders on their own line leave gaps
+    .trim();
+  return buildMessage(fillPlaceholders(template.subject, variables).trim(), text.split('\n'));
+}
+
+function humanize(value) {
+  if (!value) return '';
+  const words = String(value).replace(/-/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : '';
+}
+
+// Placeholder values for a claim and the registration it's against
+function buildClaimVariables(claim, warranty) {
+  const outbound = claim.outboundShipment || {};
+  return {
+    customerName: claim.customerName,
+    firstName: (warranty && warranty.firstName) || String(claim.customerName || '').split(' ')[0],
+    claimNumber: claim.claimNumber,
+    warrantyNumber: claim.warrantyNumber,
+    product: warranty ? warranty.product : '',
+    status: claimWorkflow.CUSTOMER_STATUS_LABELS[claim.status] || claim.status,
+    issueType: humanize(claim.issueType),
+    preferredResolution: humanize(claim.preferredResolution),
+    resolutionType: humanize(claimWorkflow.getResolutionType(claim)),
+    resolutionNotes: claim.resolutionNotes,
+    denialReason: claim.denialReason,
+    customerMessage: claim.customerMessage,
+    rmaNumber: claim.rmaNumber,
+    carrier: outbound.carrier,
+    trackingNumber: outbound.trackingNumber,
+    submittedAt: formatDate(claim.submittedAt),
+    supportEmail: process.env.FROM_EMAIL || 'support@ldaselectronics.com'
+  };
+}
+
+module.exports = {
+  EmailTemplate,
+  CLAIM_VARIABLES,
+  SAMPLE_CLAIM_DATA,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS,
+  STATUS_TEMPLATES,
+  initializeEmailTemplates,
+  getDefaultTemplate,
+  getTemplate,
+  findUnknownPlaceholders,
+  renderTemplate,
+  buildClaimVariables
+};
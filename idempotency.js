@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long a key is remembered, and how long a request may sit in 'processing'
+// before another attempt with the same key is allowed to take over (e.g. after a crash)
+const KEY_TTL_HOURS = 24;
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true }, // e.g. 'register'
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  statusCode: { type: Number },
+  response: { type: mongoose.Schema.Types.Mixed },
+  lockedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: KEY_TTL_HOURS * 60 * 60 }
+});
+
+IdempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+function hashRequest(body) {
+  const { idempotencyKey, ...payload } = body || {};
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+function getRequestKey(req) {
+  const key = req.header('Idempotency-Key') || (req.body && req.body.idempotencyKey);
+  return key ? String(key).trim().slice(0, 255) : null;
+}
+
+// Reserve a key for this request. Returns { record } when the request should run,
+// or { replay | conflict } describing what to send back instead.
+async function reserveKey(scope, key, requestHash) {
+  try {
+    const record = await IdempotencyKey.create({ scope, key, requestHash });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ scope, key });
+  if (!existing) {
+    // Expired between the insert and the lookup - try once more
+    return { record: await IdempotencyKey.create({ scope, key, requestHash }) };
+  }
+  if (existing.requestHash !== requestHash) {
+    return { conflict: { status: 422, error: 'Idempotency key was already used for a different request' } };
+  }
+  if (existing.status === 'completed') {
+    return { replay: existing };
+  }
+
+  // Still processing - take it over only if the original attempt looks abandoned
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+    { lockedAt: new Date() },
+    { new: true }
+  );
+  if (takenOver) {
+    return { record: takenOver };
+  }
+  return { conflict: { status: 409, error: 'A request with this idempotency key is still being processed' } };
+}
+
+// Express middleware. Requests without an Idempotency-Key header (or body.idempotencyKey)
+// run normally. Successful responses are stored and replayed for retries with the same key;
+// failed ones release the key so the client can try again.
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = getRequestKey(req);
+    if (!key) return next();
+
+    let reservation;
+    try {
+      reservation = await reserveKey(scope, key, hashRequest(req.body));
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (reservation.conflict) {
+      return res.status(reservation.conflict.status).json({ error: reservation.conflict.error });
+    }
+    if (reservation.replay) {
+      console.log(`🔁 Replaying ${scope} response for idempotency key ${key}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(reservation.replay.statusCode).json(reservation.replay.response);
+    }
+
+    const record = reservation.record;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', statusCode: res.statusCode, response: body, completedAt: new Date() }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      // Store the result before responding so an immediate retry gets the replay, not a 409
+      settle.exec()
+        .catch(error => console.error('❌ Failed to update idempotency key:', error.message))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+// Forget stored responses that mention these registrations (customer redaction)
+async function forgetResponses(scope, field, ids) {
+  if (!ids || ids.length === 0) return 0;
+  const values = [...ids, ...ids.map(String)];
+  const result = await IdempotencyKey.deleteMany({ scope, [`response.${field}`]: { $in: values } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  IdempotencyKey,
+  idempotent,
+  forgetResponses
+};
@@ -0,0 +1,280 @@
+const os = require('os');
+const mongoose = require('mongoose');
+
+// Persistent queue for side effects that call third-party APIs (Shopify, Omnisend...).
+// Jobs are retried with exponential backoff and end up 'dead' after maxAttempts.
+
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 6;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+// A job still 'processing' after this long is assumed lost (e.g. the server restarted mid-job)
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const QueueJobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // e.g. 'shopify.sync-registration'
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead', 'discarded'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: DEFAULT_MAX_ATTEMPTS },
+  runAt: { type: Date, default: Date.now }, // Not picked up before this time (backoff)
+  lockedAt: { type: Date },
+  lockedBy: { type: String },
+  lastError: { type: String },
+  attemptLog: [{
+    attempt: Number,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  result: { type: mongoose.Schema.Types.Mixed },
+  entityType: { type: String }, // Record the job is about, for lookups from the admin panel
+  entityId: { type: String },
+  // 'type:entityType:entityId' on unique jobs while they wait; the index below allows one per key
+  uniqueKey: { type: String },
+  completedAt: { type: Date },
+  discardedBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+QueueJobSchema.index({ status: 1, runAt: 1 });
+QueueJobSchema.index({ entityType: 1, entityId: 1 });
+QueueJobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $exists: true } } });
+
+QueueJobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const QueueJob = mongoose.model('QueueJob', QueueJobSchema);
+
+// type -> { handler, onDead }
+const handlers = {};
+// Called for every job that dies, after its own onDead
+const deadListeners = [];
+
+let pollTimer = null;
+let isTicking = false;
+
+// handler(payload, job) resolves with a result or throws to retry.
+// Throw an error with `permanent = true` to skip straight to the dead-letter state.
+// onDead(payload, job) runs once when a job runs out of attempts.
+function registerHandler(type, handler, options = {}) {
+  handlers[type] = { handler, onDead: options.onDead };
+}
+
+// listener(job) runs whenever a job of any type goes dead
+function onJobDead(listener) {
+  deadListeners.push(listener);
+}
+
+// options.unique skips the insert when the same type is already waiting for the same entity
+async function enqueue(type, payload = {}, options = {}) {
+  if (!handlers[type]) {
+    throw new Error(`No queue handler registered for "${type}"`);
+  }
+
+  const fields = {
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    runAt: options.runAt || new Date(),
+    entityType: options.entityType,
+    entityId: options.entityId ? options.entityId.toString() : undefined
+  };
+
+  let job;
+  if (options.unique && options.entityId) {
+    // One upsert on the key, so two requests at once can't both add a waiting job
+    const uniqueKey = `${type}:${options.entityType || ''}:${fields.entityId}`;
+    try {
+      job = await QueueJob.findOneAndUpdate(
+        { uniqueKey },
+        { $setOnInsert: { ...fields, uniqueKey } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Lost the race to an insert with the same key - that job is the one waiting
+      if (error.code !== 11000) throw error;
+      job = await QueueJob.findOne({ uniqueKey });
+    }
+  } else {
+    job = await QueueJob.create(fields);
+  }
+
+  // Don't wait for the next poll when the worker is running
+  if (pollTimer) setImmediate(tick);
+  return job;
+}
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m... capped at an hour, with some jitter
+function getBackoffMs(attempts) {
+  const seconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(seconds * jitter * 1000);
+}
+
+async function claimNextJob() {
+  return QueueJob.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: new Date() } },
+    {
+      status: 'processing',
+      lockedAt: new Date(),
+      lockedBy: WORKER_ID,
+      $inc: { attempts: 1 },
+      // Running jobs no longer count as waiting, so the next change queues a fresh one
+      $unset: { uniqueKey: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+async function runJob(job) {
+  const registered = handlers[job.type];
+
+  try {
+    if (!registered) {
+      const error = new Error(`No queue handler registered for "${job.type}"`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const result = await registered.handler(job.payload, job);
+    job.status = 'completed';
+    job.result = result;
+    job.completedAt = new Date();
+    job.lastError = null;
+    console.log(`✅ Queue job ${job.type} (${job._id}) completed`);
+  } catch (error) {
+    job.lastError = error.message;
+    job.attemptLog.push({ attempt: job.attempts, error: error.message });
+
+    if (error.permanent || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      console.error(`💀 Queue job ${job.type} (${job._id}) dead after ${job.attempts} attempts: ${error.message}`);
+      if (registered && registered.onDead) {
+        try {
+          await registered.onDead(job.payload, job);
+        } catch (deadError) {
+          console.error(`❌ onDead handler for ${job.type} failed:`, deadError.message);
+        }
+      }
+      for (const listener of deadListeners) {
+        try {
+          await listener(job);
+        } catch (listenerError) {
+          console.error(`❌ Dead job listener for ${job.type} failed:`, listenerError.message);
+        }
+      }
+    } else {
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + getBackoffMs(job.attempts));
+      console.log(`⚠️ Queue job ${job.type} (${job._id}) attempt ${job.attempts} failed, retrying at ${job.runAt.toISOString()}: ${error.message}`);
+    }
+  }
+
+  job.lockedAt = null;
+  job.lockedBy = null;
+  await job.save();
+  return job;
+}
+
+// Put jobs whose worker disappeared back in the queue
+async function releaseStaleJobs() {
+  const result = await QueueJob.updateMany(
+    { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { status: 'pending', lockedAt: null, lockedBy: null, runAt: new Date() }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`♻️ Released ${result.modifiedCount} stale queue jobs`);
+  }
+}
+
+// Drain every job that is due, one at a time
+async function tick() {
+  if (isTicking) return;
+  isTicking = true;
+
+  try {
+    await releaseStaleJobs();
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = pollTimer ? await claimNextJob() : null;
+    }
+  } catch (error) {
+    console.error('❌ Queue worker error:', error.message);
+  } finally {
+    isTicking = false;
+  }
+}
+
+function startWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  if (pollTimer.unref) pollTimer.unref();
+  console.log(`📬 Queue worker ${WORKER_ID} polling every ${POLL_INTERVAL_MS / 1000}s`);
+  setImmediate(tick);
+}
+
+function stopWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// Run a dead (or waiting) job again now with a fresh set of attempts
+async function retryJob(jobId) {
+  const job = await QueueJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['pending', 'dead', 'discarded'] } },
+    { status: 'pending', attempts: 0, runAt: new Date(), discardedBy: null },
+    { new: true }
+  );
+  if (job && pollTimer) setImmediate(tick);
+  return job;
+}
+
+async function discardJob(jobId, discardedBy) {
+  return QueueJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['pending', 'dead'] } },
+    { status: 'discarded', discardedBy, $unset: { uniqueKey: 1 } },
+    { new: true }
+  );
+}
+
+async function getQueueStats() {
+  const counts = await QueueJob.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const stats = { pending: 0, processing: 0, completed: 0, dead: 0, discarded: 0 };
+  counts.forEach(entry => { stats[entry._id] = entry.count; });
+  return stats;
+}
+
+// Delete the jobs matching filter (customer redaction). Jobs a worker is running are left
+// alone since the worker saves them again when it finishes.
+async function removeJobs(filter) {
+  const result = await QueueJob.deleteMany({ ...filter, status: { $ne: 'processing' } });
+  return result.deletedCount;
+}
+
+module.exports = {
+  QueueJob,
+  registerHandler,
+  onJobDead,
+  enqueue,
+  runJob,
+  startWorker,
+  stopWorker,
+  retryJob,
+  discardJob,
+  getQueueStats,
+  removeJobs
+};
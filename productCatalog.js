@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const ProductSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true, unique: true, trim: true },
+  omnisendSegmentTag: { type: String, trim: true },
+  shopifyTag: { type: String, trim: true },
+  // Used to recognise the product in Shopify orders (falls back to the product code in the item title)
+  shopifySkus: [{ type: String, trim: true }],
+  shopifyProductIds: [{ type: String, trim: true }],
+  claimPrefix: { type: String, required: true, uppercase: true, trim: true },
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ProductSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Product = mongoose.model('Product', ProductSchema);
+
+// Seed data - matches the product list that used to be hardcoded across the app
+const DEFAULT_PRODUCTS = [
+  {
+    code: 'th11',
+    name: 'LDAS TH11 Headset',
+    omnisendSegmentTag: 'TH11 Warranty Signup',
+    shopifyTag: 'product-th11',
+    claimPrefix: 'TH11'
+  },
+  {
+    code: 'g7',
+    name: 'LDAS G7 Headset',
+    omnisendSegmentTag: 'G7 Warranty Signup',
+    shopifyTag: 'product-g7',
+    claimPrefix: 'G7'
+  },
+  {
+    code: 'g10',
+    name: 'LDAS G10 Headset',
+    omnisendSegmentTag: 'G10 Warranty Signup',
+    shopifyTag: 'product-g10',
+    claimPrefix: 'G10'
+  }
+];
+
+// In-memory copy of the catalog so services can do synchronous lookups.
+// Starts with the defaults and is replaced once the database has been read.
+let cachedProducts = DEFAULT_PRODUCTS.map(product => ({ ...product, isActive: true }));
+
+// Reload the cache from the database
+async function refreshProducts() {
+  const products = await Product.find({}).sort({ name: 1 }).lean();
+  cachedProducts = products;
+  console.log(`📦 Product catalog loaded (${products.length} products)`);
+  return products;
+}
+
+// Seed default products on first run, then load the cache
+async function initializeProducts() {
+  try {
+    const count = await Product.countDocuments();
+    if (count === 0) {
+      await Product.insertMany(DEFAULT_PRODUCTS);
+      console.log('Default products created: th11, g7, g10');
+    }
+    await refreshProducts();
+  } catch (error) {
+    console.error('Error initializing products:', error);
+  }
+}
+
+function getAllProducts() {
+  return cachedProducts;
+}
+
+function getActiveProducts() {
+  return cachedProducts.filter(product => product.isActive);
+}
+
+function findByCode(code) {
+  if (!code) return null;
+  return cachedProducts.find(product => product.code === code.toLowerCase()) || null;
+}
+
+function findByName(name) {
+  if (!name) return null;
+  return cachedProducts.find(product => product.name === name) || null;
+}
+
+// Helper function to get product code from product name
+function getProductCode(productName) {
+  const product = findByName(productName);
+  return product ? product.code : 'unknown';
+}
+
+// Omnisend segment tag for a product name
+function getSegmentTag(productName) {
+  const product = findByName(productName);
+  return product && product.omnisendSegmentTag ? product.omnisendSegmentTag : null;
+}
+
+// Shopify customer tag for a product name
+function getShopifyTag(productName) {
+  const product = findByName(productName);
+  if (product && product.shopifyTag) return product.shopifyTag;
+  return `product-${product ? product.code : 'unknown'}`;
+}
+
+// Whether a Shopify order line item is this product
+function matchesShopifyLineItem(product, lineItem) {
+  if (!product || !lineItem) return false;
+
+  const skus = product.shopifySkus || [];
+  const productIds = product.shopifyProductIds || [];
+  if (lineItem.sku && skus.some(sku => sku.toLowerCase() === lineItem.sku.toLowerCase())) return true;
+  if (lineItem.product_id && productIds.includes(String(lineItem.product_id))) return true;
+
+  if (skus.length === 0 && productIds.length === 0) {
+    const title = `${lineItem.title || ''} ${lineItem.name || ''}`;
+    return new RegExp(`\\b${product.code}\\b`, 'i').test(title);
+  }
+  return false;
+}
+
+// Claim number prefix for a product code
+function getClaimPrefix(productCode) {
+  const product = findByCode(productCode);
+  if (product) return product.claimPrefix;
+  return productCode ? productCode.toUpperCase() : 'GEN';
+}
+
+module.exports = {
+  Product,
+  DEFAULT_PRODUCTS,
+  initializeProducts,
+  refreshProducts,
+  getAllProducts,
+  getActiveProducts,
+  findByCode,
+  findByName,
+  getProductCode,
+  getSegmentTag,
+  getShopifyTag,
+  matchesShopifyLineItem,
+  getClaimPrefix
+};
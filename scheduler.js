@@ -0,0 +1,94 @@
+// Lightweight in-process scheduler for recurring background jobs
+class ScheduledJob {
+  constructor(name, handler, options = {}) {
+    this.name = name;
+    this.handler = handler;
+    this.description = options.description || '';
+    this.intervalMs = (options.intervalMinutes || 60) * 60 * 1000;
+    this.startDelayMs = options.startDelayMs !== undefined ? options.startDelayMs : 30 * 1000;
+
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastRunFinishedAt = null;
+    this.lastRunTrigger = null;
+    this.lastResult = null;
+    this.lastError = null;
+    this.nextRunAt = null;
+    this.runCount = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.scheduleNext(this.startDelayMs);
+    console.log(`⏰ Job "${this.name}" scheduled every ${this.intervalMs / 60000} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  scheduleNext(delayMs) {
+    this.nextRunAt = new Date(Date.now() + delayMs);
+    this.timer = setTimeout(async () => {
+      await this.run('schedule');
+      if (this.timer) {
+        this.scheduleNext(this.intervalMs);
+      }
+    }, delayMs);
+
+    // Don't keep the process alive just for this timer
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  // Run the job now. Overlapping runs are skipped.
+  async run(trigger = 'manual') {
+    if (this.isRunning) {
+      return { skipped: true, message: `Job "${this.name}" is already running` };
+    }
+
+    this.isRunning = true;
+    this.lastRunAt = new Date();
+    this.lastRunTrigger = trigger;
+    this.lastError = null;
+
+    try {
+      console.log(`⏰ Running job "${this.name}" (${trigger})`);
+      this.lastResult = await this.handler();
+      console.log(`✅ Job "${this.name}" finished:`, this.lastResult);
+    } catch (error) {
+      console.error(`❌ Job "${this.name}" failed:`, error);
+      this.lastResult = null;
+      this.lastError = error.message;
+    } finally {
+      this.isRunning = false;
+      this.lastRunFinishedAt = new Date();
+      this.runCount++;
+    }
+
+    return { skipped: false, result: this.lastResult, error: this.lastError };
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      description: this.description,
+      intervalMinutes: this.intervalMs / 60000,
+      isScheduled: !!this.timer,
+      isRunning: this.isRunning,
+      runCount: this.runCount,
+      lastRunAt: this.lastRunAt,
+      lastRunFinishedAt: this.lastRunFinishedAt,
+      lastRunTrigger: this.lastRunTrigger,
+      lastResult: this.lastResult,
+      lastError: this.lastError,
+      nextRunAt: this.nextRunAt
+    };
+  }
+}
+
+module.exports = ScheduledJob;
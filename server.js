@@ -2,7 +2,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
@@ -11,31 +10,109 @@ const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/warranty_system';
 
+// req.ip comes from X-Forwarded-For only through proxies we trust. Nothing is trusted unless
+// TRUST_PROXY is set - otherwise any client could pick its own IP. Behind Render's proxy use
+// TRUST_PROXY=1; it also takes 'true', a hop count or a list of proxy addresses/subnets.
+function parseTrustProxy(value) {
+  if (value === undefined || value === '') return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Add Shopify Service Import
 const ShopifyService = require('./shopifyService');
 // Add Email Service Import
 const EmailService = require('./emailService');
+// Claim email templates (stored in MongoDB, rendered with claim data)
+const emailTemplates = require('./emailTemplates');
+const { EmailTemplate } = emailTemplates;
+// Product catalog (Product model + cached lookups)
+const productCatalog = require('./productCatalog');
+const { Product } = productCatalog;
+// Warranty plans (coverage terms + end date calculation)
+const warrantyPlans = require('./warrantyPlans');
+const { WarrantyPlan } = warrantyPlans;
+// Background job scheduler
+const ScheduledJob = require('./scheduler');
+// Claim status state machine
+const claimWorkflow = require('./claimWorkflow');
+// Admin audit trail
+const { AuditLog, recordAudit, redactEntityHistory } = require('./auditLog');
+// Admin roles + permission matrix
+const adminPermissions = require('./adminPermissions');
+// Admin sessions, tokens, password policy and lockout
+const adminAuth = require('./adminAuth');
+// TOTP second factor + recovery codes
+const twoFactor = require('./twoFactor');
+// Idempotency-Key support for public POST endpoints
+const idempotency = require('./idempotency');
+const { idempotent } = idempotency;
+// Persistent retry queue for Shopify/Omnisend side effects
+const jobQueue = require('./jobQueue');
+const { QueueJob } = jobQueue;
+// Bulk Shopify resync runs
+const shopifyResync = require('./shopifyResync');
+const { ShopifyResync } = shopifyResync;
+// Incoming Shopify webhooks (HMAC check, delivery log, order records)
+const shopifyWebhooks = require('./shopifyWebhooks');
+const { ShopifyWebhookDelivery, ShopifyOrder } = shopifyWebhooks;
+// Outgoing webhook subscriptions and their delivery log
+const webhooks = require('./webhooks');
+const { WebhookSubscription, WebhookDelivery } = webhooks;
+
+adminAuth.checkJwtSecret();
+
+// One email driver for the whole process - EMAIL_PROVIDER picks omnisend, smtp or local
+const emailService = new EmailService();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'Idempotent-Replayed'] }));
+// Shopify webhooks are verified against the exact bytes sent, so they get the raw body instead of JSON
+app.use('/api/webhooks/shopify', express.raw({ type: '*/*', limit: '5mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// MongoDB connection
-mongoose.connect(MONGO_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
+// MongoDB connection (only when run as the server - tests require this file with stubbed models)
+if (require.main === module) {
+  mongoose.connect(MONGO_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+}
 
 // Schemas
 const AdminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'super_admin'], default: 'admin' },
-  createdAt: { type: Date, default: Date.now }
+  role: { type: String, enum: adminPermissions.ROLES, default: 'admin' },
+  isActive: { type: Boolean, default: true },
+  disabledAt: { type: Date },
+  disabledBy: { type: String },
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: { type: Date },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate every issued access token
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String }, // Encrypted TOTP secret
+    pendingSecret: { type: String }, // Encrypted secret awaiting confirmation during enrollment
+    enabledAt: { type: Date },
+    lastUsedStep: { type: Number }, // Last accepted TOTP time step (blocks code replay)
+    recoveryCodes: [{ type: String }] // Hashes of unused recovery codes
+  },
+  lastLoginAt: { type: Date },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+AdminSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
 });
 
 const WarrantyNumberSchema = new mongoose.Schema({
@@ -64,7 +141,28 @@ const WarrantyRegistrationSchema = new mongoose.Schema({
   purchaseDate: { type: Date, required: true },
   warrantyStartDate: { type: Date, default: Date.now },
   warrantyEndDate: { type: Date },
-  status: { type: String, enum: ['active', 'expired', 'claimed'], default: 'active' },
+  // Warranty plan terms (copied from the plan at registration time)
+  warrantyPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyPlan' },
+  warrantyPlanCode: { type: String },
+  coverageType: { type: String, enum: ['standard', 'extended', 'accidental-damage'], default: 'standard' },
+  warrantyDurationMonths: { type: Number, default: warrantyPlans.DEFAULT_DURATION_MONTHS },
+  status: { type: String, enum: ['active', 'expired', 'claimed', 'replaced'], default: 'active' },
+  expiredAt: { type: Date }, // Set by the expiry sweep
+  // Reminders sent by the warranty-reminders job, at most one 'sent' per window
+  expiryReminders: [{
+    windowDays: { type: Number, required: true }, // e.g. 30 for the 30-days-before reminder
+    status: { type: String, enum: ['sending', 'sent', 'failed'], default: 'sending' },
+    daysLeft: { type: Number },
+    provider: { type: String },
+    messageId: { type: String },
+    error: { type: String },
+    sentAt: { type: Date, default: Date.now }
+  }],
+  // Replacement chain (original unit <-> replacement unit)
+  replacedByRegistration: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyRegistration' },
+  replacedAt: { type: Date },
+  replacesRegistration: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyRegistration' },
+  replacementClaim: { type: mongoose.Schema.Types.ObjectId, ref: 'Claim' },
   // Claims tracking fields
   claimDate: { type: Date },
   claimType: { type: String, enum: ['replacement', 'repair', 'refund', 'technical'] },
@@ -74,6 +172,23 @@ const WarrantyRegistrationSchema = new mongoose.Schema({
   shopifyCustomerId: { type: String },
   shopifyTags: [{ type: String }],
   shopifyIntegrationStatus: { type: String, enum: ['pending', 'success', 'failed', 'error'], default: 'pending' },
+  // Order ID check against Shopify (only for purchases from our own store)
+  orderVerification: {
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'mismatch', 'cancelled', 'not-found', 'error', 'skipped'],
+      default: 'pending'
+    },
+    reasons: [{ type: String }],
+    shopifyOrderId: { type: String },
+    shopifyOrderName: { type: String },
+    checkedAt: { type: Date },
+    // Admin decision on an unverified registration
+    reviewDecision: { type: String, enum: ['approved', 'rejected'] },
+    reviewNote: { type: String },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date }
+  },
   isRepeatCustomer: { type: Boolean, default: false },
   // Email confirmation fields
   emailSent: { type: Boolean, default: false },
@@ -132,25 +247,71 @@ const ClaimSchema = new mongoose.Schema({
   }],
   resolutionNotes: { type: String },
   denialReason: { type: String },
+  customerMessage: { type: String }, // Shown to the customer on the claim tracking page
+  customerMessageUpdatedAt: { type: Date },
+  resolutionType: { type: String, enum: ['replacement', 'repair', 'refund', 'credit'] }, // Set on approval
+  
+  // Return authorization and shipments (replacement / repair / refund)
+  rmaNumber: { type: String, unique: true, sparse: true },
+  rmaIssuedAt: { type: Date },
+  returnShipment: {
+    status: { type: String, enum: ['pending', 'in-transit', 'received'] },
+    carrier: String,
+    trackingNumber: String,
+    shippedAt: Date,
+    receivedAt: Date,
+    receivedBy: String,
+    conditionOnArrival: {
+      type: String,
+      enum: ['as-described', 'damaged-in-transit', 'missing-parts', 'not-as-described', 'no-fault-found']
+    },
+    conditionNotes: String
+  },
+  // Replacement unit (replacement claims)
+  replacementWarrantyNumber: { type: String },
+  replacementRegistration: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyRegistration' },
+  outboundShipment: {
+    status: { type: String, enum: ['pending', 'shipped', 'delivered'] },
+    carrier: String,
+    trackingNumber: String,
+    shippedAt: Date,
+    shippedBy: String,
+    deliveredAt: Date
+  },
+  
+  // Status transitions (see claimWorkflow.js)
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now },
+    note: String
+  }],
   
   // Processing Dates
   reviewStartedAt: { type: Date },
   resolvedAt: { type: Date },
   
-  // File Attachments (simplified for now)
+  // File Attachments (stored in uploads/claims)
   attachments: [{
     type: { type: String, enum: ['photo', 'video', 'receipt', 'other'] },
     filename: String,
     originalName: String,
+    mimeType: String,
     fileSize: Number,
+    uploadedBy: String, // 'customer' or admin username
     uploadedAt: { type: Date, default: Date.now }
   }],
   
   // Integration Status
   emailsSent: [{ 
-    type: String, 
+    type: { type: String }, // Template key, e.g. 'claim-approved'
     sentAt: { type: Date, default: Date.now },
-    status: String 
+    status: { type: String, enum: ['queued', 'retrying', 'sent', 'skipped', 'failed'] },
+    error: String,
+    provider: String, // Email driver that handled it (omnisend, smtp, local)
+    messageId: String,
+    attempts: Number
   }],
   shopifyUpdated: { type: Boolean, default: false },
   
@@ -165,15 +326,15 @@ ClaimSchema.pre('save', function(next) {
   next();
 });
 
-// Generate claim number automatically
-ClaimSchema.pre('save', async function(next) {
+// Generate claim number automatically (before validation, since claimNumber is required)
+ClaimSchema.pre('validate', async function(next) {
   if (this.isNew && !this.claimNumber) {
     try {
       const count = await this.constructor.countDocuments();
       const year = new Date().getFullYear();
-      const productCode = this.warrantyNumber.includes('TH11') ? 'TH11' : 
-                         this.warrantyNumber.includes('G7') ? 'G7' : 'G10';
-      this.claimNumber = `CLAIM-${productCode}-${year}-${(count + 1).toString().padStart(4, '0')}`;
+      const warranty = await mongoose.model('WarrantyRegistration').findById(this.warrantyId);
+      const claimPrefix = productCatalog.getClaimPrefix(warranty ? warranty.productId : null);
+      this.claimNumber = `CLAIM-${claimPrefix}-${year}-${(count + 1).toString().padStart(4, '0')}`;
     } catch (error) {
       console.error('Error generating claim number:', error);
       this.claimNumber = `CLAIM-${Date.now()}`;
@@ -191,6 +352,107 @@ const Claim = mongoose.model('Claim', ClaimSchema);
 // Multer configuration for file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// Claim evidence uploads (photos, videos, receipts)
+const CLAIM_UPLOAD_DIR = path.join('uploads', 'claims');
+const MAX_CLAIM_ATTACHMENTS = parseInt(process.env.MAX_CLAIM_ATTACHMENTS) || 10;
+const MAX_CLAIM_ATTACHMENT_MB = parseInt(process.env.MAX_CLAIM_ATTACHMENT_MB) || 25;
+const CLAIM_ATTACHMENT_MIME_TYPES = {
+  'image/jpeg': 'photo',
+  'image/png': 'photo',
+  'image/webp': 'photo',
+  'image/heic': 'photo',
+  'video/mp4': 'video',
+  'video/quicktime': 'video',
+  'video/webm': 'video',
+  'application/pdf': 'receipt'
+};
+// Form field name -> attachment type ('attachments' is typed from the MIME type)
+const CLAIM_ATTACHMENT_FIELDS = {
+  photos: 'photo',
+  videos: 'video',
+  receipts: 'receipt',
+  attachments: null
+};
+
+const claimUpload = multer({
+  storage: multer.diskStorage({
+    destination: CLAIM_UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`);
+    }
+  }),
+  limits: {
+    fileSize: MAX_CLAIM_ATTACHMENT_MB * 1024 * 1024,
+    files: MAX_CLAIM_ATTACHMENTS
+  },
+  fileFilter: (req, file, cb) => {
+    if (!CLAIM_ATTACHMENT_MIME_TYPES[file.mimetype]) {
+      const error = new Error(`File type ${file.mimetype} is not allowed. Upload photos (JPG, PNG, WEBP, HEIC), videos (MP4, MOV, WEBM) or PDF receipts.`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept claim attachments and clean up the files if the request ends in an error
+function handleClaimUpload(req, res, next) {
+  const fields = Object.keys(CLAIM_ATTACHMENT_FIELDS).map(name => ({ name, maxCount: MAX_CLAIM_ATTACHMENTS }));
+
+  claimUpload.fields(fields)(req, res, (error) => {
+    if (error) {
+      removeUploadedFiles(req.files);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each file must be ${MAX_CLAIM_ATTACHMENT_MB}MB or smaller`
+        : error.code === 'LIMIT_FILE_COUNT'
+          ? `A claim can have at most ${MAX_CLAIM_ATTACHMENTS} attachments`
+          : error.message;
+      return res.status(400).json({ success: false, message });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) removeUploadedFiles(req.files);
+    });
+    next();
+  });
+}
+
+// Flatten multer's { field: [files] } into a single list
+function getUploadedFiles(files) {
+  if (!files) return [];
+  if (Array.isArray(files)) return files;
+  return Object.values(files).flat();
+}
+
+function removeUploadedFiles(files) {
+  for (const file of getUploadedFiles(files)) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Build Claim.attachments entries from uploaded files
+function buildClaimAttachments(files, uploadedBy) {
+  return getUploadedFiles(files).map(file => ({
+    type: CLAIM_ATTACHMENT_FIELDS[file.fieldname] || CLAIM_ATTACHMENT_MIME_TYPES[file.mimetype] || 'other',
+    filename: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    fileSize: file.size,
+    uploadedBy,
+    uploadedAt: new Date()
+  }));
+}
+
+// Routes an admin can still use while a password change or 2FA enrollment is pending
+const ACCOUNT_SETUP_ROUTES = [
+  '/api/admin/me',
+  '/api/admin/change-password',
+  '/api/admin/logout',
+  '/api/admin/2fa/setup',
+  '/api/admin/2fa/enable'
+];
+
 // Authentication middleware
 const authenticateAdmin = async (req, res, next) => {
   try {
@@ -199,28 +461,71 @@ const authenticateAdmin = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = adminAuth.verifyAccessToken(token);
     const admin = await Admin.findById(decoded.id);
-    if (!admin) {
+    if (!admin || (admin.tokenVersion || 0) !== decoded.tv) {
       return res.status(401).json({ error: 'Invalid token' });
     }
+    if (admin.isActive === false) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    const session = await adminAuth.AdminSession.findById(decoded.sid);
+    if (!session || session.revokedAt) {
+      return res.status(401).json({ error: 'Session has been logged out' });
+    }
+
+    if (!ACCOUNT_SETUP_ROUTES.includes(req.path)) {
+      if (admin.mustChangePassword) {
+        return res.status(403).json({ error: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+      }
+      if (isTwoFactorSetupRequired(admin)) {
+        return res.status(403).json({ error: 'Two-factor authentication must be enabled for your role', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+      }
+    }
 
     req.admin = admin;
+    req.adminSession = session;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
-// Helper function to get product code
-function getProductCode(productName) {
-  const productMap = {
-    'LDAS TH11 Headset': 'th11',
-    'LDAS G7 Headset': 'g7',
-    'LDAS G10 Headset': 'g10'
+function isTwoFactorSetupRequired(admin) {
+  return twoFactor.isRequiredForRole(admin.role) && !(admin.twoFactor && admin.twoFactor.enabled);
+}
+
+// Permission middleware - use after authenticateAdmin
+const requirePermission = (permission) => (req, res, next) => {
+  if (!adminPermissions.hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Admin account without the password hash
+function formatAdminUser(admin) {
+  return {
+    id: admin._id,
+    username: admin.username,
+    role: admin.role,
+    isActive: admin.isActive !== false,
+    disabledAt: admin.disabledAt,
+    disabledBy: admin.disabledBy,
+    mustChangePassword: !!admin.mustChangePassword,
+    passwordChangedAt: admin.passwordChangedAt,
+    twoFactorEnabled: !!(admin.twoFactor && admin.twoFactor.enabled),
+    twoFactorRequired: twoFactor.isRequiredForRole(admin.role),
+    lockedUntil: adminAuth.isLocked(admin) ? admin.lockedUntil : null,
+    lastLoginAt: admin.lastLoginAt,
+    createdBy: admin.createdBy,
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt
   };
-  
-  return productMap[productName] || 'unknown';
 }
 
 // Helper function to determine claim priority
@@ -239,6 +544,129 @@ function determinePriority(issueType, warranty) {
   return 'standard';
 }
 
+// Helper function to shape a claim for the admin API
+function formatAdminClaim(claim) {
+  return {
+    ...claim.toObject(),
+    allowedTransitions: claimWorkflow.getAllowedTransitions(claim.status),
+    openShipmentLegs: ['approved', 'completed'].includes(claim.status) ? claimWorkflow.getOpenShipmentLegs(claim) : []
+  };
+}
+
+// Helper function to issue a return authorization number for a claim
+function issueRma(claim) {
+  if (claim.rmaNumber) return claim.rmaNumber;
+
+  claim.rmaNumber = `RMA-${claim.claimNumber.replace(/^CLAIM-/, '')}`;
+  claim.rmaIssuedAt = new Date();
+  claim.returnShipment = { status: 'pending' };
+  if (claimWorkflow.getResolutionType(claim) !== 'refund') {
+    claim.outboundShipment = { status: 'pending' };
+  }
+  return claim.rmaNumber;
+}
+
+// Put everything fulfillReplacement wrote back the way it was, so the admin can retry with the same number
+async function undoReplacement(claim, original, originalState, warrantyNumberRecord, replacement) {
+  try {
+    if (replacement) {
+      await WarrantyRegistration.deleteOne({ _id: replacement._id });
+      await WarrantyRegistration.updateOne(
+        { _id: original._id, replacedByRegistration: replacement._id },
+        originalState
+      );
+      claim.replacementWarrantyNumber = undefined;
+      claim.replacementRegistration = undefined;
+    }
+    await WarrantyNumber.findByIdAndUpdate(warrantyNumberRecord._id, { isUsed: false, usedAt: null, registrationId: null });
+  } catch (undoError) {
+    console.error(`❌ Could not undo replacement ${warrantyNumberRecord.warrantyNumber} for claim ${claim.claimNumber}:`, undoError.message);
+  }
+}
+
+// Register the replacement unit for a claim: claims the warranty number, creates a registration
+// for the same customer with the original unit's remaining coverage, and links the two.
+// Saves the claim; if any write fails the earlier ones are undone.
+async function fulfillReplacement(claim, replacementNumber, adminUsername) {
+  const original = await WarrantyRegistration.findById(claim.warrantyId);
+  if (!original) {
+    const error = new Error('Original warranty registration not found');
+    error.name = 'ReplacementError';
+    throw error;
+  }
+
+  // Claim the number atomically so it can't be registered twice
+  const warrantyNumberRecord = await WarrantyNumber.findOneAndUpdate(
+    { warrantyNumber: replacementNumber, isUsed: false },
+    { isUsed: true, usedAt: new Date() },
+    { new: true }
+  );
+  if (!warrantyNumberRecord) {
+    const error = new Error(`Warranty number ${replacementNumber} is not available`);
+    error.name = 'ReplacementError';
+    throw error;
+  }
+
+  const originalState = {
+    status: original.status,
+    replacedAt: original.replacedAt || null,
+    replacedByRegistration: original.replacedByRegistration || null
+  };
+  const notesBefore = claim.adminNotes.length;
+  let replacement;
+  try {
+    replacement = await WarrantyRegistration.create({
+      firstName: original.firstName,
+      lastName: original.lastName,
+      fullName: original.fullName,
+      email: original.email,
+      phone: original.phone,
+      address: original.address,
+      product: warrantyNumberRecord.productName,
+      productId: warrantyNumberRecord.productId,
+      source: original.source,
+      orderId: original.orderId,
+      warrantyNumber: warrantyNumberRecord.warrantyNumber,
+      purchaseDate: original.purchaseDate,
+      warrantyStartDate: new Date(),
+      // Replacement carries over the remaining term, it doesn't restart coverage
+      warrantyEndDate: original.warrantyEndDate,
+      warrantyPlan: original.warrantyPlan,
+      warrantyPlanCode: original.warrantyPlanCode,
+      coverageType: original.coverageType,
+      warrantyDurationMonths: original.warrantyDurationMonths,
+      status: 'active',
+      replacesRegistration: original._id,
+      replacementClaim: claim._id,
+      shopifyCustomerId: original.shopifyCustomerId,
+      isRepeatCustomer: true
+    });
+
+    await WarrantyNumber.findByIdAndUpdate(warrantyNumberRecord._id, { registrationId: replacement._id });
+
+    original.status = 'replaced';
+    original.replacedAt = new Date();
+    original.replacedByRegistration = replacement._id;
+    await original.save();
+
+    claim.replacementWarrantyNumber = replacement.warrantyNumber;
+    claim.replacementRegistration = replacement._id;
+    claim.adminNotes.push({
+      note: `Replacement unit registered with warranty #${replacement.warrantyNumber} (coverage until ${replacement.warrantyEndDate ? replacement.warrantyEndDate.toLocaleDateString() : 'n/a'})`,
+      addedBy: adminUsername,
+      addedAt: new Date()
+    });
+    await claim.save();
+  } catch (error) {
+    claim.adminNotes.splice(notesBefore);
+    await undoReplacement(claim, original, originalState, warrantyNumberRecord, replacement);
+    throw error;
+  }
+
+  console.log(`🔁 Claim ${claim.claimNumber}: warranty ${original.warrantyNumber} replaced by ${replacement.warrantyNumber}`);
+  return replacement;
+}
+
 // Helper function for expected resolution time
 function getExpectedResolutionTime(priority) {
   const times = {
@@ -250,349 +678,3132 @@ function getExpectedResolutionTime(priority) {
   return times[priority] || '3-5 business days';
 }
 
-// Send claim confirmation email
-async function sendClaimConfirmationEmail(claim, warranty) {
+// Helper function for the expected resolution date (upper end of the resolution time, in business days)
+function getExpectedResolutionDate(submittedAt, priority) {
+  const businessDays = { urgent: 1, high: 2, standard: 5, low: 7 };
+  let remaining = businessDays[priority] || 5;
+  const date = new Date(submittedAt);
+
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    const day = date.getDay();
+    if (day !== 0 && day !== 6) remaining--;
+  }
+
+  return date;
+}
+
+// Render a claim template and send it to the customer (a claim event on Omnisend).
+// Resolves with the driver's result, or { success: true, skipped: true } when the template is switched off.
+async function sendClaimEmail(claim, templateKey) {
+  const template = await emailTemplates.getTemplate(templateKey);
+  if (!template) {
+    return { success: false, permanent: true, error: `Unknown email template "${templateKey}"` };
+  }
+  if (template.isActive === false) {
+    return { success: true, skipped: true, message: `Template ${templateKey} is disabled` };
+  }
+
+  const warranty = await WarrantyRegistration.findById(claim.warrantyId);
+  const message = emailTemplates.renderTemplate(template, emailTemplates.buildClaimVariables(claim, warranty));
+  const result = await emailService.sendClaimEmail(
+    {
+      firstName: warranty ? warranty.firstName : undefined,
+      lastName: warranty ? warranty.lastName : undefined,
+      email: claim.customerEmail
+    },
+    claim,
+    warranty,
+    templateKey,
+    message
+  );
+
+  if (!result.success && typeof result.error !== 'string') {
+    result.error = JSON.stringify(result.error);
+  }
+  return result;
+}
+
+// Set fields on one emailsSent entry
+async function updateClaimEmailLog(claimId, emailLogId, fields) {
+  const update = {};
+  Object.entries(fields).forEach(([key, value]) => { update[`emailsSent.$.${key}`] = value; });
+  await Claim.updateOne({ _id: claimId, 'emailsSent._id': emailLogId }, { $set: update });
+}
+
+// Queue the customer email for a claim step (submitted, status change, unit shipped).
+// The emailsSent entry starts as 'queued' and the job fills in what actually happened.
+async function queueClaimEmail(claim, templateKey) {
+  const emailLogId = new mongoose.Types.ObjectId();
   try {
-    const emailService = new EmailService();
-    
-    // Add contact to Omnisend with claim tags
-    await emailService.addContactV5(
-      {
-        firstName: warranty.firstName,
-        lastName: warranty.lastName,
-        email: claim.customerEmail,
-        phone: claim.contactPhone
-      },
-      {
-        product: warranty.product,
-        warrantyNumber: warranty.warrantyNumber,
-        purchaseDate: warranty.purchaseDate,
-        warrantyEndDate: warranty.warrantyEndDate,
-        source: warranty.source
-      }
-    );
-    
-    // Trigger claim event
-    await emailService.triggerWarrantyEvent(
-      {
-        firstName: warranty.firstName,
-        lastName: warranty.lastName,
-        email: claim.customerEmail
-      },
-      {
-        product: warranty.product,
-        warrantyNumber: warranty.warrantyNumber,
-        purchaseDate: warranty.purchaseDate,
-        warrantyEndDate: warranty.warrantyEndDate,
-        source: warranty.source
-      }
+    await Claim.updateOne(
+      { _id: claim._id },
+      { $push: { emailsSent: { _id: emailLogId, type: templateKey, status: 'queued', provider: emailService.providerName } } }
     );
-    
-    console.log('✅ Claim confirmation email process completed');
-    return { success: true, message: 'Claim confirmation email sent successfully' };
-    
+    await jobQueue.enqueue('email.claim-notification', {
+      claimId: claim._id.toString(),
+      template: templateKey,
+      emailLogId: emailLogId.toString()
+    }, {
+      entityType: 'claim',
+      entityId: claim._id
+    });
   } catch (error) {
-    console.error('❌ Claim email failed:', error);
-    return { success: false, error: error.message };
+    console.error(`⚠️ Failed to queue ${templateKey} email for claim ${claim.claimNumber}:`, error.message);
+    await updateClaimEmailLog(claim._id, emailLogId, { status: 'failed', error: `Could not queue: ${error.message}` })
+      .catch(() => {});
   }
 }
 
-// Initialize default admin
-const initializeAdmin = async () => {
-  try {
-    const adminExists = await Admin.findOne({ username: 'admin' });
-    if (!adminExists) {
-      const hashedPassword = await bcrypt.hash('admin123', 10);
-      await Admin.create({
-        username: 'admin',
-        password: hashedPassword,
-        role: 'super_admin'
-      });
-      console.log('Default admin created: username=admin, password=admin123');
+// Registrations still covered by status: 'claimed' is never reset when the claim closes,
+// so it counts as covered until the end date like 'active'
+const COVERED_STATUSES = ['active', 'claimed'];
+
+// Move past-due covered registrations to 'expired' and keep Shopify/Omnisend in step.
+// Claims already filed stay open - claim eligibility goes by the end date, not the status.
+async function runExpirySweep() {
+  const now = new Date();
+  const dueRegistrations = await WarrantyRegistration.find({
+    status: { $in: COVERED_STATUSES },
+    warrantyEndDate: { $lte: now }
+  }).limit(500);
+
+  const result = {
+    checked: dueRegistrations.length,
+    expired: 0,
+    shopifyUpdated: 0,
+    omnisendUpdated: 0,
+    errors: []
+  };
+
+  if (dueRegistrations.length === 0) {
+    return result;
+  }
+
+  for (const due of dueRegistrations) {
+    // Conditional update so an admin edit in the meantime isn't overwritten
+    const registration = await WarrantyRegistration.findOneAndUpdate(
+      { _id: due._id, status: { $in: COVERED_STATUSES }, warrantyEndDate: { $lte: now } },
+      { status: 'expired', expiredAt: now },
+      { new: true }
+    );
+    if (!registration) continue;
+    result.expired++;
+
+    // Tags come from all of the customer's registrations, so another active warranty keeps warranty-active
+    const shopifyResult = await reconcileShopifyCustomer(registration.email);
+    if (shopifyResult.success) {
+      result.shopifyUpdated++;
+    } else if (shopifyResult.action !== 'skipped') {
+      result.errors.push(`Shopify ${registration.warrantyNumber}: ${shopifyResult.error}`);
+    }
+
+    const omnisendResult = await emailService.updateContactWarrantyStatus(
+      { email: registration.email },
+      registration,
+      'expired'
+    );
+    if (omnisendResult.success) {
+      result.omnisendUpdated++;
+    } else {
+      result.errors.push(`Omnisend ${registration.warrantyNumber}: ${JSON.stringify(omnisendResult.error)}`);
     }
-  } catch (error) {
-    console.error('Error initializing admin:', error);
   }
-};
 
-// Routes
+  return result;
+}
 
-// Admin Authentication
-app.post('/api/admin/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    const admin = await Admin.findOne({ username });
-    if (!admin) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+// Days before the end date that a reminder goes out, e.g. EXPIRY_REMINDER_DAYS=30,7
+const EXPIRY_REMINDER_WINDOWS = [...new Set(
+  (process.env.EXPIRY_REMINDER_DAYS || '30,7')
+    .split(',')
+    .map(days => parseInt(days))
+    .filter(days => days > 0)
+)].sort((a, b) => a - b);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registrations without a 'sending' or 'sent' reminder for the window
+function reminderNotSent(windowDays) {
+  return { $not: { $elemMatch: { windowDays, status: { $in: ['sending', 'sent'] } } } };
+}
+
+// Remind customers before their warranty ends. A registration gets the reminder for the
+// smallest window it falls in (20 days left -> the 30-day reminder, 5 days left -> the 7-day one),
+// never the same window twice, and nothing while it has an open claim. Registrations stay
+// 'claimed' after their claim closes, so those are included and the open-claim check decides.
+async function runExpiryReminders() {
+  const now = new Date();
+  const result = {
+    windows: EXPIRY_REMINDER_WINDOWS,
+    checked: 0,
+    sent: 0,
+    failed: 0,
+    skippedOpenClaim: 0,
+    errors: []
+  };
+
+  let previousWindow = 0;
+  for (const windowDays of EXPIRY_REMINDER_WINDOWS) {
+    const dueRegistrations = await WarrantyRegistration.find({
+      status: { $in: COVERED_STATUSES },
+      warrantyEndDate: {
+        $gt: new Date(now.getTime() + previousWindow * DAY_MS),
+        $lte: new Date(now.getTime() + windowDays * DAY_MS)
+      },
+      expiryReminders: reminderNotSent(windowDays)
+    }).limit(500);
+    previousWindow = windowDays;
+
+    for (const due of dueRegistrations) {
+      result.checked++;
+
+      const openClaim = await Claim.exists({ warrantyId: due._id, status: { $nin: claimWorkflow.CLOSED_STATUSES } });
+      if (openClaim) {
+        result.skippedOpenClaim++;
+        continue;
+      }
+
+      // Reserve the window first so an overlapping run can't send it twice
+      const reminderId = new mongoose.Types.ObjectId();
+      const registration = await WarrantyRegistration.findOneAndUpdate(
+        { _id: due._id, status: { $in: COVERED_STATUSES }, expiryReminders: reminderNotSent(windowDays) },
+        { $push: { expiryReminders: { _id: reminderId, windowDays, provider: emailService.providerName } } },
+        { new: true }
+      );
+      if (!registration) continue;
+
+      const daysLeft = Math.ceil((registration.warrantyEndDate - now) / DAY_MS);
+      const extendedPlans = await WarrantyPlan.find({
+        isActive: true,
+        coverageType: 'extended',
+        products: String(registration.productId).toLowerCase()
+      }).sort({ price: 1 });
+
+      const sendResult = await emailService.sendWarrantyReminder(
+        { firstName: registration.firstName, lastName: registration.lastName, email: registration.email },
+        registration,
+        { windowDays, daysLeft, extendedPlans }
+      );
+      const error = sendResult.success
+        ? null
+        : (typeof sendResult.error === 'string' ? sendResult.error : JSON.stringify(sendResult.error));
+
+      // A failed reminder doesn't count as sent, so the next run tries again
+      await WarrantyRegistration.updateOne(
+        { _id: registration._id, 'expiryReminders._id': reminderId },
+        {
+          $set: {
+            'expiryReminders.$.status': sendResult.success ? 'sent' : 'failed',
+            'expiryReminders.$.daysLeft': daysLeft,
+            'expiryReminders.$.messageId': sendResult.messageId,
+            'expiryReminders.$.error': error,
+            'expiryReminders.$.sentAt': new Date()
+          }
+        }
+      );
+
+      if (sendResult.success) {
+        result.sent++;
+      } else {
+        result.failed++;
+        result.errors.push(`${registration.warrantyNumber} (${windowDays} days): ${error}`);
+      }
     }
+  }
 
-    const isMatch = await bcrypt.compare(password, admin.password);
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  return result;
+}
+
+// Background jobs (started when the server starts)
+const scheduledJobs = {
+  'warranty-expiry': new ScheduledJob('warranty-expiry', runExpirySweep, {
+    description: 'Marks registrations past their warranty end date as expired',
+    intervalMinutes: parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || 60
+  }),
+  'warranty-reminders': new ScheduledJob('warranty-reminders', runExpiryReminders, {
+    description: `Reminds customers ${EXPIRY_REMINDER_WINDOWS.join(' and ')} days before their warranty ends`,
+    intervalMinutes: parseInt(process.env.EXPIRY_REMINDER_INTERVAL_MINUTES) || 360
+  })
+};
+
+// Queued side effects. Handlers throw to have the job retried with backoff.
+function queueError(message, permanent) {
+  const error = new Error(message);
+  error.permanent = !!permanent;
+  return error;
+}
+
+async function loadQueuedRegistration(registrationId) {
+  const registration = await WarrantyRegistration.findById(registrationId);
+  if (!registration) {
+    throw queueError(`Registration ${registrationId} no longer exists`, true);
+  }
+  return registration;
+}
+
+// Create/update the Shopify customer for a registration and record the outcome on it (caller saves)
+async function pushRegistrationToShopify(registration) {
+  const shopifyService = new ShopifyService();
+  const shopifyResult = await shopifyService.createOrUpdateCustomer(
+    {
+      firstName: registration.firstName,
+      lastName: registration.lastName,
+      email: registration.email,
+      phone: registration.phone,
+      address: registration.address
+    },
+    registration
+  );
+
+  if (shopifyResult.success) {
+    registration.shopifyCustomerId = shopifyResult.customer.id.toString();
+    registration.shopifyTags = shopifyResult.customer.tags ? shopifyResult.customer.tags.split(', ') : [];
+    registration.shopifyIntegrationStatus = 'success';
+  }
+  return shopifyResult;
+}
+
+jobQueue.registerHandler('shopify.sync-registration', async ({ registrationId }) => {
+  const registration = await loadQueuedRegistration(registrationId);
+
+  const shopifyResult = await pushRegistrationToShopify(registration);
+  if (!shopifyResult.success) {
+    throw queueError(`Shopify ${shopifyResult.action || 'sync'} failed: ${shopifyResult.error}`);
+  }
+
+  await registration.save();
+  // Registration only merges tags in - drop any that no longer apply (e.g. warranty-expired) and write the metafield
+  await queueShopifyReconciliation(registration.email);
+
+  return { action: shopifyResult.action, customerId: registration.shopifyCustomerId };
+}, {
+  onDead: async ({ registrationId }) => {
+    await WarrantyRegistration.updateOne({ _id: registrationId }, { shopifyIntegrationStatus: 'failed' });
+  }
+});
+
+jobQueue.registerHandler('email.warranty-confirmation', async ({ registrationId }) => {
+  const registration = await loadQueuedRegistration(registrationId);
+
+  const emailResult = await emailService.sendWarrantyConfirmation(
+    {
+      firstName: registration.firstName,
+      lastName: registration.lastName,
+      email: registration.email,
+      phone: registration.phone,
+      address: registration.address
+    },
+    {
+      product: registration.product,
+      warrantyNumber: registration.warrantyNumber,
+      purchaseDate: registration.purchaseDate,
+      warrantyEndDate: registration.warrantyEndDate,
+      source: registration.source
     }
+  );
 
-    const token = jwt.sign({ id: admin._id }, JWT_SECRET, { expiresIn: '24h' });
-    res.json({ token, admin: { id: admin._id, username: admin.username, role: admin.role } });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (!emailResult.success) {
+    const detail = typeof emailResult.error === 'string' ? emailResult.error : JSON.stringify(emailResult.error);
+    throw queueError(`Warranty confirmation failed: ${detail}`);
+  }
+
+  registration.emailSent = true;
+  registration.emailSentAt = new Date();
+  registration.emailStatus = 'sent';
+  await registration.save();
+
+  return { messageId: emailResult.messageId };
+}, {
+  onDead: async ({ registrationId }) => {
+    await WarrantyRegistration.updateOne({ _id: registrationId }, { emailSent: false, emailStatus: 'failed' });
   }
 });
 
-// NEW CLAIMS API ENDPOINTS
+// Purchase sources that are our Shopify store, so the order ID can be checked
+const SHOPIFY_ORDER_SOURCES = (process.env.SHOPIFY_ORDER_SOURCES || 'LDAS.ca')
+  .split(',')
+  .map(source => source.trim().toLowerCase())
+  .filter(Boolean);
 
-// Warranty Lookup for Claims
-app.get('/api/warranty/lookup', async (req, res) => {
-  try {
-    console.log('🔍 Warranty lookup request:', req.query);
-    
-    const { email, warrantyNumber, orderId, serialNumber } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email address is required'
-      });
+function isShopifyOrderSource(source) {
+  return SHOPIFY_ORDER_SOURCES.includes(String(source || '').toLowerCase());
+}
+
+// Check the registration's order in Shopify and store the outcome (caller saves).
+// A fresh check clears any earlier admin review.
+async function verifyRegistrationOrder(registration) {
+  let verification;
+  if (!isShopifyOrderSource(registration.source)) {
+    verification = { status: 'skipped', reasons: [`Purchased from ${registration.source}`] };
+  } else {
+    const shopifyService = new ShopifyService();
+    verification = await shopifyService.verifyOrder(registration.orderId, registration.email, registration.product);
+  }
+
+  registration.orderVerification = {
+    status: verification.status,
+    reasons: verification.reasons,
+    shopifyOrderId: verification.order ? verification.order.id : undefined,
+    shopifyOrderName: verification.order ? verification.order.name : undefined,
+    checkedAt: new Date()
+  };
+  return verification;
+}
+
+jobQueue.registerHandler('shopify.verify-order', async ({ registrationId }) => {
+  const registration = await loadQueuedRegistration(registrationId);
+
+  const verification = await verifyRegistrationOrder(registration);
+  if (verification.status === 'error') {
+    throw queueError(`Order lookup failed: ${verification.reasons.join(', ')}`);
+  }
+  await registration.save();
+
+  return { status: verification.status, reasons: verification.reasons };
+}, {
+  onDead: async ({ registrationId }, job) => {
+    await WarrantyRegistration.updateOne(
+      { _id: registrationId },
+      { 'orderVerification.status': 'error', 'orderVerification.reasons': [job.lastError], 'orderVerification.checkedAt': new Date() }
+    );
+  }
+});
+
+// Exact, case-insensitive match - emails were stored as customers typed them
+function customerEmailPattern(email) {
+  return new RegExp(`^${email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+// All registrations and claims for an email address (case-insensitive)
+function findCustomerRecords(email) {
+  const pattern = customerEmailPattern(email);
+  return Promise.all([
+    WarrantyRegistration.find({ email: pattern }),
+    Claim.find({ customerEmail: pattern })
+  ]);
+}
+
+// Recompute a customer's warranty tags in Shopify from everything they currently have with us
+async function reconcileShopifyTags(email) {
+  const [registrations, claims] = await findCustomerRecords(email);
+  const shopifyService = new ShopifyService();
+  const result = await shopifyService.reconcileCustomerTags(email, registrations, claims);
+
+  if (result.success && registrations.length > 0) {
+    await WarrantyRegistration.updateMany(
+      { _id: { $in: registrations.map(registration => registration._id) } },
+      { shopifyTags: result.customer.tags ? result.customer.tags.split(', ') : [] }
+    );
+  }
+  return result;
+}
+
+// Write the customer's warranties (with their claims) to the Shopify warranty metafield
+async function syncWarrantyMetafield(email, customerId) {
+  const shopifyService = new ShopifyService();
+  if (!customerId) {
+    let customer;
+    try {
+      customer = await shopifyService.findCustomerByEmail(email);
+    } catch (error) {
+      return { success: false, error: `Customer lookup failed: ${error.message}`, action: 'failed' };
     }
-    
-    let filter = { email: email.toLowerCase() };
-    
-    // Add additional lookup criteria
-    if (warrantyNumber) {
-      filter.warrantyNumber = warrantyNumber;
-    } else if (orderId) {
-      filter.orderId = orderId;
+    if (!customer) {
+      return { success: false, error: 'Customer not found in Shopify', action: 'skipped' };
+    }
+    customerId = customer.id;
+  }
+
+  const [registrations, claims] = await findCustomerRecords(email);
+  const records = registrations.map(registration => shopifyService.buildWarrantyRecord(
+    registration,
+    claims.filter(claim => String(claim.warrantyId) === String(registration._id))
+  ));
+  return shopifyService.setWarrantyRecords(customerId, records);
+}
+
+// Bring the Shopify customer in line with our records: lifecycle tags, then the warranty metafield
+async function reconcileShopifyCustomer(email) {
+  const tags = await reconcileShopifyTags(email);
+  if (!tags.success) {
+    return { success: false, action: tags.action, error: tags.error, tags };
+  }
+
+  const metafield = await syncWarrantyMetafield(email, tags.customer.id);
+  return {
+    success: metafield.success,
+    action: metafield.success ? 'updated' : metafield.action,
+    error: metafield.error,
+    tags,
+    metafield
+  };
+}
+
+// Queue a Shopify reconciliation after a status change. Never throws - the change itself already happened.
+async function queueShopifyReconciliation(email) {
+  if (!email) return;
+  try {
+    await jobQueue.enqueue('shopify.reconcile-customer', { email }, {
+      entityType: 'customer',
+      entityId: email.toLowerCase(),
+      unique: true
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to queue Shopify reconciliation for ${email}:`, error.message);
+  }
+}
+
+jobQueue.registerHandler('shopify.reconcile-customer', async ({ email }) => {
+  const result = await reconcileShopifyCustomer(email);
+  if (!result.success && result.action !== 'skipped') {
+    throw queueError(`Shopify reconciliation failed: ${result.error}`);
+  }
+  return {
+    action: result.action,
+    desiredTags: result.tags.desiredTags,
+    metafield: result.metafield ? result.metafield.action : null
+  };
+});
+
+// One-time cleanup of the warranty blocks older versions kept prepending to customer notes
+jobQueue.registerHandler('shopify.migrate-customer-note', async ({ email }) => {
+  const shopifyService = new ShopifyService();
+  let customer;
+  try {
+    customer = await shopifyService.findCustomerByEmail(email);
+  } catch (error) {
+    throw queueError(`Customer lookup failed: ${error.message}`);
+  }
+  // Only a search that found nobody is skipped - a failed lookup above is retried
+  if (!customer) {
+    return { action: 'skipped' };
+  }
+
+  // Write the metafield first so the warranty details are never only in the note being removed
+  const metafield = await syncWarrantyMetafield(email, customer.id);
+  if (!metafield.success) {
+    throw queueError(`Warranty metafield write failed: ${metafield.error}`);
+  }
+
+  const note = await shopifyService.cleanWarrantyNotes(customer);
+  if (!note.success) {
+    throw queueError(`Note cleanup failed: ${note.error}`);
+  }
+
+  return { metafield: metafield.action, removedBlocks: note.removedBlocks };
+});
+
+async function runClaimEmailJob({ claimId, template, emailLogId }, job) {
+  const claim = await Claim.findById(claimId);
+  if (!claim) {
+    throw queueError(`Claim ${claimId} no longer exists`, true);
+  }
+  // Jobs queued before emailsSent entries were created up front get one now
+  if (!emailLogId || !claim.emailsSent.id(emailLogId)) {
+    const entry = claim.emailsSent.create({ type: template, status: 'queued', provider: emailService.providerName });
+    claim.emailsSent.push(entry);
+    await claim.save();
+    emailLogId = entry._id;
+    job.payload = { ...job.payload, emailLogId: emailLogId.toString() };
+    job.markModified('payload');
+  }
+
+  const emailResult = await sendClaimEmail(claim, template);
+  if (!emailResult.success) {
+    await updateClaimEmailLog(claimId, emailLogId, {
+      status: 'retrying',
+      error: emailResult.error,
+      attempts: job.attempts
+    });
+    throw queueError(`${template} email failed: ${emailResult.error}`, emailResult.permanent);
+  }
+
+  await updateClaimEmailLog(claimId, emailLogId, {
+    status: emailResult.skipped ? 'skipped' : 'sent',
+    sentAt: new Date(),
+    provider: emailService.providerName,
+    messageId: emailResult.messageId,
+    error: null,
+    attempts: job.attempts
+  });
+
+  return { template, skipped: !!emailResult.skipped, messageId: emailResult.messageId };
+}
+
+async function markClaimEmailDead({ claimId, template, emailLogId }, job) {
+  if (emailLogId) {
+    await updateClaimEmailLog(claimId, emailLogId, { status: 'failed', error: job.lastError, attempts: job.attempts });
+  } else {
+    await Claim.updateOne(
+      { _id: claimId },
+      { $push: { emailsSent: { type: template, status: 'failed', error: job.lastError, attempts: job.attempts } } }
+    );
+  }
+}
+
+jobQueue.registerHandler('email.claim-notification', runClaimEmailJob, { onDead: markClaimEmailDead });
+
+// Confirmation jobs queued before claim emails were template-driven
+jobQueue.registerHandler('email.claim-confirmation', (payload, job) =>
+  runClaimEmailJob({ ...payload, template: 'claim-submitted' }, job), {
+  onDead: (payload, job) => markClaimEmailDead({ ...payload, template: 'claim-submitted' }, job)
+});
+
+// OUTGOING WEBHOOKS
+
+function webhookRegistrationData(registration) {
+  return {
+    id: registration._id.toString(),
+    warrantyNumber: registration.warrantyNumber,
+    product: registration.product,
+    productId: registration.productId,
+    firstName: registration.firstName,
+    lastName: registration.lastName,
+    email: registration.email,
+    source: registration.source,
+    orderId: registration.orderId,
+    purchaseDate: registration.purchaseDate,
+    warrantyEndDate: registration.warrantyEndDate,
+    warrantyPlanCode: registration.warrantyPlanCode,
+    status: registration.status,
+    replacesRegistration: registration.replacesRegistration ? registration.replacesRegistration.toString() : null,
+    createdAt: registration.createdAt
+  };
+}
+
+function webhookClaimData(claim) {
+  return {
+    id: claim._id.toString(),
+    claimNumber: claim.claimNumber,
+    warrantyNumber: claim.warrantyNumber,
+    status: claim.status,
+    priority: claim.priority,
+    issueType: claim.issueType,
+    preferredResolution: claim.preferredResolution,
+    customerName: claim.customerName,
+    customerEmail: claim.customerEmail,
+    submittedAt: claim.submittedAt
+  };
+}
+
+// Queue a delivery to every subscriber. Never throws - webhooks must not fail the request that triggered them.
+async function emitWebhookEvent(event, data) {
+  try {
+    const deliveries = await webhooks.createDeliveries(event, data);
+    for (const delivery of deliveries) {
+      await jobQueue.enqueue('webhook.deliver', { deliveryId: delivery._id.toString() }, {
+        entityType: 'webhook-delivery',
+        entityId: delivery._id,
+        maxAttempts: webhooks.MAX_DELIVERY_ATTEMPTS
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Failed to queue ${event} webhooks:`, error.message);
+  }
+}
+
+jobQueue.registerHandler('webhook.deliver', async ({ deliveryId }) => {
+  const result = await webhooks.attemptDelivery(deliveryId);
+  if (!result.success) {
+    throw queueError(`Webhook delivery failed: ${result.error}`, result.permanent);
+  }
+  return { responseStatus: result.responseStatus, durationMs: result.durationMs };
+}, {
+  onDead: async ({ deliveryId }, job) => {
+    await webhooks.markDeliveryFailed(deliveryId, job.lastError);
+  }
+});
+
+// A Shopify/email job out of retries is an integration failure. Failed webhook
+// deliveries are left out so a broken endpoint can't trigger more deliveries.
+jobQueue.onJobDead(async (job) => {
+  if (job.type.startsWith('webhook.')) return;
+  await emitWebhookEvent('integration.failed', {
+    jobId: job._id.toString(),
+    jobType: job.type,
+    entityType: job.entityType,
+    entityId: job.entityId,
+    attempts: job.attempts,
+    error: job.lastError,
+    failedAt: new Date()
+  });
+});
+
+// Initialize default admin
+const initializeAdmin = async () => {
+  try {
+    const adminExists = await Admin.findOne({ username: 'admin' });
+    if (!adminExists) {
+      const hashedPassword = await bcrypt.hash('admin123', 10);
+      await Admin.create({
+        username: 'admin',
+        password: hashedPassword,
+        role: 'super_admin',
+        mustChangePassword: true
+      });
+      console.log('Default admin created: username=admin, password=admin123 (must be changed on first login)');
+    } else if (!adminExists.mustChangePassword && await bcrypt.compare('admin123', adminExists.password)) {
+      // Seeded before password changes were enforced and still on the default password
+      adminExists.mustChangePassword = true;
+      await adminExists.save();
+      console.log('⚠️ Default admin still uses the seeded password - a password change is now required');
+    }
+  } catch (error) {
+    console.error('Error initializing admin:', error);
+  }
+};
+
+// Routes
+
+// Admin Authentication
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const admin = await Admin.findOne({ username });
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (adminAuth.isLocked(admin)) {
+      const minutesLeft = Math.ceil((admin.lockedUntil - new Date()) / 60000);
+      return res.status(423).json({
+        error: `Account locked after too many failed logins. Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+    if (!isMatch) {
+      const locked = await adminAuth.registerFailedLogin(Admin, admin._id);
+      if (locked) {
+        console.log(`⚠️ Admin ${admin.username} locked for ${adminAuth.LOCKOUT_MINUTES} minutes after ${adminAuth.MAX_LOGIN_ATTEMPTS} failed logins (${req.ip})`);
+        return res.status(423).json({
+          error: `Account locked after too many failed logins. Try again in ${adminAuth.LOCKOUT_MINUTES} minutes.`
+        });
+      }
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (admin.isActive === false) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    // Password is right - with 2FA on, tokens are only issued after the code step
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: adminAuth.signTwoFactorChallenge(admin)
+      });
+    }
+
+    await completeLogin(admin, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: start a session once every login step has passed
+async function completeLogin(admin, req, res) {
+  const unlocked = await adminAuth.recordSuccessfulLogin(Admin, admin._id);
+  if (!unlocked) {
+    return res.status(423).json({ error: 'Account locked after too many failed logins. Try again later.' });
+  }
+  // The 2FA step uses up the TOTP step or recovery code
+  if (admin.isModified()) {
+    await admin.save();
+  }
+
+  const tokens = await adminAuth.createSession(admin, req);
+  res.json({
+    ...tokens,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      role: admin.role,
+      mustChangePassword: !!admin.mustChangePassword,
+      twoFactorSetupRequired: isTwoFactorSetupRequired(admin),
+      permissions: adminPermissions.getPermissions(admin.role)
+    }
+  });
+}
+
+// Helper: check a TOTP code or a one-time recovery code (caller saves the admin).
+// Returns 'totp', 'recovery-code' or null.
+function verifySecondFactor(admin, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const hash = twoFactor.hashRecoveryCode(recoveryCode);
+    const index = admin.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return null;
+    admin.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery-code';
+  }
+
+  const step = twoFactor.verifyCode(
+    twoFactor.decryptSecret(admin.twoFactor.secret),
+    code,
+    admin.twoFactor.lastUsedStep
+  );
+  if (step === null) return null;
+  admin.twoFactor.lastUsedStep = step;
+  return 'totp';
+}
+
+// A wrong password or code from a signed-in admin counts toward the login lockout too,
+// so a stolen access token can't be used to guess codes. Sends the error response.
+async function rejectAccountCheck(admin, req, res, error) {
+  const locked = await adminAuth.registerFailedLogin(Admin, admin._id);
+  if (locked) {
+    console.log(`⚠️ Admin ${admin.username} locked after ${adminAuth.MAX_LOGIN_ATTEMPTS} failed account checks (${req.ip})`);
+    return res.status(423).json({
+      error: `Account locked after too many failed attempts. Try again in ${adminAuth.LOCKOUT_MINUTES} minutes.`
+    });
+  }
+  return res.status(400).json({ error });
+}
+
+// Second login step: authenticator code or recovery code
+app.post('/api/admin/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Authentication code or recovery code is required' });
+    }
+
+    const challenge = adminAuth.verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+    }
+
+    const admin = await Admin.findById(challenge.id);
+    if (!admin || admin.isActive === false || (admin.tokenVersion || 0) !== challenge.tv ||
+        !(admin.twoFactor && admin.twoFactor.enabled)) {
+      return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+    }
+    if (adminAuth.isLocked(admin)) {
+      return res.status(423).json({ error: 'Account locked after too many failed logins. Try again later.' });
+    }
+
+    const method = verifySecondFactor(admin, { code, recoveryCode });
+    if (!method) {
+      const locked = await adminAuth.registerFailedLogin(Admin, admin._id);
+      if (locked) {
+        console.log(`⚠️ Admin ${admin.username} locked after ${adminAuth.MAX_LOGIN_ATTEMPTS} failed 2FA attempts (${req.ip})`);
+        return res.status(423).json({
+          error: `Account locked after too many failed logins. Try again in ${adminAuth.LOCKOUT_MINUTES} minutes.`
+        });
+      }
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    if (method === 'recovery-code') {
+      console.log(`Admin ${admin.username} signed in with a recovery code (${admin.twoFactor.recoveryCodes.length} left)`);
+    }
+    await completeLogin(admin, req, res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/admin/token/refresh', async (req, res) => {
+  try {
+    const session = await adminAuth.findActiveSession(req.body.refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const admin = await Admin.findById(session.admin);
+    if (!admin || admin.isActive === false) {
+      await adminAuth.revokeSession(session._id, 'disabled');
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    const tokens = await adminAuth.rotateSession(session, admin);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json(tokens);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out: revoke this session, or every session for the admin with { allSessions: true }
+app.post('/api/admin/logout', authenticateAdmin, async (req, res) => {
+  try {
+    if (req.body.allSessions) {
+      req.admin.tokenVersion = (req.admin.tokenVersion || 0) + 1;
+      await req.admin.save();
+      const revoked = await adminAuth.revokeAllSessions(req.admin._id, 'logout-all');
+      return res.json({ message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}` });
+    }
+
+    await adminAuth.revokeSession(req.adminSession._id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change own password. Ends every other session and returns fresh tokens for this one.
+app.post('/api/admin/change-password', authenticateAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const admin = req.admin;
+    if (!await bcrypt.compare(currentPassword, admin.password)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (await bcrypt.compare(newPassword, admin.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    const problems = adminAuth.validatePassword(newPassword, admin.username);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems.join('. ') });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 10);
+    admin.mustChangePassword = false;
+    admin.passwordChangedAt = new Date();
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+    await adminAuth.revokeAllSessions(admin._id, 'password-change');
+
+    await recordAudit(req, {
+      action: 'admin-user.change_password',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+    console.log(`Admin ${admin.username} changed their password`);
+
+    const tokens = await adminAuth.createSession(admin, req);
+    res.json({ message: 'Password changed successfully', ...tokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current admin + permissions (used by the admin panel on page load)
+app.get('/api/admin/me', authenticateAdmin, async (req, res) => {
+  res.json({
+    ...formatAdminUser(req.admin),
+    twoFactorSetupRequired: isTwoFactorSetupRequired(req.admin),
+    recoveryCodesRemaining: req.admin.twoFactor && req.admin.twoFactor.enabled
+      ? req.admin.twoFactor.recoveryCodes.length
+      : 0,
+    permissions: adminPermissions.getPermissions(req.admin.role)
+  });
+});
+
+// TWO-FACTOR AUTHENTICATION ROUTES (own account)
+
+// Start enrollment: new secret + otpauth URI for the authenticator app
+app.post('/api/admin/2fa/setup', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = req.admin;
+    if (admin.twoFactor && admin.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactor.generateSecret();
+    admin.twoFactor.pendingSecret = twoFactor.encryptSecret(secret);
+    await admin.save();
+
+    res.json({
+      secret,
+      otpauthUri: twoFactor.buildOtpauthUri(secret, admin.username)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finish enrollment by confirming a code from the app. Recovery codes are only returned here.
+app.post('/api/admin/2fa/enable', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = req.admin;
+    if (!admin.twoFactor || !admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const secret = twoFactor.decryptSecret(admin.twoFactor.pendingSecret);
+    const step = twoFactor.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code. Check the time on your device and try again.' });
+    }
+
+    const recovery = twoFactor.generateRecoveryCodes();
+    admin.twoFactor = {
+      enabled: true,
+      secret: admin.twoFactor.pendingSecret,
+      pendingSecret: null,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: recovery.hashes
+    };
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin-user.2fa_enable',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+    console.log(`Admin ${admin.username} enabled two-factor authentication`);
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: recovery.codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace all recovery codes (needs a current authenticator code)
+app.post('/api/admin/2fa/recovery-codes', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = req.admin;
+    if (!admin.twoFactor || !admin.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (adminAuth.isLocked(admin)) {
+      return res.status(423).json({ error: 'Account locked after too many failed attempts. Try again later.' });
+    }
+    if (verifySecondFactor(admin, { code: req.body.code }) !== 'totp') {
+      return rejectAccountCheck(admin, req, res, 'Invalid authentication code');
+    }
+
+    const recovery = twoFactor.generateRecoveryCodes();
+    admin.twoFactor.recoveryCodes = recovery.hashes;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin-user.2fa_recovery_codes',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+
+    res.json({ recoveryCodes: recovery.codes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn 2FA off (needs password + a code, and isn't allowed for roles that require 2FA)
+app.post('/api/admin/2fa/disable', authenticateAdmin, async (req, res) => {
+  try {
+    const admin = req.admin;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!admin.twoFactor || !admin.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (twoFactor.isRequiredForRole(admin.role)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+    }
+    if (adminAuth.isLocked(admin)) {
+      return res.status(423).json({ error: 'Account locked after too many failed attempts. Try again later.' });
+    }
+    if (!password || !await bcrypt.compare(password, admin.password)) {
+      return rejectAccountCheck(admin, req, res, 'Password is incorrect');
+    }
+    if (!verifySecondFactor(admin, { code, recoveryCode })) {
+      return rejectAccountCheck(admin, req, res, 'Invalid authentication code');
+    }
+
+    admin.twoFactor = { enabled: false, recoveryCodes: [] };
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin-user.2fa_disable',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+    console.log(`Admin ${admin.username} disabled two-factor authentication`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ADMIN USER MANAGEMENT ROUTES (super admins only)
+
+// Helper: make sure at least one active super admin remains
+async function isLastActiveSuperAdmin(admin) {
+  if (admin.role !== 'super_admin' || admin.isActive === false) return false;
+  const otherSuperAdmins = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'super_admin',
+    isActive: { $ne: false }
+  });
+  return otherSuperAdmins === 0;
+}
+
+// Roles and permission matrix
+app.get('/api/admin/roles', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  res.json({
+    roles: adminPermissions.ROLES.map(role => ({
+      role,
+      label: adminPermissions.ROLE_LABELS[role],
+      permissions: adminPermissions.getPermissions(role)
+    })),
+    permissions: adminPermissions.PERMISSIONS
+  });
+});
+
+app.get('/api/admin/users', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find({}).sort({ createdAt: 1 });
+    res.json({ users: admins.map(formatAdminUser) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create admin user
+app.post('/api/admin/users', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    const problems = adminAuth.validatePassword(password, username);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems.join('. ') });
+    }
+    if (role && !adminPermissions.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${adminPermissions.ROLES.join(', ')}` });
+    }
+
+    const admin = await Admin.create({
+      username: username.trim(),
+      password: await bcrypt.hash(password, 10),
+      role: role || 'admin',
+      mustChangePassword: true, // Password was chosen by someone else
+      createdBy: req.admin.username
+    });
+
+    await recordAudit(req, {
+      action: 'admin-user.create',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username,
+      changes: { role: { from: null, to: admin.role } }
+    });
+    console.log(`Admin user ${admin.username} (${admin.role}) created by ${req.admin.username}`);
+
+    res.json(formatAdminUser(admin));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change role or enable/disable an admin user
+app.put('/api/admin/users/:id', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const { role, isActive, unlock } = req.body;
+    const isSelf = admin._id.equals(req.admin._id);
+    const before = formatAdminUser(admin);
+
+    if (role !== undefined && !adminPermissions.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${adminPermissions.ROLES.join(', ')}` });
+    }
+    if (isSelf && ((role !== undefined && role !== admin.role) || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot change your own role or disable your own account' });
+    }
+    const losesSuperAdmin = (role !== undefined && role !== 'super_admin') || isActive === false;
+    if (losesSuperAdmin && await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({ error: 'At least one active super admin is required' });
+    }
+
+    if (role !== undefined) {
+      admin.role = role;
+    }
+    const disabling = isActive !== undefined && !isActive && admin.isActive !== false;
+    if (isActive !== undefined && !!isActive !== (admin.isActive !== false)) {
+      admin.isActive = !!isActive;
+      admin.disabledAt = isActive ? null : new Date();
+      admin.disabledBy = isActive ? null : req.admin.username;
+    }
+    if (unlock) {
+      adminAuth.clearFailedLogins(admin);
+    }
+    if (disabling) {
+      admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    }
+
+    await admin.save();
+    if (disabling) {
+      await adminAuth.revokeAllSessions(admin._id, 'disabled');
+    }
+    await recordAudit(req, {
+      action: disabling ? 'admin-user.disable' : (unlock ? 'admin-user.unlock' : 'admin-user.update'),
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username,
+      before,
+      after: formatAdminUser(admin)
+    });
+    console.log(`Admin user ${admin.username} updated by ${req.admin.username}`);
+
+    res.json(formatAdminUser(admin));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a new password for an admin user
+app.post('/api/admin/users/:id/reset-password', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+
+    const problems = adminAuth.validatePassword(password, admin.username);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems.join('. ') });
+    }
+
+    // The user has to pick their own password at next login, and existing sessions end now
+    admin.password = await bcrypt.hash(password, 10);
+    admin.mustChangePassword = true;
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    adminAuth.clearFailedLogins(admin);
+    await admin.save();
+    await adminAuth.revokeAllSessions(admin._id, 'password-reset');
+
+    // Never put password hashes in the audit trail
+    await recordAudit(req, {
+      action: 'admin-user.reset_password',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+    console.log(`Password for admin user ${admin.username} reset by ${req.admin.username}`);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove 2FA from an admin who lost their device and recovery codes. They re-enroll at next login
+// (required roles) or whenever they choose to.
+app.post('/api/admin/users/:id/reset-2fa', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+    if (!admin.twoFactor || (!admin.twoFactor.enabled && !admin.twoFactor.pendingSecret)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    admin.twoFactor = { enabled: false, recoveryCodes: [] };
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+    await adminAuth.revokeAllSessions(admin._id, '2fa-reset');
+
+    await recordAudit(req, {
+      action: 'admin-user.2fa_reset',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username
+    });
+    console.log(`Two-factor authentication for ${admin.username} reset by ${req.admin.username}`);
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete admin user
+app.delete('/api/admin/users/:id', authenticateAdmin, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({ error: 'At least one active super admin is required' });
+    }
+
+    await Admin.findByIdAndDelete(admin._id);
+    await recordAudit(req, {
+      action: 'admin-user.delete',
+      entityType: 'admin-user',
+      entityId: admin._id,
+      entityLabel: admin.username,
+      before: formatAdminUser(admin)
+    });
+    console.log(`Admin user ${admin.username} deleted by ${req.admin.username}`);
+
+    res.json({ message: 'Admin user deleted successfully', username: admin.username });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid admin user ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// NEW CLAIMS API ENDPOINTS
+
+// Warranty Lookup for Claims
+app.get('/api/warranty/lookup', async (req, res) => {
+  try {
+    console.log('🔍 Warranty lookup request:', req.query);
+    
+    const { email, warrantyNumber, orderId, serialNumber } = req.query;
+    
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is required'
+      });
+    }
+    
+    let filter = { email: email.toLowerCase() };
+    
+    // Add additional lookup criteria
+    if (warrantyNumber) {
+      filter.warrantyNumber = warrantyNumber;
+    } else if (orderId) {
+      filter.orderId = orderId;
     } else if (serialNumber) {
       // Assuming you have a serialNumber field, otherwise use warrantyNumber
       filter.warrantyNumber = serialNumber;
     } else {
       return res.status(400).json({
-        success: false,
-        message: 'Please provide warranty number, order ID, or serial number'
+        success: false,
+        message: 'Please provide warranty number, order ID, or serial number'
+      });
+    }
+    
+    console.log('🔍 Searching with filter:', filter);
+    
+    const warranty = await WarrantyRegistration.findOne(filter)
+      .populate('replacedByRegistration', 'warrantyNumber product');
+    
+    if (!warranty) {
+      return res.json({
+        success: false,
+        message: 'Warranty not found. Please check your information and try again.'
+      });
+    }
+    
+    // Check if warranty is expired
+    const isExpired = new Date() > new Date(warranty.warrantyEndDate);
+    
+    // Check for existing claims
+    const existingClaims = await Claim.find({ 
+      warrantyId: warranty._id,
+      status: { $nin: ['cancelled', 'completed'] }
+    });
+    
+    console.log('✅ Warranty found:', {
+      warrantyNumber: warranty.warrantyNumber,
+      product: warranty.product,
+      isExpired,
+      existingClaims: existingClaims.length
+    });
+    
+    res.json({
+      success: true,
+      warranty: {
+        _id: warranty._id,
+        warrantyNumber: warranty.warrantyNumber,
+        product: warranty.product,
+        fullName: warranty.fullName,
+        email: warranty.email,
+        purchaseDate: warranty.purchaseDate,
+        warrantyEndDate: warranty.warrantyEndDate,
+        status: warranty.status,
+        isExpired,
+        replacedBy: warranty.replacedByRegistration ? {
+          warrantyNumber: warranty.replacedByRegistration.warrantyNumber,
+          product: warranty.replacedByRegistration.product
+        } : null,
+        existingClaims: existingClaims.map(claim => ({
+          claimNumber: claim.claimNumber,
+          status: claim.status,
+          submittedAt: claim.submittedAt
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Warranty lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during warranty lookup'
+    });
+  }
+});
+
+// Submit Warranty Claim
+// Accepts JSON, or multipart/form-data with photos/videos/receipts/attachments files
+app.post('/api/claims/submit', handleClaimUpload, async (req, res) => {
+  try {
+    console.log('📝 Claim submission request:', req.body);
+    
+    const {
+      warrantyNumber,
+      email,
+      warrantyId,
+      issueType,
+      issueDescription,
+      issueStartDate,
+      usageFrequency,
+      troubleshootingSteps,
+      preferredResolution,
+      contactPhone,
+      contactMethod,
+      shippingAddress,
+      additionalNotes
+    } = req.body;
+    
+    // Multipart forms send lists as a JSON string or repeated fields
+    let steps = troubleshootingSteps || [];
+    if (typeof steps === 'string') {
+      try {
+        steps = JSON.parse(steps);
+      } catch (parseError) {
+        steps = [steps];
+      }
+    }
+    
+    // Validation
+    const requiredFields = [
+      'warrantyNumber', 'email', 'warrantyId', 'issueType', 
+      'issueDescription', 'preferredResolution', 'contactPhone', 'shippingAddress'
+    ];
+    
+    for (const field of requiredFields) {
+      if (!req.body[field]) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} is required`
+        });
+      }
+    }
+    
+    // Verify warranty exists and matches
+    const warranty = await WarrantyRegistration.findById(warrantyId);
+    if (!warranty || warranty.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid warranty information'
+      });
+    }
+    
+    // Check for duplicate active claims
+    const existingClaim = await Claim.findOne({
+      warrantyId: warrantyId,
+      status: { $nin: ['completed', 'cancelled', 'denied'] }
+    });
+    
+    if (existingClaim) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have an active claim (${existingClaim.claimNumber}) for this warranty.`
+      });
+    }
+    
+    // Create new claim
+    const claimData = {
+      warrantyId,
+      warrantyNumber,
+      customerName: warranty.fullName,
+      customerEmail: email,
+      contactPhone,
+      shippingAddress,
+      contactMethod: contactMethod || 'email',
+      issueType,
+      issueDescription,
+      issueStartDate: issueStartDate ? new Date(issueStartDate) : null,
+      usageFrequency,
+      troubleshootingSteps: Array.isArray(steps) ? steps : [steps],
+      additionalNotes,
+      attachments: buildClaimAttachments(req.files, 'customer'),
+      preferredResolution,
+      status: 'submitted',
+      priority: determinePriority(issueType, warranty),
+      statusHistory: [{
+        from: null,
+        to: 'submitted',
+        changedBy: 'customer',
+        changedAt: new Date()
+      }]
+    };
+    
+    const claim = new Claim(claimData);
+    await claim.save();
+    
+    console.log('✅ Claim created:', claim.claimNumber);
+    
+    // Confirmation email goes through the retry queue so Omnisend can't slow down or fail the submission
+    await queueClaimEmail(claim, 'claim-submitted');
+    
+    // Update warranty status if needed
+    if (warranty.status === 'active') {
+      warranty.status = 'claimed';
+      await warranty.save();
+    }
+    await queueShopifyReconciliation(warranty.email);
+    await emitWebhookEvent('claim.submitted', {
+      ...webhookClaimData(claim),
+      registration: webhookRegistrationData(warranty)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Claim submitted successfully',
+      claimNumber: claim.claimNumber,
+      claimId: claim._id,
+      claim: {
+        claimNumber: claim.claimNumber,
+        status: claim.status,
+        submittedAt: claim.submittedAt,
+        expectedResolution: getExpectedResolutionTime(claim.priority),
+        attachments: claim.attachments.length
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Claim submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during claim submission'
+    });
+  }
+});
+
+// Add evidence to an existing claim (customer verifies with claim number + email)
+app.post('/api/claims/:claimNumber/attachments', handleClaimUpload, async (req, res) => {
+  try {
+    const files = getUploadedFiles(req.files);
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const claim = await Claim.findOne({ claimNumber: req.params.claimNumber });
+    if (!claim || claim.customerEmail.toLowerCase() !== email.toLowerCase()) {
+      return res.status(404).json({ success: false, message: 'Claim not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(claim.status)) {
+      return res.status(400).json({ success: false, message: `Claim is ${claim.status} and no longer accepts attachments` });
+    }
+
+    if (claim.attachments.length + files.length > MAX_CLAIM_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A claim can have at most ${MAX_CLAIM_ATTACHMENTS} attachments (${claim.attachments.length} already uploaded)`
+      });
+    }
+
+    claim.attachments.push(...buildClaimAttachments(files, 'customer'));
+    await claim.save();
+
+    console.log(`📎 ${files.length} attachment(s) added to claim ${claim.claimNumber}`);
+
+    res.json({
+      success: true,
+      message: `${files.length} file(s) uploaded successfully`,
+      attachments: claim.attachments.map(attachment => ({
+        type: attachment.type,
+        originalName: attachment.originalName,
+        fileSize: attachment.fileSize,
+        uploadedAt: attachment.uploadedAt
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Attachment upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during file upload'
+    });
+  }
+});
+
+// Public claim status tracking (claim number + email)
+app.get('/api/claims/track', async (req, res) => {
+  try {
+    const { claimNumber, email } = req.query;
+
+    // A repeated query parameter arrives as an array
+    if (typeof claimNumber !== 'string' || typeof email !== 'string' || !claimNumber.trim() || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim number and email address are required'
+      });
+    }
+
+    const claim = await Claim.findOne({ claimNumber: claimNumber.trim().toUpperCase() })
+      .populate('warrantyId', 'product');
+
+    // Same response for unknown claim and wrong email so claim numbers can't be probed
+    if (!claim || claim.customerEmail.toLowerCase() !== email.trim().toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found. Please check your claim number and email address.'
+      });
+    }
+
+    const isOpen = !['denied', 'completed', 'cancelled'].includes(claim.status);
+
+    res.json({
+      success: true,
+      claim: {
+        claimNumber: claim.claimNumber,
+        warrantyNumber: claim.warrantyNumber,
+        product: claim.warrantyId ? claim.warrantyId.product : null,
+        issueType: claim.issueType,
+        preferredResolution: claim.preferredResolution,
+        status: claim.status,
+        statusLabel: claimWorkflow.CUSTOMER_STATUS_LABELS[claim.status],
+        submittedAt: claim.submittedAt,
+        updatedAt: claim.updatedAt,
+        resolvedAt: claim.resolvedAt || null,
+        expectedResolution: isOpen ? getExpectedResolutionTime(claim.priority) : null,
+        expectedResolutionDate: isOpen ? getExpectedResolutionDate(claim.submittedAt, claim.priority) : null,
+        timeline: claimWorkflow.getCustomerTimeline(claim),
+        message: claim.customerMessage || null,
+        messageUpdatedAt: claim.customerMessageUpdatedAt || null,
+        denialReason: claim.status === 'denied' ? claim.denialReason : null,
+        attachments: claim.attachments.length,
+        rmaNumber: claim.rmaNumber || null,
+        returnShipment: claim.rmaNumber ? {
+          status: claim.returnShipment.status,
+          carrier: claim.returnShipment.carrier || null,
+          trackingNumber: claim.returnShipment.trackingNumber || null,
+          receivedAt: claim.returnShipment.receivedAt || null
+        } : null,
+        outboundShipment: claim.outboundShipment && claim.outboundShipment.status ? {
+          status: claim.outboundShipment.status,
+          carrier: claim.outboundShipment.carrier || null,
+          trackingNumber: claim.outboundShipment.trackingNumber || null,
+          shippedAt: claim.outboundShipment.shippedAt || null,
+          deliveredAt: claim.outboundShipment.deliveredAt || null
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Claim tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during claim lookup'
+    });
+  }
+});
+
+// CLAIMS ADMIN ROUTES
+
+// Get all claims for admin
+app.get('/api/admin/claims', authenticateAdmin, requirePermission('claims.view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    
+    // Filter by status
+    if (req.query.status) filter.status = req.query.status;
+    
+    // Filter by priority
+    if (req.query.priority) filter.priority = req.query.priority;
+    
+    // Filter by issue type
+    if (req.query.issueType) filter.issueType = req.query.issueType;
+    
+    // Search across multiple fields
+    if (req.query.search) {
+      const searchTerm = req.query.search;
+      filter.$or = [
+        { claimNumber: new RegExp(searchTerm, 'i') },
+        { warrantyNumber: new RegExp(searchTerm, 'i') },
+        { customerName: new RegExp(searchTerm, 'i') },
+        { customerEmail: new RegExp(searchTerm, 'i') }
+      ];
+    }
+
+    const claims = await Claim.find(filter)
+      .populate('warrantyId', 'product fullName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ submittedAt: -1 });
+
+    const total = await Claim.countDocuments(filter);
+
+    res.json({
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Claims statistics for admin dashboard (registered before /:id so 'stats' isn't read as an ID)
+app.get('/api/admin/claims/stats', authenticateAdmin, requirePermission('claims.view'), async (req, res) => {
+  try {
+    const totalClaims = await Claim.countDocuments();
+    const pendingClaims = await Claim.countDocuments({ status: 'submitted' });
+    const underReviewClaims = await Claim.countDocuments({ status: 'under-review' });
+    const approvedClaims = await Claim.countDocuments({ status: 'approved' });
+    const deniedClaims = await Claim.countDocuments({ status: 'denied' });
+    const completedClaims = await Claim.countDocuments({ status: 'completed' });
+
+    // Claims by issue type
+    const issueTypeStats = await Claim.aggregate([
+      { $group: { _id: '$issueType', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Claims by priority
+    const priorityStats = await Claim.aggregate([
+      { $group: { _id: '$priority', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    // Recent claims (last 7 days)
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const recentClaims = await Claim.countDocuments({
+      submittedAt: { $gte: sevenDaysAgo }
+    });
+
+    res.json({
+      totalClaims,
+      pendingClaims,
+      underReviewClaims,
+      approvedClaims,
+      deniedClaims,
+      completedClaims,
+      recentClaims,
+      issueTypeStats,
+      priorityStats
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single claim by ID
+app.get('/api/admin/claims/:id', authenticateAdmin, requirePermission('claims.view'), async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+      .populate('warrantyId');
+    
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json(formatAdminClaim(claim));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record the customer's return shipment (tracking) or its arrival (received date + condition)
+app.put('/api/admin/claims/:id/shipments/return', authenticateAdmin, requirePermission('claims.update'), async (req, res) => {
+  try {
+    const { carrier, trackingNumber, shippedAt, receivedAt, conditionOnArrival, conditionNotes } = req.body;
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (claim.status !== 'approved') {
+      return res.status(400).json({ error: 'Shipments can only be recorded on approved claims' });
+    }
+    if (!claimWorkflow.requiresRma(claim)) {
+      return res.status(400).json({ error: `A ${claimWorkflow.getResolutionType(claim)} claim has no return shipment` });
+    }
+
+    const before = claim.toObject();
+    issueRma(claim);
+    const shipment = claim.returnShipment;
+
+    if (carrier !== undefined) shipment.carrier = carrier;
+    if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber;
+    if (shippedAt !== undefined) shipment.shippedAt = shippedAt ? new Date(shippedAt) : null;
+
+    if (receivedAt || conditionOnArrival) {
+      if (!conditionOnArrival) {
+        return res.status(400).json({ error: 'conditionOnArrival is required when marking the return as received' });
+      }
+      shipment.receivedAt = receivedAt ? new Date(receivedAt) : new Date();
+      shipment.receivedBy = req.admin.username;
+      shipment.conditionOnArrival = conditionOnArrival;
+      if (conditionNotes !== undefined) shipment.conditionNotes = conditionNotes;
+    }
+
+    shipment.status = shipment.receivedAt ? 'received' : shipment.trackingNumber ? 'in-transit' : 'pending';
+
+    await claim.save();
+    await recordAudit(req, {
+      action: 'claim.return_shipment',
+      entityType: 'claim',
+      entityId: claim._id,
+      entityLabel: claim.claimNumber,
+      before,
+      after: claim
+    });
+    await claim.populate('warrantyId');
+    console.log(`Return shipment for claim ${claim.claimNumber} updated by ${req.admin.username} (${shipment.status})`);
+
+    res.json(formatAdminClaim(claim));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record the repaired / replacement unit going back to the customer
+app.put('/api/admin/claims/:id/shipments/outbound', authenticateAdmin, requirePermission('claims.update'), async (req, res) => {
+  try {
+    const { carrier, trackingNumber, shippedAt, deliveredAt } = req.body;
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (claim.status !== 'approved') {
+      return res.status(400).json({ error: 'Shipments can only be recorded on approved claims' });
+    }
+    if (!(claimWorkflow.REQUIRED_SHIPMENT_LEGS[claimWorkflow.getResolutionType(claim)] || []).includes('outboundShipment')) {
+      return res.status(400).json({ error: `A ${claimWorkflow.getResolutionType(claim)} claim has no outbound shipment` });
+    }
+
+    const before = claim.toObject();
+    issueRma(claim);
+    const shipment = claim.outboundShipment;
+    const wasShipped = !!shipment.shippedAt;
+
+    if (carrier !== undefined) shipment.carrier = carrier;
+    if (trackingNumber !== undefined) shipment.trackingNumber = trackingNumber;
+
+    if (shippedAt || (trackingNumber && !shipment.shippedAt)) {
+      if (!shipment.carrier || !shipment.trackingNumber) {
+        return res.status(400).json({ error: 'carrier and trackingNumber are required to mark the unit as shipped' });
+      }
+      shipment.shippedAt = shippedAt ? new Date(shippedAt) : new Date();
+      shipment.shippedBy = req.admin.username;
+    }
+    if (deliveredAt) {
+      if (!shipment.shippedAt) {
+        return res.status(400).json({ error: 'The unit must be shipped before it can be delivered' });
+      }
+      shipment.deliveredAt = new Date(deliveredAt);
+    }
+
+    shipment.status = shipment.deliveredAt ? 'delivered' : shipment.shippedAt ? 'shipped' : 'pending';
+
+    await claim.save();
+    await recordAudit(req, {
+      action: 'claim.outbound_shipment',
+      entityType: 'claim',
+      entityId: claim._id,
+      entityLabel: claim.claimNumber,
+      before,
+      after: claim
+    });
+    await claim.populate('warrantyId');
+    console.log(`Outbound shipment for claim ${claim.claimNumber} updated by ${req.admin.username} (${shipment.status})`);
+    if (!wasShipped && shipment.shippedAt) {
+      await queueClaimEmail(claim, 'claim-shipped');
+    }
+
+    res.json(formatAdminClaim(claim));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Assign an unused warranty number to the replacement unit of an approved replacement claim
+app.post('/api/admin/claims/:id/replacement', authenticateAdmin, requirePermission('claims.update'), async (req, res) => {
+  try {
+    const { warrantyNumber } = req.body;
+    if (!warrantyNumber) {
+      return res.status(400).json({ error: 'warrantyNumber is required' });
+    }
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (claim.status !== 'approved' || claimWorkflow.getResolutionType(claim) !== 'replacement') {
+      return res.status(400).json({ error: 'Replacement units can only be assigned to approved replacement claims' });
+    }
+    if (claim.replacementRegistration) {
+      return res.status(400).json({ error: `Replacement already assigned (warranty #${claim.replacementWarrantyNumber})` });
+    }
+
+    const before = claim.toObject();
+    const replacement = await fulfillReplacement(claim, String(warrantyNumber).trim(), req.admin.username);
+    await recordAudit(req, {
+      action: 'claim.replacement_assigned',
+      entityType: 'claim',
+      entityId: claim._id,
+      entityLabel: claim.claimNumber,
+      before,
+      after: claim,
+      metadata: {
+        originalRegistrationId: claim.warrantyId.toString(),
+        replacementRegistrationId: replacement._id.toString(),
+        replacementWarrantyNumber: replacement.warrantyNumber
+      }
+    });
+    await recordAudit(req, {
+      action: 'registration.replaced',
+      entityType: 'registration',
+      entityId: claim.warrantyId,
+      entityLabel: claim.warrantyNumber,
+      changes: {
+        status: { from: null, to: 'replaced' },
+        replacedByRegistration: { from: null, to: replacement._id.toString() }
+      },
+      metadata: { claimNumber: claim.claimNumber }
+    });
+    await recordAudit(req, {
+      action: 'registration.create',
+      entityType: 'registration',
+      entityId: replacement._id,
+      entityLabel: replacement.warrantyNumber,
+      after: replacement,
+      metadata: { claimNumber: claim.claimNumber, replaces: claim.warrantyNumber }
+    });
+    await queueShopifyReconciliation(replacement.email);
+    await emitWebhookEvent('registration.created', webhookRegistrationData(replacement));
+    await claim.populate('warrantyId');
+
+    res.json({
+      claim: formatAdminClaim(claim),
+      replacementRegistration: replacement
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    if (error.name === 'ReplacementError' || error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List claim attachments
+app.get('/api/admin/claims/:id/attachments', authenticateAdmin, requirePermission('claims.view'), async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id).select('claimNumber attachments');
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json({ claimNumber: claim.claimNumber, attachments: claim.attachments });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a claim attachment
+app.get('/api/admin/claims/:id/attachments/:attachmentId', authenticateAdmin, requirePermission('claims.view'), async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id).select('claimNumber attachments');
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const attachment = claim.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const filePath = path.join(CLAIM_UPLOAD_DIR, path.basename(attachment.filename));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Attachment file is missing' });
+    }
+
+    res.download(filePath, attachment.originalName, (err) => {
+      if (err) {
+        console.error('Download error:', err);
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim or attachment ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update claim (admin action). Status changes go through the claim state machine.
+app.put('/api/admin/claims/:id', authenticateAdmin, requirePermission('claims.update'), async (req, res) => {
+  try {
+    const { status, priority, assignedTo, adminNote, customerMessage } = req.body;
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    const before = claim.toObject();
+
+    let transition = null;
+    if (status && status !== claim.status) {
+      transition = claimWorkflow.transitionClaim(claim, status, req.body, req.admin.username);
+
+      if (transition.to === 'approved' && claimWorkflow.requiresRma(claim)) {
+        issueRma(claim);
+      }
+    }
+
+    if (priority) claim.priority = priority;
+    if (assignedTo !== undefined) claim.assignedTo = assignedTo;
+
+    if (customerMessage !== undefined && customerMessage !== (claim.customerMessage || '')) {
+      claim.customerMessage = customerMessage;
+      claim.customerMessageUpdatedAt = new Date();
+    }
+
+    if (adminNote) {
+      claim.adminNotes.push({
+        note: adminNote,
+        addedBy: req.admin.username,
+        addedAt: new Date()
+      });
+    }
+
+    await claim.save();
+    await recordAudit(req, {
+      action: transition ? 'claim.status_change' : 'claim.update',
+      entityType: 'claim',
+      entityId: claim._id,
+      entityLabel: claim.claimNumber,
+      before,
+      after: claim
+    });
+    await claim.populate('warrantyId');
+
+    if (transition) {
+      await queueShopifyReconciliation(claim.warrantyId ? claim.warrantyId.email : claim.customerEmail);
+      if (emailTemplates.STATUS_TEMPLATES[transition.to]) {
+        await queueClaimEmail(claim, emailTemplates.STATUS_TEMPLATES[transition.to]);
+      }
+      await emitWebhookEvent('claim.status_changed', {
+        ...webhookClaimData(claim),
+        previousStatus: transition.from,
+        changedBy: req.admin.username
+      });
+      console.log(`Claim ${claim.claimNumber} moved from ${transition.from} to ${transition.to} by ${req.admin.username}`);
+    } else {
+      console.log(`Claim ${claim.claimNumber} updated by ${req.admin.username}`);
+    }
+
+    res.json(formatAdminClaim(claim));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid claim ID' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'ClaimTransitionError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// EXISTING ROUTES (keeping all your current functionality)
+
+// Warranty Number Management
+app.post('/api/admin/warranty-numbers/upload', authenticateAdmin, requirePermission('warranty-numbers.create'), upload.single('csv'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const results = [];
+    const errors = [];
+
+    fs.createReadStream(req.file.path)
+      .pipe(csv())
+      .on('data', (data) => {
+        if (data.warrantyNumber && data.productId && data.productName) {
+          results.push({
+            warrantyNumber: data.warrantyNumber.trim(),
+            productId: data.productId.trim(),
+            productName: data.productName.trim()
+          });
+        }
+      })
+      .on('end', async () => {
+        try {
+          let successCount = 0;
+          
+          for (const item of results) {
+            try {
+              await WarrantyNumber.create(item);
+              successCount++;
+            } catch (error) {
+              if (error.code === 11000) {
+                errors.push(`Warranty number ${item.warrantyNumber} already exists`);
+              } else {
+                errors.push(`Error with ${item.warrantyNumber}: ${error.message}`);
+              }
+            }
+          }
+
+          fs.unlinkSync(req.file.path);
+
+          await recordAudit(req, {
+            action: 'warranty-number.import',
+            entityType: 'warranty-number',
+            metadata: {
+              fileName: req.file.originalname,
+              rows: results.length,
+              imported: successCount,
+              failed: errors.length
+            }
+          });
+
+          res.json({
+            message: `Successfully imported ${successCount} warranty numbers`,
+            errors: errors.length > 0 ? errors : undefined
+          });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/warranty-numbers', authenticateAdmin, requirePermission('warranty-numbers.create'), async (req, res) => {
+  try {
+    const { warrantyNumber, productId, productName } = req.body;
+    
+    if (!warrantyNumber || !productId || !productName) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    const newWarrantyNumber = await WarrantyNumber.create({
+      warrantyNumber,
+      productId,
+      productName
+    });
+
+    await recordAudit(req, {
+      action: 'warranty-number.create',
+      entityType: 'warranty-number',
+      entityId: newWarrantyNumber._id,
+      entityLabel: newWarrantyNumber.warrantyNumber,
+      after: newWarrantyNumber
+    });
+
+    res.json(newWarrantyNumber);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Warranty number already exists' });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+app.get('/api/admin/warranty-numbers', authenticateAdmin, requirePermission('warranty-numbers.view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.productId) filter.productId = req.query.productId;
+    if (req.query.isUsed !== undefined) filter.isUsed = req.query.isUsed === 'true';
+
+    const warrantyNumbers = await WarrantyNumber.find(filter)
+      .populate('registrationId', 'fullName email')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WarrantyNumber.countDocuments(filter);
+
+    res.json({
+      warrantyNumbers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PRODUCT CATALOG ROUTES
+
+// Public list of active products (registration form, bulk uploader)
+app.get('/api/products', async (req, res) => {
+  try {
+    const products = await Product.find({ isActive: true })
+      .sort({ name: 1 })
+      .select('code name');
+
+    res.json({ products });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all products for admin (including inactive)
+app.get('/api/admin/products', authenticateAdmin, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const products = await Product.find(filter).sort({ name: 1 });
+    res.json({ products });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create product
+app.post('/api/admin/products', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { code, name, omnisendSegmentTag, shopifyTag, shopifySkus, shopifyProductIds, claimPrefix, isActive } = req.body;
+
+    if (!code || !name || !claimPrefix) {
+      return res.status(400).json({ error: 'Code, name and claim prefix are required' });
+    }
+
+    const product = await Product.create({
+      code,
+      name,
+      omnisendSegmentTag,
+      shopifyTag: shopifyTag || `product-${code.toLowerCase()}`,
+      shopifySkus,
+      shopifyProductIds,
+      claimPrefix,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await productCatalog.refreshProducts();
+    await recordAudit(req, {
+      action: 'product.create',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.code,
+      after: product
+    });
+    console.log(`Product ${product.code} created by ${req.admin.username}`);
+
+    res.json(product);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A product with this code or name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update product
+app.put('/api/admin/products/:id', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Code and name are referenced by existing registrations and warranty numbers
+    // (tags and claim prefixes are looked up by the stored product name)
+    const codeChanged = req.body.code && req.body.code.toLowerCase() !== product.code;
+    const nameChanged = req.body.name && req.body.name.trim() !== product.name;
+    if (codeChanged || nameChanged) {
+      const inUse = await WarrantyNumber.exists({ productId: product.code }) ||
+                    await WarrantyRegistration.exists({ productId: product.code });
+      if (inUse) {
+        const field = codeChanged ? 'code' : 'name';
+        return res.status(400).json({ error: `Product ${field} is in use and cannot be changed` });
+      }
+    }
+
+    const before = product.toObject();
+    const fields = ['code', 'name', 'omnisendSegmentTag', 'shopifyTag', 'shopifySkus', 'shopifyProductIds', 'claimPrefix', 'isActive'];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        product[field] = req.body[field];
+      }
+    }
+
+    await product.save();
+    await productCatalog.refreshProducts();
+    await recordAudit(req, {
+      action: 'product.update',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.code,
+      before,
+      after: product
+    });
+    console.log(`Product ${product.code} updated by ${req.admin.username}`);
+
+    res.json(product);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A product with this code or name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete product (only when nothing references it - otherwise deactivate it)
+app.delete('/api/admin/products/:id', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const inUse = await WarrantyNumber.exists({ productId: product.code }) ||
+                  await WarrantyRegistration.exists({ productId: product.code });
+    if (inUse) {
+      return res.status(400).json({
+        error: 'Product has warranty numbers or registrations. Set it inactive instead of deleting it.'
+      });
+    }
+
+    await Product.findByIdAndDelete(product._id);
+    await productCatalog.refreshProducts();
+    await recordAudit(req, {
+      action: 'product.delete',
+      entityType: 'product',
+      entityId: product._id,
+      entityLabel: product.code,
+      before: product
+    });
+
+    res.json({ message: 'Product deleted successfully', code: product.code });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// WARRANTY PLAN ROUTES
+
+// Helper: make sure a product only ever has one default plan
+async function findDefaultPlanConflict(productCodes, excludePlanId) {
+  const filter = {
+    isDefault: true,
+    isActive: true,
+    products: { $in: productCodes }
+  };
+  if (excludePlanId) filter._id = { $ne: excludePlanId };
+  return WarrantyPlan.findOne(filter);
+}
+
+// Public list of active plans, optionally for one product
+app.get('/api/warranty-plans', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.product) filter.products = req.query.product.toLowerCase();
+
+    const plans = await WarrantyPlan.find(filter)
+      .sort({ price: 1, durationMonths: 1 })
+      .select('code name description products durationMonths coverageType price currency isDefault');
+
+    res.json({ plans });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all plans for admin
+app.get('/api/admin/warranty-plans', authenticateAdmin, requirePermission('catalog.view'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.product) filter.products = req.query.product.toLowerCase();
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const plans = await WarrantyPlan.find(filter).sort({ createdAt: -1 });
+    res.json({ plans });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create plan
+app.post('/api/admin/warranty-plans', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const { code, name, description, products, durationMonths, coverageType, price, currency, isDefault, isActive } = req.body;
+
+    if (!code || !name || !durationMonths || !Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'Code, name, duration and at least one product are required' });
+    }
+
+    const unknownProducts = products.filter(productCode => !productCatalog.findByCode(productCode));
+    if (unknownProducts.length > 0) {
+      return res.status(400).json({ error: `Unknown products: ${unknownProducts.join(', ')}` });
+    }
+
+    if (isDefault) {
+      const conflict = await findDefaultPlanConflict(products.map(p => p.toLowerCase()));
+      if (conflict) {
+        return res.status(400).json({ error: `Plan ${conflict.code} is already the default for one of these products` });
+      }
+    }
+
+    const plan = await WarrantyPlan.create({
+      code,
+      name,
+      description,
+      products,
+      durationMonths,
+      coverageType,
+      price,
+      currency,
+      isDefault: !!isDefault,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    await recordAudit(req, {
+      action: 'warranty-plan.create',
+      entityType: 'warranty-plan',
+      entityId: plan._id,
+      entityLabel: plan.code,
+      after: plan
+    });
+    console.log(`Warranty plan ${plan.code} created by ${req.admin.username}`);
+    res.json(plan);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A plan with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update plan (existing registrations keep the terms they were registered with)
+app.put('/api/admin/warranty-plans/:id', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const plan = await WarrantyPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Warranty plan not found' });
+    }
+
+    const before = plan.toObject();
+    const fields = ['name', 'description', 'products', 'durationMonths', 'coverageType', 'price', 'currency', 'isDefault', 'isActive'];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        plan[field] = req.body[field];
+      }
+    }
+
+    const unknownProducts = plan.products.filter(productCode => !productCatalog.findByCode(productCode));
+    if (unknownProducts.length > 0) {
+      return res.status(400).json({ error: `Unknown products: ${unknownProducts.join(', ')}` });
+    }
+
+    if (plan.isDefault && plan.isActive) {
+      const conflict = await findDefaultPlanConflict(plan.products, plan._id);
+      if (conflict) {
+        return res.status(400).json({ error: `Plan ${conflict.code} is already the default for one of these products` });
+      }
+    }
+
+    await plan.save();
+    await recordAudit(req, {
+      action: 'warranty-plan.update',
+      entityType: 'warranty-plan',
+      entityId: plan._id,
+      entityLabel: plan.code,
+      before,
+      after: plan
+    });
+    console.log(`Warranty plan ${plan.code} updated by ${req.admin.username}`);
+
+    res.json(plan);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid warranty plan ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete plan (only when no registration uses it - otherwise deactivate it)
+app.delete('/api/admin/warranty-plans/:id', authenticateAdmin, requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    const plan = await WarrantyPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Warranty plan not found' });
+    }
+
+    const inUse = await WarrantyRegistration.exists({ warrantyPlan: plan._id });
+    if (inUse) {
+      return res.status(400).json({
+        error: 'Plan is used by existing registrations. Set it inactive instead of deleting it.'
+      });
+    }
+
+    await WarrantyPlan.findByIdAndDelete(plan._id);
+    await recordAudit(req, {
+      action: 'warranty-plan.delete',
+      entityType: 'warranty-plan',
+      entityId: plan._id,
+      entityLabel: plan.code,
+      before: plan
+    });
+    res.json({ message: 'Warranty plan deleted successfully', code: plan.code });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid warranty plan ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ENHANCED WARRANTY REGISTRATION WITH SHOPIFY AND EMAIL INTEGRATION
+app.post('/api/register', idempotent('register'), async (req, res) => {
+  try {
+    console.log('🔄 Processing warranty registration with integrations...');
+    
+    const {
+      firstName,
+      lastName,
+      fullName,
+      email,
+      phone,
+      address,
+      product,
+      productId,
+      source,
+      orderId,
+      warrantyNumber,
+      purchaseDate
+    } = req.body;
+
+    // Validation
+    if (!firstName || !lastName || !email || !warrantyNumber || !product || !source || !purchaseDate) {
+      return res.status(400).json({
+        error: 'Missing required fields'
+      });
+    }
+
+    const catalogProduct = productCatalog.findByCode(productId) || productCatalog.findByName(product);
+    if (!catalogProduct || !catalogProduct.isActive) {
+      return res.status(400).json({
+        error: 'Unknown or inactive product'
+      });
+    }
+
+    // Customers always get the product's default plan. Paid plans are applied by an admin
+    // (registration edit) once the purchase is confirmed - never taken from the public form.
+    const plan = await warrantyPlans.resolvePlan(catalogProduct.code);
+    const planTerms = warrantyPlans.getPlanTerms(plan);
+    const warrantyEndDate = warrantyPlans.calculateWarrantyEndDate(purchaseDate, planTerms.warrantyDurationMonths);
+
+    // Check if customer is repeat customer
+    const existingRegistrations = await WarrantyRegistration.find({ email });
+    const isRepeatCustomer = existingRegistrations.length > 0;
+
+    // Claim the number atomically so two concurrent submissions can't both register it
+    const validWarrantyNumber = await WarrantyNumber.findOneAndUpdate(
+      { warrantyNumber, productId: catalogProduct.code, isUsed: false },
+      { isUsed: true, usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!validWarrantyNumber) {
+      const alreadyUsed = await WarrantyNumber.exists({ warrantyNumber, productId: catalogProduct.code, isUsed: true });
+      if (alreadyUsed) {
+        return res.status(409).json({
+          error: 'This warranty number has already been registered'
+        });
+      }
+      return res.status(400).json({ 
+        error: 'Invalid warranty number or product mismatch' 
       });
     }
+
+    // Create warranty registration data
+    const warrantyData = {
+      firstName,
+      lastName,
+      fullName: fullName || `${firstName} ${lastName}`,
+      email,
+      phone,
+      address,
+      product,
+      productId: catalogProduct.code,
+      source,
+      orderId,
+      warrantyNumber,
+      purchaseDate: new Date(purchaseDate),
+      warrantyEndDate,
+      ...planTerms,
+      isRepeatCustomer,
+      // Shopify integration fields
+      shopifyCustomerId: null,
+      shopifyTags: [],
+      shopifyIntegrationStatus: 'pending',
+      // Email fields
+      emailSent: false,
+      emailStatus: 'pending',
+      // Shopify orders are checked by the queue worker; other stores can't be checked
+      orderVerification: { status: isShopifyOrderSource(source) ? 'pending' : 'skipped' }
+    };
+
+    // Save to database first
+    let registration;
+    try {
+      registration = await WarrantyRegistration.create(warrantyData);
+    } catch (error) {
+      // Roll back the warranty number so the customer can try again
+      await WarrantyNumber.findByIdAndUpdate(validWarrantyNumber._id, { isUsed: false, usedAt: null });
+      throw error;
+    }
+    await WarrantyNumber.findByIdAndUpdate(validWarrantyNumber._id, { registrationId: registration._id });
+    console.log('✅ Warranty saved to database');
+
+    // Shopify and Omnisend are updated by the queue worker (with retries), not inline
+    const queueOptions = { entityType: 'registration', entityId: registration._id };
+    const shopifyJob = await jobQueue.enqueue('shopify.sync-registration', { registrationId: registration._id.toString() }, queueOptions);
+    const emailJob = await jobQueue.enqueue('email.warranty-confirmation', { registrationId: registration._id.toString() }, queueOptions);
+    if (isShopifyOrderSource(source)) {
+      await jobQueue.enqueue('shopify.verify-order', { registrationId: registration._id.toString() }, queueOptions);
+    }
+
+    console.log('✅ Warranty registration completed successfully (integrations queued)');
+    await emitWebhookEvent('registration.created', webhookRegistrationData(registration));
+
+    res.json({ 
+      message: 'Warranty registered successfully',
+      registrationId: registration._id,
+      warrantyEndDate,
+      warrantyPlan: {
+        code: planTerms.warrantyPlanCode,
+        coverageType: planTerms.coverageType,
+        durationMonths: planTerms.warrantyDurationMonths
+      },
+      shopifyIntegration: {
+        status: registration.shopifyIntegrationStatus,
+        queued: true,
+        jobId: shopifyJob._id
+      },
+      emailConfirmation: {
+        status: registration.emailStatus,
+        queued: true,
+        jobId: emailJob._id
+      }
+    });
+  } catch (error) {
+    console.error('❌ Registration error:', error);
+    if (error.name === 'WarrantyPlanError' || error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ENHANCED REGISTRATIONS ENDPOINT WITH ADVANCED SEARCH
+app.get('/api/admin/registrations', authenticateAdmin, requirePermission('registrations.view'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
     
-    console.log('🔍 Searching with filter:', filter);
-    
-    const warranty = await WarrantyRegistration.findOne(filter);
+    // Existing filters
+    if (req.query.productId) filter.productId = req.query.productId;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.email) filter.email = new RegExp(req.query.email, 'i');
+    if (req.query.orderVerification) filter['orderVerification.status'] = req.query.orderVerification;
     
-    if (!warranty) {
-      return res.json({
-        success: false,
-        message: 'Warranty not found. Please check your information and try again.'
-      });
+    // Enhanced search filters for the Find Customer feature
+    if (req.query.warrantyNumber) {
+      filter.warrantyNumber = new RegExp(req.query.warrantyNumber, 'i');
     }
     
-    // Check if warranty is expired
-    const isExpired = new Date() > new Date(warranty.warrantyEndDate);
-    
-    // Check for existing claims
-    const existingClaims = await Claim.find({ 
-      warrantyId: warranty._id,
-      status: { $nin: ['cancelled', 'completed'] }
-    });
+    if (req.query.orderId) {
+      filter.orderId = new RegExp(req.query.orderId, 'i');
+    }
     
-    console.log('✅ Warranty found:', {
-      warrantyNumber: warranty.warrantyNumber,
-      product: warranty.product,
-      isExpired,
-      existingClaims: existingClaims.length
-    });
+    if (req.query.name) {
+      filter.$or = [
+        { fullName: new RegExp(req.query.name, 'i') },
+        { firstName: new RegExp(req.query.name, 'i') },
+        { lastName: new RegExp(req.query.name, 'i') }
+      ];
+    }
     
+    // Universal search - searches across multiple fields
+    if (req.query.search) {
+      const searchTerm = req.query.search;
+      filter.$or = [
+        { email: new RegExp(searchTerm, 'i') },
+        { fullName: new RegExp(searchTerm, 'i') },
+        { firstName: new RegExp(searchTerm, 'i') },
+        { lastName: new RegExp(searchTerm, 'i') },
+        { warrantyNumber: new RegExp(searchTerm, 'i') },
+        { orderId: new RegExp(searchTerm, 'i') },
+        { product: new RegExp(searchTerm, 'i') }
+      ];
+    }
+
+    const registrations = await WarrantyRegistration.find(filter)
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WarrantyRegistration.countDocuments(filter);
+
     res.json({
-      success: true,
-      warranty: {
-        _id: warranty._id,
-        warrantyNumber: warranty.warrantyNumber,
-        product: warranty.product,
-        fullName: warranty.fullName,
-        email: warranty.email,
-        purchaseDate: warranty.purchaseDate,
-        warrantyEndDate: warranty.warrantyEndDate,
-        status: warranty.status,
-        isExpired,
-        existingClaims: existingClaims.map(claim => ({
-          claimNumber: claim.claimNumber,
-          status: claim.status,
-          submittedAt: claim.submittedAt
-        }))
+      registrations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single registration by ID
+app.get('/api/admin/registrations/:id', authenticateAdmin, requirePermission('registrations.view'), async (req, res) => {
+  try {
+    const registration = await WarrantyRegistration.findById(req.params.id);
     
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    res.json(registration);
   } catch (error) {
-    console.error('❌ Warranty lookup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during warranty lookup'
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replacement chain for a registration, from the original unit to the current one
+app.get('/api/admin/registrations/:id/chain', authenticateAdmin, requirePermission('registrations.view'), async (req, res) => {
+  try {
+    const registration = await WarrantyRegistration.findById(req.params.id);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const fields = 'warrantyNumber product productId status purchaseDate warrantyStartDate warrantyEndDate replacedAt replacementClaim replacesRegistration replacedByRegistration';
+    const chain = [registration];
+    const seen = new Set([registration._id.toString()]);
+
+    // Walk back to the original unit
+    let current = registration;
+    while (current.replacesRegistration && !seen.has(current.replacesRegistration.toString())) {
+      current = await WarrantyRegistration.findById(current.replacesRegistration).select(fields);
+      if (!current) break;
+      seen.add(current._id.toString());
+      chain.unshift(current);
+    }
+
+    // Walk forward to the latest replacement
+    current = registration;
+    while (current.replacedByRegistration && !seen.has(current.replacedByRegistration.toString())) {
+      current = await WarrantyRegistration.findById(current.replacedByRegistration).select(fields);
+      if (!current) break;
+      seen.add(current._id.toString());
+      chain.push(current);
+    }
+
+    res.json({
+      chain: chain.map(unit => ({
+        _id: unit._id,
+        warrantyNumber: unit.warrantyNumber,
+        product: unit.product,
+        productId: unit.productId,
+        status: unit.status,
+        purchaseDate: unit.purchaseDate,
+        warrantyStartDate: unit.warrantyStartDate,
+        warrantyEndDate: unit.warrantyEndDate,
+        replacedAt: unit.replacedAt,
+        replacementClaim: unit.replacementClaim
+      })),
+      current: chain[chain.length - 1].warrantyNumber
     });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Submit Warranty Claim
-app.post('/api/claims/submit', async (req, res) => {
+// Fields the edit form may change. Everything else belongs to a workflow: the warranty number,
+// plan terms and end date (derived from the plan), Shopify and email sync state, order checks,
+// reminders, expiry and the replacement chain.
+const EDITABLE_REGISTRATION_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'address', 'productId', 'source', 'orderId',
+  'purchaseDate', 'status', 'warrantyPlan', 'claimType', 'claimNotes', 'claimDate'
+];
+// 'claimed' follows from open claims and 'replaced' from the replacement flow
+const ADMIN_SETTABLE_STATUSES = ['active', 'expired'];
+
+// ENHANCED UPDATE REGISTRATION WITH CLAIMS SUPPORT
+app.put('/api/admin/registrations/:id', authenticateAdmin, requirePermission('registrations.edit'), async (req, res) => {
   try {
-    console.log('📝 Claim submission request:', req.body);
-    
-    const {
-      warrantyNumber,
-      email,
-      warrantyId,
-      issueType,
-      issueDescription,
-      issueStartDate,
-      usageFrequency,
-      troubleshootingSteps,
-      preferredResolution,
-      contactPhone,
-      contactMethod,
-      shippingAddress,
-      additionalNotes
-    } = req.body;
-    
-    // Validation
-    const requiredFields = [
-      'warrantyNumber', 'email', 'warrantyId', 'issueType', 
-      'issueDescription', 'preferredResolution', 'contactPhone', 'shippingAddress'
-    ];
-    
-    for (const field of requiredFields) {
-      if (!req.body[field]) {
-        return res.status(400).json({
-          success: false,
-          message: `${field} is required`
-        });
+    const registrationId = req.params.id;
+    const updateData = {};
+    for (const field of EDITABLE_REGISTRATION_FIELDS) {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    }
+
+    const existing = await WarrantyRegistration.findById(registrationId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    // The form sends the current status back unchanged, so only an actual change is checked
+    if (updateData.status === existing.status) {
+      delete updateData.status;
+    } else if (updateData.status !== undefined) {
+      if (!ADMIN_SETTABLE_STATUSES.includes(updateData.status)) {
+        return res.status(400).json({ error: `Status can only be changed to ${ADMIN_SETTABLE_STATUSES.join(' or ')}` });
       }
+      updateData.expiredAt = updateData.status === 'expired' ? new Date() : null;
     }
-    
-    // Verify warranty exists and matches
-    const warranty = await WarrantyRegistration.findById(warrantyId);
-    if (!warranty || warranty.email.toLowerCase() !== email.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid warranty information'
-      });
+
+    if (updateData.firstName !== undefined || updateData.lastName !== undefined) {
+      updateData.fullName = `${updateData.firstName ?? existing.firstName} ${updateData.lastName ?? existing.lastName}`;
     }
-    
-    // Check for duplicate active claims
-    const existingClaim = await Claim.findOne({
-      warrantyId: warrantyId,
-      status: { $nin: ['completed', 'cancelled', 'denied'] }
-    });
-    
-    if (existingClaim) {
-      return res.status(400).json({
-        success: false,
-        message: `You already have an active claim (${existingClaim.claimNumber}) for this warranty.`
-      });
+
+    // The product name always comes from the catalog entry
+    const productChanged = updateData.productId !== undefined && updateData.productId !== existing.productId;
+    if (productChanged) {
+      const catalogProduct = productCatalog.findByCode(updateData.productId);
+      if (!catalogProduct) {
+        return res.status(400).json({ error: 'Unknown product' });
+      }
+      updateData.product = catalogProduct.name;
+    } else {
+      delete updateData.productId;
     }
-    
-    // Create new claim
-    const claimData = {
-      warrantyId,
-      warrantyNumber,
-      customerName: warranty.fullName,
-      customerEmail: email,
-      contactPhone,
-      shippingAddress,
-      contactMethod: contactMethod || 'email',
-      issueType,
-      issueDescription,
-      issueStartDate: issueStartDate ? new Date(issueStartDate) : null,
-      usageFrequency,
-      troubleshootingSteps: troubleshootingSteps || [],
-      additionalNotes,
-      preferredResolution,
-      status: 'submitted',
-      priority: determinePriority(issueType, warranty)
-    };
-    
-    const claim = new Claim(claimData);
-    await claim.save();
-    
-    console.log('✅ Claim created:', claim.claimNumber);
-    
-    // Send confirmation email (integrate with your email service)
-    try {
-      await sendClaimConfirmationEmail(claim, warranty);
-      claim.emailsSent.push({
-        type: 'claim-submitted',
-        status: 'sent'
+
+    // Recalculate plan terms and the end date when the plan, product or purchase date changes
+    if (updateData.purchaseDate || updateData.warrantyPlan || productChanged) {
+      const productCode = updateData.productId || existing.productId;
+      let durationMonths = existing.warrantyDurationMonths || warrantyPlans.DEFAULT_DURATION_MONTHS;
+      let plan;
+      if (updateData.warrantyPlan) {
+        plan = await warrantyPlans.resolvePlan(productCode, updateData.warrantyPlan);
+      } else if (productChanged) {
+        // Keep the current plan if it covers the new product, otherwise use the product's default
+        plan = existing.warrantyPlan
+          ? await WarrantyPlan.findOne({ _id: existing.warrantyPlan, products: productCode, isActive: true })
+          : null;
+        plan = plan || await warrantyPlans.resolvePlan(productCode);
+      }
+      if (plan !== undefined) {
+        const planTerms = warrantyPlans.getPlanTerms(plan);
+        Object.assign(updateData, planTerms);
+        durationMonths = planTerms.warrantyDurationMonths;
+      }
+
+      updateData.warrantyEndDate = warrantyPlans.calculateWarrantyEndDate(
+        updateData.purchaseDate || existing.purchaseDate,
+        durationMonths
+      );
+
+      // Coverage extended past today - an expired warranty becomes active again
+      if (existing.status === 'expired' && updateData.warrantyEndDate > new Date() &&
+          (!updateData.status || updateData.status === 'expired')) {
+        updateData.status = 'active';
+        updateData.expiredAt = null;
+      }
+    }
+
+    // Claim details recorded from the Process Claim form. The status itself follows the claims.
+    if (updateData.claimType || updateData.claimNotes) {
+      updateData.claimDate = updateData.claimDate || new Date();
+      updateData.claimProcessedBy = req.admin.username;
+      
+      // Log the claim details
+      console.log(`Warranty claim processed for registration ${registrationId}:`, {
+        claimType: updateData.claimType,
+        claimNotes: updateData.claimNotes,
+        claimDate: updateData.claimDate,
+        processedBy: req.admin.username
       });
-      await claim.save();
-    } catch (emailError) {
-      console.error('⚠️ Email sending failed:', emailError);
-      // Don't fail the claim submission for email errors
     }
-    
-    // Update warranty status if needed
-    if (warranty.status === 'active') {
-      warranty.status = 'claimed';
-      await warranty.save();
+
+    const updatedRegistration = await WarrantyRegistration.findByIdAndUpdate(
+      registrationId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedRegistration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'registration.update',
+      entityType: 'registration',
+      entityId: updatedRegistration._id,
+      entityLabel: updatedRegistration.warrantyNumber,
+      before: existing,
+      after: updatedRegistration
+    });
+
+    if (['status', 'email', 'product', 'warrantyEndDate'].some(field => String(existing[field]) !== String(updatedRegistration[field]))) {
+      await queueShopifyReconciliation(updatedRegistration.email);
+      if (existing.email !== updatedRegistration.email) {
+        await queueShopifyReconciliation(existing.email);
+      }
+    }
+
+    // Order details changed - check the order again
+    const orderFieldsChanged = ['orderId', 'email', 'product', 'source']
+      .some(field => String(existing[field]) !== String(updatedRegistration[field]));
+    if (orderFieldsChanged && isShopifyOrderSource(updatedRegistration.source)) {
+      await jobQueue.enqueue('shopify.verify-order', { registrationId: updatedRegistration._id.toString() }, {
+        entityType: 'registration',
+        entityId: updatedRegistration._id
+      });
+    }
+
+    res.json(updatedRegistration);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'WarrantyPlanError') {
+      return res.status(400).json({ error: error.message });
     }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete registration
+app.delete('/api/admin/registrations/:id', authenticateAdmin, requirePermission('registrations.delete'), async (req, res) => {
+  try {
+    const registrationId = req.params.id;
     
-    res.json({
-      success: true,
-      message: 'Claim submitted successfully',
-      claimNumber: claim.claimNumber,
-      claimId: claim._id,
-      claim: {
-        claimNumber: claim.claimNumber,
-        status: claim.status,
-        submittedAt: claim.submittedAt,
-        expectedResolution: getExpectedResolutionTime(claim.priority)
+    const registration = await WarrantyRegistration.findById(registrationId);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    // Free up the warranty number when deleting registration
+    await WarrantyNumber.findOneAndUpdate(
+      { warrantyNumber: registration.warrantyNumber },
+      { 
+        isUsed: false, 
+        usedAt: null, 
+        registrationId: null 
       }
+    );
+
+    // Delete the registration
+    await WarrantyRegistration.findByIdAndDelete(registrationId);
+
+    await recordAudit(req, {
+      action: 'registration.delete',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      before: registration
+    });
+    await queueShopifyReconciliation(registration.email);
+
+    res.json({ 
+      message: 'Registration deleted successfully',
+      freedWarrantyNumber: registration.warrantyNumber
     });
-    
   } catch (error) {
-    console.error('❌ Claim submission error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during claim submission'
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlink warranty number from registration
+app.post('/api/admin/registrations/:id/unlink', authenticateAdmin, requirePermission('registrations.delete'), async (req, res) => {
+  try {
+    const registrationId = req.params.id;
+    
+    const registration = await WarrantyRegistration.findById(registrationId);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const warrantyNumberToFree = registration.warrantyNumber;
+
+    // Free up the warranty number in the WarrantyNumber collection
+    await WarrantyNumber.findOneAndUpdate(
+      { warrantyNumber: warrantyNumberToFree },
+      { 
+        isUsed: false, 
+        usedAt: null, 
+        registrationId: null 
+      }
+    );
+
+    // Delete the registration entirely (since warranty number is required)
+    await WarrantyRegistration.findByIdAndDelete(registrationId);
+
+    await recordAudit(req, {
+      action: 'registration.unlink',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: warrantyNumberToFree,
+      before: registration
+    });
+    await queueShopifyReconciliation(registration.email);
+
+    res.json({ 
+      message: 'Warranty number unlinked successfully and registration removed',
+      freedWarrantyNumber: warrantyNumberToFree
     });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// CLAIMS ADMIN ROUTES
+// ORDER VERIFICATION REVIEW
 
-// Get all claims for admin
-app.get('/api/admin/claims', authenticateAdmin, async (req, res) => {
+// Registrations whose Shopify order couldn't be verified (unreviewed ones unless ?reviewed=true)
+app.get('/api/admin/order-verification', authenticateAdmin, requirePermission('registrations.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
 
-    const filter = {};
-    
-    // Filter by status
-    if (req.query.status) filter.status = req.query.status;
-    
-    // Filter by priority
-    if (req.query.priority) filter.priority = req.query.priority;
-    
-    // Filter by issue type
-    if (req.query.issueType) filter.issueType = req.query.issueType;
-    
-    // Search across multiple fields
-    if (req.query.search) {
-      const searchTerm = req.query.search;
-      filter.$or = [
-        { claimNumber: new RegExp(searchTerm, 'i') },
-        { warrantyNumber: new RegExp(searchTerm, 'i') },
-        { customerName: new RegExp(searchTerm, 'i') },
-        { customerEmail: new RegExp(searchTerm, 'i') }
-      ];
+    const unverifiedStatuses = ['mismatch', 'cancelled', 'not-found', 'error'];
+    const filter = {
+      'orderVerification.status': req.query.status || { $in: unverifiedStatuses }
+    };
+    if (req.query.reviewed === 'true') {
+      filter['orderVerification.reviewDecision'] = { $exists: true };
+    } else if (req.query.reviewed !== 'all') {
+      filter['orderVerification.reviewDecision'] = { $exists: false };
     }
 
-    const claims = await Claim.find(filter)
-      .populate('warrantyId', 'product fullName email')
+    const registrations = await WarrantyRegistration.find(filter)
+      .select('fullName email product productId warrantyNumber orderId source purchaseDate status createdAt orderVerification')
       .skip(skip)
       .limit(limit)
-      .sort({ submittedAt: -1 });
+      .sort({ createdAt: -1 });
 
-    const total = await Claim.countDocuments(filter);
+    const total = await WarrantyRegistration.countDocuments(filter);
+
+    const counts = await WarrantyRegistration.aggregate([
+      { $match: { 'orderVerification.status': { $in: unverifiedStatuses }, 'orderVerification.reviewDecision': { $exists: false } } },
+      { $group: { _id: '$orderVerification.status', count: { $sum: 1 } } }
+    ]);
 
     res.json({
-      claims,
+      registrations,
+      counts: Object.fromEntries(counts.map(entry => [entry._id, entry.count])),
       pagination: {
         page,
         limit,
@@ -605,899 +3816,1047 @@ app.get('/api/admin/claims', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Get single claim by ID
-app.get('/api/admin/claims/:id', authenticateAdmin, async (req, res) => {
+// Check a registration's order against Shopify again right now
+app.post('/api/admin/registrations/:id/verify-order', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
+  try {
+    const registration = await WarrantyRegistration.findById(req.params.id);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const before = registration.orderVerification ? registration.orderVerification.toObject() : null;
+    const verification = await verifyRegistrationOrder(registration);
+    await registration.save();
+
+    await recordAudit(req, {
+      action: 'registration.verify_order',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      before: { orderVerification: before },
+      after: { orderVerification: registration.orderVerification.toObject() },
+      metadata: { status: verification.status }
+    });
+
+    res.json({ success: verification.status !== 'error', orderVerification: registration.orderVerification });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record an admin decision on a registration whose order didn't verify
+app.post('/api/admin/registrations/:id/order-review', authenticateAdmin, requirePermission('registrations.edit'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'Decision must be approved or rejected' });
+    }
+
+    const registration = await WarrantyRegistration.findById(req.params.id);
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+    if (!registration.orderVerification || ['pending', 'verified', 'skipped'].includes(registration.orderVerification.status)) {
+      return res.status(400).json({ error: 'Only registrations with an unverified order can be reviewed' });
+    }
+
+    const before = registration.orderVerification.toObject();
+    registration.orderVerification.reviewDecision = decision;
+    registration.orderVerification.reviewNote = note;
+    registration.orderVerification.reviewedBy = req.admin.username;
+    registration.orderVerification.reviewedAt = new Date();
+    await registration.save();
+
+    await recordAudit(req, {
+      action: 'registration.order_review',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      before: { orderVerification: before },
+      after: { orderVerification: registration.orderVerification.toObject() },
+      metadata: { decision, note }
+    });
+
+    res.json({ success: true, orderVerification: registration.orderVerification });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ADVANCED CUSTOMER SEARCH ENDPOINT
+app.get('/api/admin/search/customers', authenticateAdmin, requirePermission('registrations.view'), async (req, res) => {
+  try {
+    const { q, type = 'all', limit = 20 } = req.query;
+    
+    if (!q || q.trim().length < 2) {
+      return res.json({ results: [], message: 'Search query must be at least 2 characters' });
+    }
+
+    const searchTerm = q.trim();
+    let filter = {};
+
+    switch (type) {
+      case 'email':
+        filter = { email: new RegExp(searchTerm, 'i') };
+        break;
+      case 'name':
+        filter = {
+          $or: [
+            { fullName: new RegExp(searchTerm, 'i') },
+            { firstName: new RegExp(searchTerm, 'i') },
+            { lastName: new RegExp(searchTerm, 'i') }
+          ]
+        };
+        break;
+      case 'warranty':
+        filter = { warrantyNumber: new RegExp(searchTerm, 'i') };
+        break;
+      case 'order':
+        filter = { orderId: new RegExp(searchTerm, 'i') };
+        break;
+      case 'phone':
+        filter = { phone: new RegExp(searchTerm, 'i') };
+        break;
+      default:
+        // Search all fields
+        filter = {
+          $or: [
+            { email: new RegExp(searchTerm, 'i') },
+            { fullName: new RegExp(searchTerm, 'i') },
+            { firstName: new RegExp(searchTerm, 'i') },
+            { lastName: new RegExp(searchTerm, 'i') },
+            { warrantyNumber: new RegExp(searchTerm, 'i') },
+            { orderId: new RegExp(searchTerm, 'i') },
+            { product: new RegExp(searchTerm, 'i') }
+          ]
+        };
+    }
+
+    const results = await WarrantyRegistration.find(filter)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 })
+      .select('fullName email product warrantyNumber orderId purchaseDate status source createdAt warrantyEndDate claimDate claimType shopifyCustomerId shopifyIntegrationStatus emailSent emailStatus');
+
+    res.json({
+      results,
+      count: results.length,
+      searchTerm,
+      searchType: type
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export warranty data to CSV
+app.get('/api/admin/export/registrations', authenticateAdmin, requirePermission('registrations.export'), async (req, res) => {
   try {
-    const claim = await Claim.findById(req.params.id)
-      .populate('warrantyId');
+    const registrations = await WarrantyRegistration.find({});
     
-    if (!claim) {
-      return res.status(404).json({ error: 'Claim not found' });
-    }
+    const csvWriter = createCsvWriter({
+      path: 'exports/warranty_registrations.csv',
+      header: [
+        { id: 'fullName', title: 'Full Name' },
+        { id: 'email', title: 'Email' },
+        { id: 'product', title: 'Product' },
+        { id: 'source', title: 'Purchase Source' },
+        { id: 'orderId', title: 'Order ID' },
+        { id: 'warrantyNumber', title: 'Warranty Number' },
+        { id: 'purchaseDate', title: 'Purchase Date' },
+        { id: 'warrantyEndDate', title: 'Warranty End Date' },
+        { id: 'warrantyPlanCode', title: 'Warranty Plan' },
+        { id: 'status', title: 'Status' },
+        { id: 'claimDate', title: 'Claim Date' },
+        { id: 'claimType', title: 'Claim Type' },
+        { id: 'claimNotes', title: 'Claim Notes' },
+        { id: 'shopifyCustomerId', title: 'Shopify Customer ID' },
+        { id: 'shopifyIntegrationStatus', title: 'Shopify Status' },
+        { id: 'emailSent', title: 'Email Sent' },
+        { id: 'emailStatus', title: 'Email Status' },
+        { id: 'createdAt', title: 'Registration Date' }
+      ]
+    });
 
-    res.json(claim);
-  } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid claim ID' });
+    if (!fs.existsSync('exports')) {
+      fs.mkdirSync('exports');
     }
-    res.status(500).json({ error: error.message });
-  }
-});
 
-// Update claim (admin action)
-app.put('/api/admin/claims/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const claimId = req.params.id;
-    const updateData = req.body;
-    
-    // Add admin tracking
-    if (updateData.status && updateData.status !== 'submitted') {
-      updateData.reviewStartedAt = updateData.reviewStartedAt || new Date();
-      updateData.assignedTo = updateData.assignedTo || req.admin.username;
-    }
-    
-    if (['approved', 'denied', 'completed'].includes(updateData.status)) {
-      updateData.resolvedAt = new Date();
-    }
+    await csvWriter.writeRecords(registrations);
     
-    // Add admin note if provided
-    if (updateData.adminNote) {
-      const claim = await Claim.findById(claimId);
-      if (claim) {
-        claim.adminNotes.push({
-          note: updateData.adminNote,
-          addedBy: req.admin.username,
-          addedAt: new Date()
-        });
-        delete updateData.adminNote;
-        await claim.save();
+    res.download('exports/warranty_registrations.csv', 'warranty_registrations.csv', (err) => {
+      if (err) {
+        console.error('Download error:', err);
       }
-    }
-
-    const updatedClaim = await Claim.findByIdAndUpdate(
-      claimId,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('warrantyId');
-
-    if (!updatedClaim) {
-      return res.status(404).json({ error: 'Claim not found' });
-    }
-
-    console.log(`Claim ${updatedClaim.claimNumber} updated by ${req.admin.username}`);
-
-    res.json(updatedClaim);
+      setTimeout(() => {
+        if (fs.existsSync('exports/warranty_registrations.csv')) {
+          fs.unlinkSync('exports/warranty_registrations.csv');
+        }
+      }, 5000);
+    });
   } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid claim ID' });
-    }
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ error: error.message });
-    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Claims statistics for admin dashboard
-app.get('/api/admin/claims/stats', authenticateAdmin, async (req, res) => {
+// Enhanced dashboard stats with claims and email data
+app.get('/api/admin/stats', authenticateAdmin, requirePermission('dashboard.view'), async (req, res) => {
   try {
+    const totalWarrantyNumbers = await WarrantyNumber.countDocuments();
+    const usedWarrantyNumbers = await WarrantyNumber.countDocuments({ isUsed: true });
+    const totalRegistrations = await WarrantyRegistration.countDocuments();
+    const activeWarranties = await WarrantyRegistration.countDocuments({ 
+      status: 'active',
+      warrantyEndDate: { $gt: new Date() }
+    });
+    const claimedWarranties = await WarrantyRegistration.countDocuments({ status: 'claimed' });
+    const expiredWarranties = await WarrantyRegistration.countDocuments({ status: 'expired' });
+
+    // Claims stats (new)
     const totalClaims = await Claim.countDocuments();
     const pendingClaims = await Claim.countDocuments({ status: 'submitted' });
     const underReviewClaims = await Claim.countDocuments({ status: 'under-review' });
-    const approvedClaims = await Claim.countDocuments({ status: 'approved' });
-    const deniedClaims = await Claim.countDocuments({ status: 'denied' });
-    const completedClaims = await Claim.countDocuments({ status: 'completed' });
 
-    // Claims by issue type
-    const issueTypeStats = await Claim.aggregate([
-      { $group: { _id: '$issueType', count: { $sum: 1 } } },
+    // Shopify integration stats
+    const shopifySuccessful = await WarrantyRegistration.countDocuments({ shopifyIntegrationStatus: 'success' });
+    const shopifyFailed = await WarrantyRegistration.countDocuments({ shopifyIntegrationStatus: 'failed' });
+
+    // Email stats
+    const emailsSent = await WarrantyRegistration.countDocuments({ emailSent: true });
+    const emailsFailed = await WarrantyRegistration.countDocuments({ emailStatus: 'failed' });
+
+    const productStats = await WarrantyRegistration.aggregate([
+      { $group: { _id: '$productId', count: { $sum: 1 }, product: { $first: '$product' } } },
       { $sort: { count: -1 } }
     ]);
 
-    // Claims by priority
-    const priorityStats = await Claim.aggregate([
-      { $group: { _id: '$priority', count: { $sum: 1 } } },
+    const claimStats = await WarrantyRegistration.aggregate([
+      { $match: { status: 'claimed' } },
+      { $group: { _id: '$claimType', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
 
-    // Recent claims (last 7 days)
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const recentRegistrations = await WarrantyRegistration.countDocuments({
+      createdAt: { $gte: sevenDaysAgo }
+    });
     const recentClaims = await Claim.countDocuments({
       submittedAt: { $gte: sevenDaysAgo }
     });
 
     res.json({
-      totalClaims,
-      pendingClaims,
-      underReviewClaims,
-      approvedClaims,
-      deniedClaims,
-      completedClaims,
+      totalWarrantyNumbers,
+      usedWarrantyNumbers,
+      availableWarrantyNumbers: totalWarrantyNumbers - usedWarrantyNumbers,
+      totalRegistrations,
+      activeWarranties,
+      claimedWarranties,
+      expiredWarranties,
+      recentRegistrations,
       recentClaims,
-      issueTypeStats,
-      priorityStats
+      // New claims data
+      claimsOverview: {
+        totalClaims,
+        pendingClaims,
+        underReviewClaims,
+        needsAttention: pendingClaims + underReviewClaims
+      },
+      shopifyIntegration: {
+        successful: shopifySuccessful,
+        failed: shopifyFailed,
+        successRate: totalRegistrations > 0 ? ((shopifySuccessful / totalRegistrations) * 100).toFixed(1) : 0
+      },
+      emailConfirmations: {
+        sent: emailsSent,
+        failed: emailsFailed,
+        successRate: totalRegistrations > 0 ? ((emailsSent / totalRegistrations) * 100).toFixed(1) : 0
+      },
+      productStats,
+      claimStats
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// EXISTING ROUTES (keeping all your current functionality)
-
-// Warranty Number Management
-app.post('/api/admin/warranty-numbers/upload', authenticateAdmin, upload.single('csv'), async (req, res) => {
+// SHOPIFY ADMIN ROUTES
+app.get('/api/admin/shopify/test', authenticateAdmin, requirePermission('integrations.view'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const results = [];
-    const errors = [];
-
-    fs.createReadStream(req.file.path)
-      .pipe(csv())
-      .on('data', (data) => {
-        if (data.warrantyNumber && data.productId && data.productName) {
-          results.push({
-            warrantyNumber: data.warrantyNumber.trim(),
-            productId: data.productId.trim(),
-            productName: data.productName.trim()
-          });
-        }
-      })
-      .on('end', async () => {
-        try {
-          let successCount = 0;
-          
-          for (const item of results) {
-            try {
-              await WarrantyNumber.create(item);
-              successCount++;
-            } catch (error) {
-              if (error.code === 11000) {
-                errors.push(`Warranty number ${item.warrantyNumber} already exists`);
-              } else {
-                errors.push(`Error with ${item.warrantyNumber}: ${error.message}`);
-              }
-            }
-          }
-
-          fs.unlinkSync(req.file.path);
+    const shopifyService = new ShopifyService();
+    const result = await shopifyService.testConnection();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-          res.json({
-            message: `Successfully imported ${successCount} warranty numbers`,
-            errors: errors.length > 0 ? errors : undefined
-          });
-        } catch (error) {
-          res.status(500).json({ error: error.message });
+// Get customer info from Shopify
+app.get('/api/admin/shopify/customer/:email', authenticateAdmin, requirePermission('integrations.view'), async (req, res) => {
+  try {
+    const shopifyService = new ShopifyService();
+    const customer = await shopifyService.findCustomerByEmail(req.params.email);
+    
+    if (customer) {
+      res.json({ 
+        success: true, 
+        customer: {
+          id: customer.id,
+          name: `${customer.first_name} ${customer.last_name}`,
+          email: customer.email,
+          tags: customer.tags,
+          totalOrders: customer.orders_count,
+          totalSpent: customer.total_spent
         }
       });
+    } else {
+      res.json({ success: false, message: 'Customer not found in Shopify' });
+    }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/admin/warranty-numbers', authenticateAdmin, async (req, res) => {
+// Manually sync customer to Shopify
+app.post('/api/admin/shopify/sync/:registrationId', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
-    const { warrantyNumber, productId, productName } = req.body;
-    
-    if (!warrantyNumber || !productId || !productName) {
-      return res.status(400).json({ error: 'All fields are required' });
+    const registration = await WarrantyRegistration.findById(req.params.registrationId);
+    if (!registration) {
+      return res.status(404).json({ success: false, message: 'Registration not found' });
     }
 
-    const newWarrantyNumber = await WarrantyNumber.create({
-      warrantyNumber,
-      productId,
-      productName
+    const shopifyResult = await pushRegistrationToShopify(registration);
+
+    // Update registration
+    let metafieldResult = null;
+    if (shopifyResult.success) {
+      await registration.save();
+      metafieldResult = await syncWarrantyMetafield(registration.email, shopifyResult.customer.id);
+    }
+
+    await recordAudit(req, {
+      action: 'registration.shopify_sync',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      metadata: {
+        success: !!shopifyResult.success,
+        action: shopifyResult.action,
+        metafield: metafieldResult ? metafieldResult.action : null
+      }
     });
 
-    res.json(newWarrantyNumber);
+    res.json({ success: true, result: shopifyResult, metafield: metafieldResult });
   } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Warranty number already exists' });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/admin/warranty-numbers', authenticateAdmin, async (req, res) => {
+// Recompute the customer's warranty tags (warranty-active, warranty-claimed, warranty-expired...) now
+app.post('/api/admin/shopify/reconcile-tags/:registrationId', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
-
-    const filter = {};
-    if (req.query.productId) filter.productId = req.query.productId;
-    if (req.query.isUsed !== undefined) filter.isUsed = req.query.isUsed === 'true';
-
-    const warrantyNumbers = await WarrantyNumber.find(filter)
-      .populate('registrationId', 'fullName email')
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    const registration = await WarrantyRegistration.findById(req.params.registrationId);
+    if (!registration) {
+      return res.status(404).json({ success: false, message: 'Registration not found' });
+    }
 
-    const total = await WarrantyNumber.countDocuments(filter);
+    const result = await reconcileShopifyTags(registration.email);
 
-    res.json({
-      warrantyNumbers,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+    await recordAudit(req, {
+      action: 'registration.shopify_reconcile_tags',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      metadata: { success: !!result.success, action: result.action, desiredTags: result.desiredTags }
     });
+
+    res.json({ success: !!result.success, result });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid registration ID' });
+    }
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ENHANCED WARRANTY REGISTRATION WITH SHOPIFY AND EMAIL INTEGRATION
-app.post('/api/register', async (req, res) => {
+// Queue the one-time note cleanup + metafield write for every customer synced to Shopify.
+// Safe to run again: customers without note blocks and with an up-to-date metafield are left alone.
+app.post('/api/admin/shopify/migrate-notes', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
-    console.log('🔄 Processing warranty registration with integrations...');
-    
-    const {
-      firstName,
-      lastName,
-      fullName,
-      email,
-      phone,
-      address,
-      product,
-      productId,
-      source,
-      orderId,
-      warrantyNumber,
-      purchaseDate
-    } = req.body;
-
-    // Validation
-    if (!firstName || !lastName || !email || !warrantyNumber || !product || !source || !purchaseDate) {
-      return res.status(400).json({
-        error: 'Missing required fields'
+    const emails = await WarrantyRegistration.distinct('email', { shopifyIntegrationStatus: 'success' });
+    const uniqueEmails = [...new Set(emails.map(email => email.toLowerCase()))];
+
+    for (const email of uniqueEmails) {
+      await jobQueue.enqueue('shopify.migrate-customer-note', { email }, {
+        entityType: 'customer',
+        entityId: email,
+        unique: true
       });
     }
 
-    const validWarrantyNumber = await WarrantyNumber.findOne({
-      warrantyNumber,
-      productId,
-      isUsed: false
+    await recordAudit(req, {
+      action: 'shopify.migrate_notes',
+      entityType: 'job',
+      entityId: 'shopify-note-migration',
+      entityLabel: 'Shopify note migration',
+      metadata: { customersQueued: uniqueEmails.length }
     });
+    console.log(`🧹 Shopify note migration queued for ${uniqueEmails.length} customers by ${req.admin.username}`);
 
-    if (!validWarrantyNumber) {
-      return res.status(400).json({ 
-        error: 'Invalid warranty number or product mismatch' 
-      });
-    }
+    res.json({ success: true, queued: uniqueEmails.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Check if customer is repeat customer
-    const existingRegistrations = await WarrantyRegistration.find({ email });
-    const isRepeatCustomer = existingRegistrations.length > 0;
+// BULK SHOPIFY RESYNC
 
-    const warrantyEndDate = new Date(purchaseDate);
-    warrantyEndDate.setFullYear(warrantyEndDate.getFullYear() + 1);
+// Resync one registration as part of a bulk run: customer, then tags + metafield
+async function resyncRegistration(registration) {
+  const shopifyResult = await pushRegistrationToShopify(registration);
+  if (!shopifyResult.success) {
+    registration.shopifyIntegrationStatus = 'failed';
+    await registration.save();
+    return { status: 'failed', action: shopifyResult.action, error: shopifyResult.error };
+  }
+  await registration.save();
 
-    // Create warranty registration data
-    const warrantyData = {
-      firstName,
-      lastName,
-      fullName: fullName || `${firstName} ${lastName}`,
-      email,
-      phone,
-      address,
-      product,
-      productId: productId || getProductCode(product),
-      source,
-      orderId,
-      warrantyNumber,
-      purchaseDate: new Date(purchaseDate),
-      warrantyEndDate,
-      isRepeatCustomer,
-      // Shopify integration fields
-      shopifyCustomerId: null,
-      shopifyTags: [],
-      shopifyIntegrationStatus: 'pending',
-      // Email fields
-      emailSent: false,
-      emailStatus: 'pending'
-    };
+  const reconciled = await reconcileShopifyCustomer(registration.email);
+  if (!reconciled.success) {
+    return { status: 'failed', action: shopifyResult.action, error: `Customer synced but reconciliation failed: ${reconciled.error}` };
+  }
+  return { status: 'success', action: shopifyResult.action };
+}
 
-    // Save to database first
-    const registration = await WarrantyRegistration.create(warrantyData);
-    console.log('✅ Warranty saved to database');
+// Start a background resync for registrations matching the filters
+app.post('/api/admin/shopify/resync', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
+  try {
+    const { shopifyIntegrationStatus, productId, from, to } = req.body;
 
-    // Try to create/update customer in Shopify
-    const shopifyService = new ShopifyService();
-    let shopifyResult = { success: false, action: 'skipped' };
-    
-    try {
-      console.log('🛍️ Starting Shopify customer integration...');
-      
-      shopifyResult = await shopifyService.createOrUpdateCustomer(
-        { firstName, lastName, email, phone, address },
-        warrantyData
-      );
-      
-      // Update registration with Shopify results
-      if (shopifyResult.success) {
-        registration.shopifyCustomerId = shopifyResult.customer.id.toString();
-        registration.shopifyTags = shopifyResult.customer.tags ? shopifyResult.customer.tags.split(', ') : [];
-        registration.shopifyIntegrationStatus = 'success';
-        console.log(`✅ Customer ${shopifyResult.action} in Shopify successfully`);
-      } else {
-        registration.shopifyIntegrationStatus = 'failed';
-        console.log('⚠️ Shopify integration failed but warranty still registered');
-      }
-      
-    } catch (shopifyError) {
-      console.error('⚠️ Shopify integration error:', shopifyError.message);
-      registration.shopifyIntegrationStatus = 'error';
+    const filters = {
+      shopifyIntegrationStatus: [].concat(shopifyIntegrationStatus || []).filter(Boolean),
+      productId: productId || undefined,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    };
+    if ([filters.from, filters.to].some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
     }
 
-    // NEW: Send warranty confirmation email via Omnisend
-    const emailService = new EmailService();
-    let emailResult = { success: false, message: 'Email not attempted' };
+    const running = await ShopifyResync.findOne({ status: { $in: ['queued', 'running'] } });
+    if (running) {
+      return res.status(409).json({ error: 'A resync is already running', resync: shopifyResync.formatResync(running) });
+    }
 
-    try {
-      console.log('📧 Sending warranty confirmation email...');
-      
-      emailResult = await emailService.sendWarrantyConfirmation(
-        { firstName, lastName, email, phone, address },
-        {
-          product,
-          warrantyNumber,
-          purchaseDate: new Date(purchaseDate),
-          warrantyEndDate: warrantyData.warrantyEndDate,
-          source
-        }
-      );
-      
-      if (emailResult.success) {
-        console.log('✅ Warranty confirmation email sent successfully');
-        registration.emailSent = true;
-        registration.emailSentAt = new Date();
-        registration.emailStatus = 'sent';
-      } else {
-        console.log('⚠️ Email sending failed but warranty still registered');
-        registration.emailSent = false;
-        registration.emailStatus = 'failed';
-      }
-      
-    } catch (emailError) {
-      console.error('⚠️ Email sending error:', emailError.message);
-      registration.emailSent = false;
-      registration.emailStatus = 'failed';
-      emailResult = { success: false, message: 'Email service error', error: emailError.message };
+    const registrations = await WarrantyRegistration.find(shopifyResync.buildRegistrationFilter(filters))
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(shopifyResync.MAX_RESYNC_RECORDS + 1);
+    if (registrations.length > shopifyResync.MAX_RESYNC_RECORDS) {
+      return res.status(400).json({ error: `More than ${shopifyResync.MAX_RESYNC_RECORDS} registrations match - narrow the filters` });
     }
 
-    // Save all updates to registration
-    await registration.save();
+    const resync = await shopifyResync.startRun({
+      filters,
+      total: registrations.length,
+      createdBy: req.admin.username
+    });
+    if (!resync) {
+      // Another admin started one between the check above and now
+      return res.status(409).json({ error: 'A resync is already running' });
+    }
 
-    await WarrantyNumber.findByIdAndUpdate(validWarrantyNumber._id, {
-      isUsed: true,
-      usedAt: new Date(),
-      registrationId: registration._id
+    await recordAudit(req, {
+      action: 'shopify.resync_start',
+      entityType: 'shopify-resync',
+      entityId: resync._id,
+      entityLabel: `Shopify resync (${registrations.length} registrations)`,
+      metadata: { filters, total: registrations.length }
     });
 
-    console.log('✅ Warranty registration completed successfully');
+    // Runs in the background - progress is read from GET /api/admin/shopify/resync/:id
+    shopifyResync.runResync(
+      resync._id,
+      registrations.map(registration => registration._id),
+      (registrationId) => WarrantyRegistration.findById(registrationId),
+      resyncRegistration
+    ).catch(error => console.error(`❌ Shopify resync ${resync._id} failed:`, error.message));
 
-    res.json({ 
-      message: 'Warranty registered successfully',
-      registrationId: registration._id,
-      warrantyEndDate,
-      shopifyIntegration: {
-        status: registration.shopifyIntegrationStatus,
-        customerAction: shopifyResult.action,
-        customerId: registration.shopifyCustomerId
-      },
-      emailConfirmation: {
-        sent: emailResult.success,
-        message: emailResult.message,
-        messageId: emailResult.messageId || null
-      }
-    });
+    res.json({ success: true, resync: shopifyResync.formatResync(resync) });
   } catch (error) {
-    console.error('❌ Registration error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ENHANCED REGISTRATIONS ENDPOINT WITH ADVANCED SEARCH
-app.get('/api/admin/registrations', authenticateAdmin, async (req, res) => {
+app.get('/api/admin/shopify/resync', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
+    const runs = await ShopifyResync.find()
+      .select('-results')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
 
-    const filter = {};
-    
-    // Existing filters
-    if (req.query.productId) filter.productId = req.query.productId;
-    if (req.query.status) filter.status = req.query.status;
-    if (req.query.email) filter.email = new RegExp(req.query.email, 'i');
-    
-    // Enhanced search filters for the Find Customer feature
-    if (req.query.warrantyNumber) {
-      filter.warrantyNumber = new RegExp(req.query.warrantyNumber, 'i');
-    }
-    
-    if (req.query.orderId) {
-      filter.orderId = new RegExp(req.query.orderId, 'i');
-    }
-    
-    if (req.query.name) {
-      filter.$or = [
-        { fullName: new RegExp(req.query.name, 'i') },
-        { firstName: new RegExp(req.query.name, 'i') },
-        { lastName: new RegExp(req.query.name, 'i') }
-      ];
-    }
-    
-    // Universal search - searches across multiple fields
-    if (req.query.search) {
-      const searchTerm = req.query.search;
-      filter.$or = [
-        { email: new RegExp(searchTerm, 'i') },
-        { fullName: new RegExp(searchTerm, 'i') },
-        { firstName: new RegExp(searchTerm, 'i') },
-        { lastName: new RegExp(searchTerm, 'i') },
-        { warrantyNumber: new RegExp(searchTerm, 'i') },
-        { orderId: new RegExp(searchTerm, 'i') },
-        { product: new RegExp(searchTerm, 'i') }
-      ];
-    }
+    res.json({ runs: runs.map(shopifyResync.formatResync) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const registrations = await WarrantyRegistration.find(filter)
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+// Progress plus per-record results (filter with ?resultStatus=failed)
+app.get('/api/admin/shopify/resync/:id', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
+  try {
+    const resync = await ShopifyResync.findById(req.params.id);
+    if (!resync) {
+      return res.status(404).json({ error: 'Resync not found' });
+    }
 
-    const total = await WarrantyRegistration.countDocuments(filter);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const results = req.query.resultStatus
+      ? resync.results.filter(result => result.status === req.query.resultStatus)
+      : resync.results;
 
     res.json({
-      registrations,
+      resync: shopifyResync.formatResync(resync),
+      results: results.slice((page - 1) * limit, page * limit),
       pagination: {
         page,
         limit,
-        total,
-        pages: Math.ceil(total / limit)
+        total: results.length,
+        pages: Math.ceil(results.length / limit)
       }
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid resync ID' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get single registration by ID
-app.get('/api/admin/registrations/:id', authenticateAdmin, async (req, res) => {
+// Stop a run after the record it's currently on
+app.post('/api/admin/shopify/resync/:id/cancel', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
-    const registration = await WarrantyRegistration.findById(req.params.id);
-    
-    if (!registration) {
-      return res.status(404).json({ error: 'Registration not found' });
+    const resync = await ShopifyResync.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['queued', 'running'] }, cancelRequestedAt: null },
+      { cancelRequestedAt: new Date(), cancelledBy: req.admin.username },
+      { new: true }
+    );
+    if (!resync) {
+      return res.status(409).json({ error: 'Resync is not running' });
     }
 
-    res.json(registration);
+    await recordAudit(req, {
+      action: 'shopify.resync_cancel',
+      entityType: 'shopify-resync',
+      entityId: resync._id,
+      entityLabel: `Shopify resync (${resync.total} registrations)`,
+      metadata: { processed: resync.processed, total: resync.total }
+    });
+
+    res.json({ success: true, resync: shopifyResync.formatResync(resync) });
   } catch (error) {
     if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid registration ID' });
+      return res.status(400).json({ error: 'Invalid resync ID' });
     }
     res.status(500).json({ error: error.message });
   }
 });
 
-// ENHANCED UPDATE REGISTRATION WITH CLAIMS SUPPORT
-app.put('/api/admin/registrations/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const registrationId = req.params.id;
-    const updateData = req.body;
+// SHOPIFY WEBHOOKS
+
+// Summary of what we hold for a customer (customers/data_request) - the store owner sends it on
+async function collectCustomerData(customer) {
+  if (!customer || !customer.email) {
+    return { registrations: [], claims: [] };
+  }
 
-    // Don't allow changing warranty number through this endpoint
-    delete updateData.warrantyNumber;
+  const [registrations, claims] = await findCustomerRecords(customer.email);
+  return {
+    registrations: registrations.map(registration => ({
+      id: registration._id,
+      warrantyNumber: registration.warrantyNumber,
+      product: registration.product,
+      purchaseDate: registration.purchaseDate,
+      status: registration.status
+    })),
+    claims: claims.map(claim => ({
+      id: claim._id,
+      claimNumber: claim.claimNumber,
+      status: claim.status,
+      submittedAt: claim.submittedAt
+    }))
+  };
+}
 
-    // Calculate warranty end date if purchase date is updated
-    if (updateData.purchaseDate) {
-      const warrantyEndDate = new Date(updateData.purchaseDate);
-      warrantyEndDate.setFullYear(warrantyEndDate.getFullYear() + 1);
-      updateData.warrantyEndDate = warrantyEndDate;
+// Strip personal data for customers/redact. Warranty and claim records are kept
+// (warranty numbers stay used, claim history stays intact) but no longer identify anyone.
+// Every store that can hold a customer's name, email, phone or address is handled here -
+// add new ones to this function when they are introduced.
+async function redactCustomerData(customer, orderIds) {
+  const result = {
+    registrations: 0, claims: 0, attachments: 0, orders: 0, auditEntries: 0, idempotencyKeys: 0,
+    queueJobs: 0, shopifyDeliveries: 0, resyncRuns: 0, webhookDeliveries: 0, localEmails: 0
+  };
+  let registrationIds = [];
+  let claimIds = [];
+
+  if (customer && customer.email) {
+    const [registrations, claims] = await findCustomerRecords(customer.email);
+    const emailPattern = customerEmailPattern(customer.email);
+    registrationIds = registrations.map(registration => registration._id);
+    claimIds = claims.map(claim => claim._id);
+
+    for (const registration of registrations) {
+      registration.firstName = 'Redacted';
+      registration.lastName = 'Redacted';
+      registration.fullName = 'Redacted';
+      registration.email = `redacted-${registration._id}@redacted.invalid`;
+      registration.phone = undefined;
+      registration.address = undefined;
+      if (registration.claimNotes) registration.claimNotes = 'Redacted';
+      if (registration.orderVerification && registration.orderVerification.reviewNote) {
+        registration.orderVerification.reviewNote = 'Redacted';
+      }
+      await registration.save();
+      result.registrations++;
     }
 
-    // Handle claim processing
-    if (updateData.status === 'claimed') {
-      updateData.claimDate = updateData.claimDate || new Date();
-      updateData.claimProcessedBy = req.admin.username;
-      
-      // Log the claim details
-      console.log(`Warranty claim processed for registration ${registrationId}:`, {
-        claimType: updateData.claimType,
-        claimNotes: updateData.claimNotes,
-        claimDate: updateData.claimDate,
-        processedBy: req.admin.username
-      });
+    for (const claim of claims) {
+      for (const attachment of claim.attachments) {
+        fs.unlink(path.join(CLAIM_UPLOAD_DIR, path.basename(attachment.filename)), () => {});
+        result.attachments++;
+      }
+      claim.attachments = [];
+      claim.customerName = 'Redacted';
+      claim.customerEmail = `redacted-${claim._id}@redacted.invalid`;
+      claim.contactPhone = 'Redacted';
+      claim.shippingAddress = 'Redacted';
+      // Free text written by the customer or about them
+      claim.issueDescription = 'Redacted';
+      for (const field of ['additionalNotes', 'resolutionNotes', 'denialReason', 'customerMessage']) {
+        if (claim[field]) claim[field] = 'Redacted';
+      }
+      if (claim.returnShipment && claim.returnShipment.conditionNotes) {
+        claim.returnShipment.conditionNotes = 'Redacted';
+      }
+      claim.adminNotes.forEach(entry => { entry.note = 'Redacted'; });
+      claim.statusHistory.forEach(entry => { if (entry.note) entry.note = 'Redacted'; });
+      await claim.save();
+      result.claims++;
     }
 
-    const updatedRegistration = await WarrantyRegistration.findByIdAndUpdate(
-      registrationId,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const orders = await ShopifyOrder.deleteMany({ email: customer.email });
+    result.orders += orders.deletedCount;
+
+    result.auditEntries += await redactEntityHistory('registration', registrationIds);
+    result.auditEntries += await redactEntityHistory('claim', claimIds);
+    result.idempotencyKeys = await idempotency.forgetResponses('register', 'registrationId', registrationIds);
+    result.resyncRuns = await shopifyResync.forgetResultEmails(registrationIds);
+
+    const deliveryIds = await webhooks.deleteDeliveriesFor({ ids: [...registrationIds, ...claimIds], emailPattern });
+    result.webhookDeliveries = deliveryIds.length;
+
+    const recordIds = [...registrationIds, ...claimIds].map(String);
+    result.queueJobs = await jobQueue.removeJobs({
+      $or: [
+        { entityType: 'registration', entityId: { $in: recordIds } },
+        { entityType: 'claim', entityId: { $in: recordIds } },
+        { entityType: 'webhook-delivery', entityId: { $in: deliveryIds } },
+        { entityType: 'customer', entityId: emailPattern },
+        { 'payload.registrationId': { $in: recordIds } },
+        { 'payload.claimId': { $in: recordIds } },
+        { 'payload.email': emailPattern }
+      ]
+    });
 
-    if (!updatedRegistration) {
-      return res.status(404).json({ error: 'Registration not found' });
-    }
+    result.localEmails = await emailService.forgetLocalMessages(customer.email);
+  }
 
-    res.json(updatedRegistration);
-  } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid registration ID' });
-    }
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ error: error.message });
-    }
-    res.status(500).json({ error: error.message });
+  if (orderIds && orderIds.length > 0) {
+    const orders = await ShopifyOrder.deleteMany({ shopifyOrderId: { $in: orderIds.map(String) } });
+    result.orders += orders.deletedCount;
   }
-});
 
-// Delete registration
-app.delete('/api/admin/registrations/:id', authenticateAdmin, async (req, res) => {
-  try {
-    const registrationId = req.params.id;
-    
-    const registration = await WarrantyRegistration.findById(registrationId);
-    if (!registration) {
-      return res.status(404).json({ error: 'Registration not found' });
+  result.shopifyDeliveries = await shopifyWebhooks.forgetDeliveryResults({
+    registrationIds,
+    claimIds,
+    orderIds: orderIds || []
+  });
+
+  return result;
+}
+
+async function processShopifyWebhook(topic, payload, shopDomain) {
+  switch (topic) {
+    case 'orders/create':
+    case 'orders/cancelled': {
+      const order = await shopifyWebhooks.upsertOrder(payload, shopDomain);
+      return { orderId: order.shopifyOrderId, name: order.name, status: order.status };
+    }
+    case 'customers/data_request': {
+      const records = await collectCustomerData(payload.customer);
+      console.log(`📋 Shopify data request ${payload.data_request && payload.data_request.id} for ${payload.customer && payload.customer.email}: ${records.registrations.length} registrations, ${records.claims.length} claims`);
+      return {
+        dataRequestId: payload.data_request ? payload.data_request.id : null,
+        ordersRequested: payload.orders_requested || [],
+        ...records
+      };
+    }
+    case 'customers/redact': {
+      const redacted = await redactCustomerData(payload.customer, payload.orders_to_redact);
+      console.log('🧹 Shopify customer redaction completed:', redacted);
+      return redacted;
+    }
+    case 'shop/redact': {
+      // Only the order copies came from the shop - registrations belong to us, not the Shopify store
+      const orders = await ShopifyOrder.deleteMany({ shopDomain: payload.shop_domain || shopDomain });
+      return { orders: orders.deletedCount };
     }
+    default:
+      return null;
+  }
+}
 
-    // Free up the warranty number when deleting registration
-    await WarrantyNumber.findOneAndUpdate(
-      { warrantyNumber: registration.warrantyNumber },
-      { 
-        isUsed: false, 
-        usedAt: null, 
-        registrationId: null 
-      }
-    );
+// Receiver for all subscribed Shopify topics. Anything but a 2xx makes Shopify retry.
+app.post('/api/webhooks/shopify', async (req, res) => {
+  if (!shopifyWebhooks.isConfigured()) {
+    console.error('❌ Shopify webhook received but SHOPIFY_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Webhooks are not configured' });
+  }
 
-    // Delete the registration
-    await WarrantyRegistration.findByIdAndDelete(registrationId);
+  if (!shopifyWebhooks.verifyHmac(req.body, req.get('X-Shopify-Hmac-Sha256'))) {
+    console.log(`⚠️ Rejected Shopify webhook with invalid signature (${req.get('X-Shopify-Topic') || 'no topic'}, ${req.ip})`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
 
-    res.json({ 
-      message: 'Registration deleted successfully',
-      freedWarrantyNumber: registration.warrantyNumber
-    });
-  } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid registration ID' });
-    }
-    res.status(500).json({ error: error.message });
+  const headers = shopifyWebhooks.getDeliveryHeaders(req);
+  if (!headers.topic || !headers.dedupId) {
+    return res.status(400).json({ error: 'Missing X-Shopify-Topic or webhook ID header' });
   }
-});
 
-// Unlink warranty number from registration
-app.post('/api/admin/registrations/:id/unlink', authenticateAdmin, async (req, res) => {
+  let delivery;
   try {
-    const registrationId = req.params.id;
-    
-    const registration = await WarrantyRegistration.findById(registrationId);
-    if (!registration) {
-      return res.status(404).json({ error: 'Registration not found' });
+    const recorded = await shopifyWebhooks.recordDelivery(headers);
+    delivery = recorded.delivery;
+    if (recorded.duplicate) {
+      console.log(`🔁 Duplicate Shopify webhook ${headers.topic} (${headers.dedupId}) ignored`);
+      return res.json({ received: true, duplicate: true });
+    }
+    if (recorded.inProgress) {
+      // Not acknowledged: if the attempt in progress dies, Shopify's next retry picks it up
+      console.log(`⏳ Shopify webhook ${headers.topic} (${headers.dedupId}) is still being processed`);
+      return res.status(409).json({ error: 'Delivery is still being processed' });
     }
 
-    const warrantyNumberToFree = registration.warrantyNumber;
-
-    // Free up the warranty number in the WarrantyNumber collection
-    await WarrantyNumber.findOneAndUpdate(
-      { warrantyNumber: warrantyNumberToFree },
-      { 
-        isUsed: false, 
-        usedAt: null, 
-        registrationId: null 
-      }
-    );
+    const payload = JSON.parse(req.body.toString('utf8'));
+    const result = await processShopifyWebhook(headers.topic, payload, headers.shopDomain);
 
-    // Delete the registration entirely (since warranty number is required)
-    await WarrantyRegistration.findByIdAndDelete(registrationId);
+    delivery.status = result ? 'processed' : 'ignored';
+    delivery.result = result;
+    delivery.error = null;
+    delivery.processedAt = new Date();
+    await delivery.save();
 
-    res.json({ 
-      message: 'Warranty number unlinked successfully and registration removed',
-      freedWarrantyNumber: warrantyNumberToFree
-    });
+    console.log(`📥 Shopify webhook ${headers.topic} (${headers.dedupId}) ${delivery.status}`);
+    res.json({ received: true });
   } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid registration ID' });
+    console.error(`❌ Shopify webhook ${headers.topic} (${headers.dedupId}) failed:`, error.message);
+    if (delivery) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      await delivery.save().catch(() => {});
     }
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
-// ADVANCED CUSTOMER SEARCH ENDPOINT
-app.get('/api/admin/search/customers', authenticateAdmin, async (req, res) => {
+// Webhook delivery log
+app.get('/api/admin/shopify/webhooks', authenticateAdmin, requirePermission('integrations.view'), async (req, res) => {
   try {
-    const { q, type = 'all', limit = 20 } = req.query;
-    
-    if (!q || q.trim().length < 2) {
-      return res.json({ results: [], message: 'Search query must be at least 2 characters' });
-    }
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
 
-    const searchTerm = q.trim();
-    let filter = {};
+    const filter = {};
+    if (req.query.topic) filter.topic = req.query.topic;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.dedupId) filter.dedupId = req.query.dedupId;
 
-    switch (type) {
-      case 'email':
-        filter = { email: new RegExp(searchTerm, 'i') };
-        break;
-      case 'name':
-        filter = {
-          $or: [
-            { fullName: new RegExp(searchTerm, 'i') },
-            { firstName: new RegExp(searchTerm, 'i') },
-            { lastName: new RegExp(searchTerm, 'i') }
-          ]
-        };
-        break;
-      case 'warranty':
-        filter = { warrantyNumber: new RegExp(searchTerm, 'i') };
-        break;
-      case 'order':
-        filter = { orderId: new RegExp(searchTerm, 'i') };
-        break;
-      case 'phone':
-        filter = { phone: new RegExp(searchTerm, 'i') };
-        break;
-      default:
-        // Search all fields
-        filter = {
-          $or: [
-            { email: new RegExp(searchTerm, 'i') },
-            { fullName: new RegExp(searchTerm, 'i') },
-            { firstName: new RegExp(searchTerm, 'i') },
-            { lastName: new RegExp(searchTerm, 'i') },
-            { warrantyNumber: new RegExp(searchTerm, 'i') },
-            { orderId: new RegExp(searchTerm, 'i') },
-            { product: new RegExp(searchTerm, 'i') }
-          ]
-        };
-    }
+    const deliveries = await ShopifyWebhookDelivery.find(filter)
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
 
-    const results = await WarrantyRegistration.find(filter)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 })
-      .select('fullName email product warrantyNumber orderId purchaseDate status source createdAt warrantyEndDate claimDate claimType shopifyCustomerId shopifyIntegrationStatus emailSent emailStatus');
+    const total = await ShopifyWebhookDelivery.countDocuments(filter);
 
     res.json({
-      results,
-      count: results.length,
-      searchTerm,
-      searchType: type
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Export warranty data to CSV
-app.get('/api/admin/export/registrations', authenticateAdmin, async (req, res) => {
+// BACKGROUND JOB ROUTES
+
+// Status of all scheduled jobs (last run, next run, last result)
+app.get('/api/admin/jobs', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
   try {
-    const registrations = await WarrantyRegistration.find({});
-    
-    const csvWriter = createCsvWriter({
-      path: 'exports/warranty_registrations.csv',
-      header: [
-        { id: 'fullName', title: 'Full Name' },
-        { id: 'email', title: 'Email' },
-        { id: 'product', title: 'Product' },
-        { id: 'source', title: 'Purchase Source' },
-        { id: 'orderId', title: 'Order ID' },
-        { id: 'warrantyNumber', title: 'Warranty Number' },
-        { id: 'purchaseDate', title: 'Purchase Date' },
-        { id: 'warrantyEndDate', title: 'Warranty End Date' },
-        { id: 'status', title: 'Status' },
-        { id: 'claimDate', title: 'Claim Date' },
-        { id: 'claimType', title: 'Claim Type' },
-        { id: 'claimNotes', title: 'Claim Notes' },
-        { id: 'shopifyCustomerId', title: 'Shopify Customer ID' },
-        { id: 'shopifyIntegrationStatus', title: 'Shopify Status' },
-        { id: 'emailSent', title: 'Email Sent' },
-        { id: 'emailStatus', title: 'Email Status' },
-        { id: 'createdAt', title: 'Registration Date' }
-      ]
-    });
+    const jobs = Object.values(scheduledJobs).map(job => job.getStatus());
+    res.json({ jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!fs.existsSync('exports')) {
-      fs.mkdirSync('exports');
+app.get('/api/admin/jobs/:name', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
+  const job = scheduledJobs[req.params.name];
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job.getStatus());
+});
+
+// Run a job immediately
+app.post('/api/admin/jobs/:name/run', authenticateAdmin, requirePermission('jobs.run'), async (req, res) => {
+  try {
+    const job = scheduledJobs[req.params.name];
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    await csvWriter.writeRecords(registrations);
-    
-    res.download('exports/warranty_registrations.csv', 'warranty_registrations.csv', (err) => {
-      if (err) {
-        console.error('Download error:', err);
-      }
-      setTimeout(() => {
-        if (fs.existsSync('exports/warranty_registrations.csv')) {
-          fs.unlinkSync('exports/warranty_registrations.csv');
-        }
-      }, 5000);
+    console.log(`Job ${job.name} triggered manually by ${req.admin.username}`);
+    const runResult = await job.run('manual');
+    if (runResult.skipped) {
+      return res.status(409).json({ error: runResult.message, job: job.getStatus() });
+    }
+
+    await recordAudit(req, {
+      action: 'job.run',
+      entityType: 'job',
+      entityId: job.name,
+      entityLabel: job.name,
+      metadata: { result: runResult.result, error: runResult.error }
     });
+
+    res.json({ success: !runResult.error, result: runResult.result, error: runResult.error, job: job.getStatus() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Enhanced dashboard stats with claims and email data
-app.get('/api/admin/stats', authenticateAdmin, async (req, res) => {
+// RETRY QUEUE ROUTES
+
+// Queued Shopify/Omnisend side effects, filterable by status/type/record
+app.get('/api/admin/queue', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
   try {
-    const totalWarrantyNumbers = await WarrantyNumber.countDocuments();
-    const usedWarrantyNumbers = await WarrantyNumber.countDocuments({ isUsed: true });
-    const totalRegistrations = await WarrantyRegistration.countDocuments();
-    const activeWarranties = await WarrantyRegistration.countDocuments({ 
-      status: 'active',
-      warrantyEndDate: { $gt: new Date() }
-    });
-    const claimedWarranties = await WarrantyRegistration.countDocuments({ status: 'claimed' });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
 
-    // Claims stats (new)
-    const totalClaims = await Claim.countDocuments();
-    const pendingClaims = await Claim.countDocuments({ status: 'submitted' });
-    const underReviewClaims = await Claim.countDocuments({ status: 'under-review' });
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.entityType) filter.entityType = req.query.entityType;
+    if (req.query.entityId) filter.entityId = req.query.entityId;
 
-    // Shopify integration stats
-    const shopifySuccessful = await WarrantyRegistration.countDocuments({ shopifyIntegrationStatus: 'success' });
-    const shopifyFailed = await WarrantyRegistration.countDocuments({ shopifyIntegrationStatus: 'failed' });
+    const jobs = await QueueJob.find(filter)
+      .select('-attemptLog')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
 
-    // Email stats
-    const emailsSent = await WarrantyRegistration.countDocuments({ emailSent: true });
-    const emailsFailed = await WarrantyRegistration.countDocuments({ emailStatus: 'failed' });
+    const total = await QueueJob.countDocuments(filter);
 
-    const productStats = await WarrantyRegistration.aggregate([
-      { $group: { _id: '$productId', count: { $sum: 1 }, product: { $first: '$product' } } },
-      { $sort: { count: -1 } }
-    ]);
+    res.json({
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const claimStats = await WarrantyRegistration.aggregate([
-      { $match: { status: 'claimed' } },
-      { $group: { _id: '$claimType', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ]);
+app.get('/api/admin/queue/stats', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
+  try {
+    res.json(await jobQueue.getQueueStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const recentRegistrations = await WarrantyRegistration.countDocuments({
-      createdAt: { $gte: sevenDaysAgo }
-    });
-    const recentClaims = await Claim.countDocuments({
-      submittedAt: { $gte: sevenDaysAgo }
-    });
+app.get('/api/admin/queue/:id', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
+  try {
+    const job = await QueueJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Queue job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json({
-      totalWarrantyNumbers,
-      usedWarrantyNumbers,
-      availableWarrantyNumbers: totalWarrantyNumbers - usedWarrantyNumbers,
-      totalRegistrations,
-      activeWarranties,
-      claimedWarranties,
-      recentRegistrations,
-      recentClaims,
-      // New claims data
-      claimsOverview: {
-        totalClaims,
-        pendingClaims,
-        underReviewClaims,
-        needsAttention: pendingClaims + underReviewClaims
-      },
-      shopifyIntegration: {
-        successful: shopifySuccessful,
-        failed: shopifyFailed,
-        successRate: totalRegistrations > 0 ? ((shopifySuccessful / totalRegistrations) * 100).toFixed(1) : 0
-      },
-      emailConfirmations: {
-        sent: emailsSent,
-        failed: emailsFailed,
-        successRate: totalRegistrations > 0 ? ((emailsSent / totalRegistrations) * 100).toFixed(1) : 0
-      },
-      productStats,
-      claimStats
+// Run a dead, discarded or backed-off job again now
+app.post('/api/admin/queue/:id/retry', authenticateAdmin, requirePermission('jobs.run'), async (req, res) => {
+  try {
+    const existing = await QueueJob.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Queue job not found' });
+    }
+
+    const job = await jobQueue.retryJob(existing._id);
+    if (!job) {
+      return res.status(409).json({ error: `Job is ${existing.status} and can't be retried` });
+    }
+
+    await recordAudit(req, {
+      action: 'queue.retry',
+      entityType: 'queue-job',
+      entityId: job._id,
+      entityLabel: job.type,
+      before: { status: existing.status, attempts: existing.attempts },
+      after: { status: job.status, attempts: job.attempts }
     });
+
+    res.json({ success: true, job });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// SHOPIFY ADMIN ROUTES
-app.get('/api/admin/shopify/test', authenticateAdmin, async (req, res) => {
+// Give up on a job without running it again
+app.post('/api/admin/queue/:id/discard', authenticateAdmin, requirePermission('jobs.run'), async (req, res) => {
   try {
-    const shopifyService = new ShopifyService();
-    const result = await shopifyService.testConnection();
-    res.json(result);
+    const existing = await QueueJob.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Queue job not found' });
+    }
+
+    const job = await jobQueue.discardJob(existing._id, req.admin.username);
+    if (!job) {
+      return res.status(409).json({ error: `Job is ${existing.status} and can't be discarded` });
+    }
+
+    await recordAudit(req, {
+      action: 'queue.discard',
+      entityType: 'queue-job',
+      entityId: job._id,
+      entityLabel: job.type,
+      before: { status: existing.status },
+      after: { status: job.status }
+    });
+
+    res.json({ success: true, job });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Get customer info from Shopify
-app.get('/api/admin/shopify/customer/:email', authenticateAdmin, async (req, res) => {
+// AUDIT LOG ROUTES
+
+// Filterable list of admin actions (newest first)
+app.get('/api/admin/audit-logs', authenticateAdmin, requirePermission('audit.view'), async (req, res) => {
   try {
-    const shopifyService = new ShopifyService();
-    const customer = await shopifyService.findCustomerByEmail(req.params.email);
-    
-    if (customer) {
-      res.json({ 
-        success: true, 
-        customer: {
-          id: customer.id,
-          name: `${customer.first_name} ${customer.last_name}`,
-          email: customer.email,
-          tags: customer.tags,
-          totalOrders: customer.orders_count,
-          totalSpent: customer.total_spent
-        }
-      });
-    } else {
-      res.json({ success: false, message: 'Customer not found in Shopify' });
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.actor) filter['actor.username'] = req.query.actor;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.entityType) filter.entityType = req.query.entityType;
+    if (req.query.entityId) filter.entityId = req.query.entityId;
+    if (req.query.entityLabel) filter.entityLabel = new RegExp(req.query.entityLabel, 'i');
+
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid date range' });
+      }
     }
+
+    const logs = await AuditLog.find(filter)
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Manually sync customer to Shopify
-app.post('/api/admin/shopify/sync/:registrationId', authenticateAdmin, async (req, res) => {
+// Full change history for one record, e.g. /api/admin/audit-logs/registration/<id>
+app.get('/api/admin/audit-logs/:entityType/:entityId', authenticateAdmin, requirePermission('audit.view'), async (req, res) => {
   try {
-    const registration = await WarrantyRegistration.findById(req.params.registrationId);
-    if (!registration) {
-      return res.status(404).json({ success: false, message: 'Registration not found' });
-    }
-
-    const shopifyService = new ShopifyService();
-    const shopifyResult = await shopifyService.createOrUpdateCustomer(
-      {
-        firstName: registration.firstName,
-        lastName: registration.lastName,
-        email: registration.email,
-        phone: registration.phone,
-        address: registration.address
-      },
-      registration
-    );
-
-    // Update registration
-    if (shopifyResult.success) {
-      registration.shopifyCustomerId = shopifyResult.customer.id.toString();
-      registration.shopifyTags = shopifyResult.customer.tags.split(', ');
-      registration.shopifyIntegrationStatus = 'success';
-      await registration.save();
-    }
+    const logs = await AuditLog.find({
+      entityType: req.params.entityType,
+      entityId: req.params.entityId
+    }).sort({ createdAt: -1 });
 
-    res.json({ success: true, result: shopifyResult });
+    res.json({ logs });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
 // EMAIL ADMIN ROUTES
 // Test email service connection
-app.get('/api/admin/email/test', authenticateAdmin, async (req, res) => {
+app.get('/api/admin/email/test', authenticateAdmin, requirePermission('integrations.view'), async (req, res) => {
   try {
-    const emailService = new EmailService();
     const result = await emailService.testConnection();
     res.json(result);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, provider: emailService.providerName, error: error.message });
   }
 });
 
 // Resend email for a specific registration
-app.post('/api/admin/email/resend/:registrationId', authenticateAdmin, async (req, res) => {
+app.post('/api/admin/email/resend/:registrationId', authenticateAdmin, requirePermission('integrations.sync'), async (req, res) => {
   try {
     const registration = await WarrantyRegistration.findById(req.params.registrationId);
     if (!registration) {
       return res.status(404).json({ success: false, message: 'Registration not found' });
     }
 
-    const emailService = new EmailService();
     const emailResult = await emailService.sendWarrantyConfirmation(
       {
         firstName: registration.firstName,
@@ -1523,12 +4882,387 @@ app.post('/api/admin/email/resend/:registrationId', authenticateAdmin, async (re
       await registration.save();
     }
 
+    await recordAudit(req, {
+      action: 'registration.email_resend',
+      entityType: 'registration',
+      entityId: registration._id,
+      entityLabel: registration.warrantyNumber,
+      metadata: { success: !!emailResult.success }
+    });
+
     res.json({ success: true, result: emailResult });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// EMAIL TEMPLATE ROUTES
+
+// Templates plus the placeholders they can use
+app.get('/api/admin/email-templates', authenticateAdmin, requirePermission('templates.manage'), async (req, res) => {
+  try {
+    const stored = await EmailTemplate.find({ key: { $in: emailTemplates.TEMPLATE_KEYS } });
+    const templates = emailTemplates.TEMPLATE_KEYS.map(key =>
+      stored.find(template => template.key === key) || emailTemplates.getDefaultTemplate(key)
+    );
+
+    res.json({ templates, variables: emailTemplates.CLAIM_VARIABLES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/email-templates/:key', authenticateAdmin, requirePermission('templates.manage'), async (req, res) => {
+  try {
+    const template = await emailTemplates.getTemplate(req.params.key);
+    if (!template) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit subject, body or on/off
+app.put('/api/admin/email-templates/:key', authenticateAdmin, requirePermission('templates.manage'), async (req, res) => {
+  try {
+    const { subject, body, isActive } = req.body;
+    const defaults = emailTemplates.getDefaultTemplate(req.params.key);
+    if (!defaults) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    if ((subject !== undefined && !String(subject).trim()) || (body !== undefined && !String(body).trim())) {
+      return res.status(400).json({ error: 'Subject and body cannot be empty' });
+    }
+    const unknown = emailTemplates.findUnknownPlaceholders(`${subject || ''} ${body || ''}`);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}` });
+    }
+
+    const template = await EmailTemplate.findOne({ key: req.params.key }) || new EmailTemplate(defaults);
+    const before = template.isNew ? null : template.toObject();
+
+    if (subject !== undefined) template.subject = String(subject).trim();
+    if (body !== undefined) template.body = String(body).trim();
+    if (isActive !== undefined) template.isActive = !!isActive;
+    template.updatedBy = req.admin.username;
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'email-template.update',
+      entityType: 'email-template',
+      entityId: template._id,
+      entityLabel: template.key,
+      before,
+      after: template
+    });
+    console.log(`Email template ${template.key} updated by ${req.admin.username}`);
+
+    res.json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a template back to the shipped wording
+app.post('/api/admin/email-templates/:key/reset', authenticateAdmin, requirePermission('templates.manage'), async (req, res) => {
+  try {
+    const defaults = emailTemplates.getDefaultTemplate(req.params.key);
+    if (!defaults) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const template = await EmailTemplate.findOne({ key: req.params.key }) || new EmailTemplate(defaults);
+    const before = template.isNew ? null : template.toObject();
+
+    template.subject = defaults.subject;
+    template.body = defaults.body;
+    template.isActive = true;
+    template.updatedBy = req.admin.username;
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'email-template.reset',
+      entityType: 'email-template',
+      entityId: template._id,
+      entityLabel: template.key,
+      before,
+      after: template
+    });
+
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Render with sample data. Pass subject/body to preview unsaved edits.
+app.post('/api/admin/email-templates/:key/preview', authenticateAdmin, requirePermission('templates.manage'), async (req, res) => {
+  try {
+    const stored = await emailTemplates.getTemplate(req.params.key);
+    if (!stored) {
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const template = {
+      subject: req.body.subject !== undefined ? req.body.subject : stored.subject,
+      body: req.body.body !== undefined ? req.body.body : stored.body
+    };
+    const unknown = emailTemplates.findUnknownPlaceholders(`${template.subject} ${template.body}`);
+
+    res.json({
+      ...emailTemplates.renderTemplate(template, emailTemplates.SAMPLE_CLAIM_DATA),
+      sampleData: emailTemplates.SAMPLE_CLAIM_DATA,
+      unknownPlaceholders: unknown
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// WEBHOOK SUBSCRIPTION ROUTES
+
+// Shared checks for create/update - returns an error message or null
+async function validateWebhookInput({ name, url, events }) {
+  if (name !== undefined && !String(name).trim()) {
+    return 'Name is required';
+  }
+  if (url !== undefined) {
+    const urlError = await webhooks.validateUrl(url);
+    if (urlError) return urlError;
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Subscribe to at least one event';
+    }
+    const unknownEvents = events.filter(event => !webhooks.WEBHOOK_EVENTS[event]);
+    if (unknownEvents.length > 0) {
+      return `Unknown events: ${unknownEvents.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+app.get('/api/admin/webhooks', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: 1 });
+    res.json({
+      subscriptions: subscriptions.map(webhooks.formatSubscription),
+      events: webhooks.WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The secret is only returned here and when it's rotated
+app.post('/api/admin/webhooks', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const { name, url, events, secret, isActive } = req.body;
+    if (!name || !url || !events) {
+      return res.status(400).json({ error: 'Name, URL and at least one event are required' });
+    }
+    const inputError = await validateWebhookInput({ name, url, events }) || (secret ? webhooks.validateSecret(secret) : null);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      name: String(name).trim(),
+      url: String(url).trim(),
+      events: [...new Set(events)],
+      secret: secret ? secret.trim() : webhooks.generateSecret(),
+      isActive: isActive !== undefined ? !!isActive : true,
+      createdBy: req.admin.username
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.create',
+      entityType: 'webhook',
+      entityId: subscription._id,
+      entityLabel: subscription.name,
+      after: webhooks.formatSubscription(subscription)
+    });
+    console.log(`Webhook ${subscription.name} (${subscription.url}) created by ${req.admin.username}`);
+
+    res.json({ subscription: webhooks.formatSubscription(subscription), secret: subscription.secret });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/webhooks/:id', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const inputError = await validateWebhookInput(req.body);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const before = webhooks.formatSubscription(subscription);
+    if (req.body.name !== undefined) subscription.name = String(req.body.name).trim();
+    if (req.body.url !== undefined) subscription.url = String(req.body.url).trim();
+    if (req.body.events !== undefined) subscription.events = [...new Set(req.body.events)];
+    if (req.body.isActive !== undefined) subscription.isActive = !!req.body.isActive;
+    await subscription.save();
+
+    await recordAudit(req, {
+      action: 'webhook.update',
+      entityType: 'webhook',
+      entityId: subscription._id,
+      entityLabel: subscription.name,
+      before,
+      after: webhooks.formatSubscription(subscription)
+    });
+
+    res.json({ subscription: webhooks.formatSubscription(subscription) });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New secret (generated unless one is supplied). Receivers must switch to it right away.
+app.post('/api/admin/webhooks/:id/rotate-secret', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (req.body.secret) {
+      const secretError = webhooks.validateSecret(req.body.secret);
+      if (secretError) {
+        return res.status(400).json({ error: secretError });
+      }
+    }
+
+    subscription.secret = req.body.secret ? req.body.secret.trim() : webhooks.generateSecret();
+    await subscription.save();
+
+    await recordAudit(req, {
+      action: 'webhook.rotate-secret',
+      entityType: 'webhook',
+      entityId: subscription._id,
+      entityLabel: subscription.name
+    });
+
+    res.json({ subscription: webhooks.formatSubscription(subscription), secret: subscription.secret });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery log goes with the subscription
+app.delete('/api/admin/webhooks/:id', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookSubscription.findByIdAndDelete(subscription._id);
+    const deliveries = await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      entityType: 'webhook',
+      entityId: subscription._id,
+      entityLabel: subscription.name,
+      before: webhooks.formatSubscription(subscription),
+      metadata: { deliveriesDeleted: deliveries.deletedCount }
+    });
+
+    res.json({ message: 'Webhook deleted successfully', name: subscription.name });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a webhook.test event right away (one attempt, no retries) and return the endpoint's answer
+app.post('/api/admin/webhooks/:id/test', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await webhooks.createDelivery(subscription, webhooks.TEST_EVENT, {
+      message: 'Test delivery from the LDAS warranty admin panel',
+      sentBy: req.admin.username
+    });
+    const result = await webhooks.attemptDelivery(delivery._id);
+    if (!result.success) {
+      await webhooks.markDeliveryFailed(delivery._id, result.error);
+    }
+
+    res.json({ ...result, deliveryId: delivery._id });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery log for a subscription, newest first (filter with ?status=failed)
+app.get('/api/admin/webhooks/:id/deliveries', authenticateAdmin, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const filter = { subscriptionId: subscription._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      subscription: webhooks.formatSubscription(subscription),
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -1555,26 +5289,36 @@ app.get('/api/test-shopify', async (req, res) => {
 // Email Test Route
 app.get('/api/test-email', async (req, res) => {
   try {
-    const emailService = new EmailService();
     const result = await emailService.testConnection();
     res.json(result);
   } catch (error) {
     res.status(500).json({ 
       success: false, 
+      provider: emailService.providerName,
       error: error.message 
     });
   }
 });
 
 // Start server
-app.listen(PORT, async () => {
-  console.log(`🚀 LDAS Warranty System running on port ${PORT}`);
-  console.log(`📊 Dashboard: http://localhost:${PORT}`);
-  console.log(`🔍 API Health: http://localhost:${PORT}/api/health`);
-  console.log(`🛍️ Shopify Test: http://localhost:${PORT}/api/test-shopify`);
-  console.log(`📧 Email Test: http://localhost:${PORT}/api/test-email`);
-  console.log(`🛠️ Claims System: Enabled`);
-  await initializeAdmin();
-});
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`🚀 LDAS Warranty System running on port ${PORT}`);
+    console.log(`📊 Dashboard: http://localhost:${PORT}`);
+    console.log(`🔍 API Health: http://localhost:${PORT}/api/health`);
+    console.log(`🛍️ Shopify Test: http://localhost:${PORT}/api/test-shopify`);
+    console.log(`📧 Email Test: http://localhost:${PORT}/api/test-email (driver: ${emailService.providerName})`);
+    console.log(`🛠️ Claims System: Enabled`);
+    await initializeAdmin();
+    await productCatalog.initializeProducts();
+    await warrantyPlans.initializeWarrantyPlans();
+    await emailTemplates.initializeEmailTemplates();
+    await shopifyResync.markInterruptedRuns();
+    Object.values(scheduledJobs).forEach(job => job.start());
+    jobQueue.startWorker();
+  });
+}
 
 module.exports = app;
+// Scheduled job bodies, run directly by the tests
+module.exports.runExpiryReminders = runExpiryReminders;
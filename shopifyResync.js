@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+// Bulk "sync these registrations to Shopify again" runs. One run at a time; it works through
+// the matching registrations in the background and can be cancelled between records.
+
+const MAX_RESYNC_RECORDS = parseInt(process.env.MAX_RESYNC_RECORDS) || 5000;
+
+const ShopifyResyncSchema = new mongoose.Schema({
+  filters: {
+    shopifyIntegrationStatus: [{ type: String }],
+    productId: { type: String },
+    from: { type: Date },
+    to: { type: Date }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'cancelled', 'failed', 'interrupted'],
+    default: 'queued'
+  },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  results: [{
+    registrationId: { type: mongoose.Schema.Types.ObjectId, ref: 'WarrantyRegistration' },
+    warrantyNumber: String,
+    email: String,
+    status: { type: String, enum: ['success', 'failed', 'skipped'] },
+    action: String, // 'created', 'updated'...
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  error: { type: String },
+  createdBy: { type: String },
+  cancelRequestedAt: { type: Date },
+  cancelledBy: { type: String },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  // Set while the run is queued or running. The unique index below lets only one run hold it,
+  // so two starts at the same moment can't both go through.
+  isCurrent: { type: Boolean },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ShopifyResyncSchema.index({ isCurrent: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+
+const ShopifyResync = mongoose.model('ShopifyResync', ShopifyResyncSchema);
+
+// Create a run unless another one is queued or running. Resolves with null in that case.
+async function startRun(fields) {
+  try {
+    return await ShopifyResync.create({ ...fields, status: 'queued', isCurrent: true });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+// Move a run to a final status and release the one-run-at-a-time slot
+function finishRun(filter, fields) {
+  return ShopifyResync.updateMany(filter, { ...fields, finishedAt: new Date(), $unset: { isCurrent: 1 } });
+}
+
+// Mongo filter for the registrations a run covers
+function buildRegistrationFilter(filters) {
+  const filter = {};
+  if (filters.shopifyIntegrationStatus && filters.shopifyIntegrationStatus.length > 0) {
+    filter.shopifyIntegrationStatus = { $in: filters.shopifyIntegrationStatus };
+  }
+  if (filters.productId) filter.productId = filters.productId;
+  if (filters.from || filters.to) {
+    filter.createdAt = {};
+    if (filters.from) filter.createdAt.$gte = filters.from;
+    if (filters.to) filter.createdAt.$lte = filters.to;
+  }
+  return filter;
+}
+
+// Summary without the per-record results (those can be long)
+function formatResync(resync) {
+  const { results, ...summary } = resync.toObject();
+  return {
+    ...summary,
+    percent: summary.total > 0 ? Math.round((summary.processed / summary.total) * 100) : 100
+  };
+}
+
+// Work through the registrations. syncRegistration(registration) resolves with
+// { status: 'success' | 'failed' | 'skipped', action, error } and should not throw.
+async function runResync(resyncId, registrationIds, loadRegistration, syncRegistration) {
+  try {
+    await ShopifyResync.updateOne({ _id: resyncId }, { status: 'running', startedAt: new Date() });
+    console.log(`🔄 Shopify resync ${resyncId} started (${registrationIds.length} registrations)`);
+
+    for (const registrationId of registrationIds) {
+      const current = await ShopifyResync.findById(resyncId).select('cancelRequestedAt');
+      if (!current || current.cancelRequestedAt) {
+        await finishRun({ _id: resyncId }, { status: 'cancelled' });
+        console.log(`⏹️ Shopify resync ${resyncId} cancelled`);
+        return;
+      }
+
+      const registration = await loadRegistration(registrationId);
+      let outcome;
+      if (!registration) {
+        outcome = { status: 'skipped', error: 'Registration no longer exists' };
+      } else {
+        try {
+          outcome = await syncRegistration(registration);
+        } catch (error) {
+          outcome = { status: 'failed', error: error.message };
+        }
+      }
+
+      const counter = { success: 'succeeded', failed: 'failed', skipped: 'skipped' }[outcome.status];
+      await ShopifyResync.updateOne({ _id: resyncId }, {
+        $inc: { processed: 1, [counter]: 1 },
+        $push: {
+          results: {
+            registrationId,
+            warrantyNumber: registration ? registration.warrantyNumber : undefined,
+            email: registration ? registration.email : undefined,
+            status: outcome.status,
+            action: outcome.action,
+            error: outcome.error
+          }
+        }
+      });
+    }
+
+    await finishRun({ _id: resyncId }, { status: 'completed' });
+    console.log(`✅ Shopify resync ${resyncId} completed`);
+  } catch (error) {
+    console.error(`❌ Shopify resync ${resyncId} failed:`, error.message);
+    await finishRun({ _id: resyncId }, { status: 'failed', error: error.message })
+      .catch(() => {});
+  }
+}
+
+// A restart stops the loop - flag runs that were in progress so a new one can be started
+async function markInterruptedRuns() {
+  try {
+    const result = await finishRun(
+      { status: { $in: ['queued', 'running'] } },
+      { status: 'interrupted', error: 'Server restarted during the run' }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`⚠️ Marked ${result.modifiedCount} Shopify resync runs as interrupted`);
+    }
+  } catch (error) {
+    console.error('Error checking Shopify resync runs:', error.message);
+  }
+}
+
+// Remove the email from results for these registrations (customer redaction)
+async function forgetResultEmails(registrationIds) {
+  if (!registrationIds || registrationIds.length === 0) return 0;
+  const result = await ShopifyResync.updateMany(
+    { 'results.registrationId': { $in: registrationIds } },
+    { $unset: { 'results.$[entry].email': 1 } },
+    { arrayFilters: [{ 'entry.registrationId': { $in: registrationIds } }] }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ShopifyResync,
+  MAX_RESYNC_RECORDS,
+  buildRegistrationFilter,
+  formatResync,
+  startRun,
+  runResync,
+  markInterruptedRuns,
+  forgetResultEmails
+};
@@ -1,4 +1,71 @@
 const axios = require('axios');
+const productCatalog = require('./productCatalog');
+
+// Shopify REST limits: a bucket of 40 calls that leaks 2 per second, 429 + Retry-After when it's full.
+// Every ShopifyService instance shares this client so bulk jobs and live traffic draw from one bucket.
+const REQUEST_INTERVAL_MS = parseInt(process.env.SHOPIFY_REQUEST_INTERVAL_MS) || 500;
+const BUCKET_THROTTLE_RATIO = 0.8; // Slow down once the bucket is this full
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+const shopifyHttp = axios.create();
+let nextRequestAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Space requests out so they never arrive faster than the bucket leaks
+shopifyHttp.interceptors.request.use(async (config) => {
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  nextRequestAt = Math.max(now, nextRequestAt) + REQUEST_INTERVAL_MS;
+  if (wait > 0) await sleep(wait);
+  return config;
+});
+
+function applyCallLimitHeader(response) {
+  // e.g. "32/40" - calls currently in the bucket / bucket size
+  const header = response && response.headers && response.headers['x-shopify-shop-api-call-limit'];
+  if (!header) return;
+
+  const [used, size] = header.split('/').map(Number);
+  const threshold = Math.floor(size * BUCKET_THROTTLE_RATIO);
+  if (used >= threshold) {
+    // Give the bucket time to drain back under the threshold
+    nextRequestAt = Math.max(nextRequestAt, Date.now() + (used - threshold + 1) * REQUEST_INTERVAL_MS);
+  }
+}
+
+shopifyHttp.interceptors.response.use(
+  (response) => {
+    applyCallLimitHeader(response);
+    return response;
+  },
+  async (error) => {
+    const { config, response } = error;
+    applyCallLimitHeader(response);
+
+    if (!config || !response || response.status !== 429) throw error;
+
+    config.rateLimitRetries = (config.rateLimitRetries || 0) + 1;
+    if (config.rateLimitRetries > MAX_RATE_LIMIT_RETRIES) throw error;
+
+    const retryAfterSeconds = parseFloat(response.headers['retry-after']) || 2;
+    console.log(`⏳ Shopify rate limit hit, retrying in ${retryAfterSeconds}s (attempt ${config.rateLimitRetries}/${MAX_RATE_LIMIT_RETRIES})`);
+    nextRequestAt = Math.max(nextRequestAt, Date.now() + retryAfterSeconds * 1000);
+    return shopifyHttp(config);
+  }
+);
+
+// Customer tags that describe warranty state. Reconciliation owns these (plus product tags)
+// and leaves every other tag on the customer alone.
+const WARRANTY_STATUS_TAGS = ['warranty-registered', 'warranty-active', 'warranty-claimed', 'warranty-expired'];
+const CLOSED_CLAIM_STATUSES = ['completed', 'cancelled', 'denied'];
+// A claimed warranty is still covered until its end date, same as an active one
+const COVERED_STATUSES = ['active', 'claimed'];
+
+// Structured warranty list on the customer, replacing the old note blocks
+const WARRANTY_METAFIELD = { namespace: 'warranty', key: 'registrations' };
+// A block older versions prepended to the customer note on every sync
+const NOTE_BLOCK_PATTERN = /WARRANTY REGISTRATION - [^\n]*\n[\s\S]*?--- Previous Notes ---\n?/g;
 
 class ShopifyService {
   constructor() {
@@ -13,12 +80,13 @@ class ShopifyService {
     };
   }
 
-  // Find customer by email
+  // Find customer by email. Resolves with null only when Shopify has no such customer -
+  // rate limits, outages and network errors are thrown so callers can retry.
   async findCustomerByEmail(email) {
     try {
       console.log(`🔍 Searching for customer: ${email}`);
       
-      const response = await axios.get(
+      const response = await shopifyHttp.get(
         `${this.baseUrl}/customers/search.json?query=email:${encodeURIComponent(email)}`,
         { headers: this.headers }
       );
@@ -26,8 +94,9 @@ class ShopifyService {
       const customers = response.data.customers;
       return customers.length > 0 ? customers[0] : null;
     } catch (error) {
+      if (error.response?.status === 404) return null;
       console.error('❌ Error finding customer:', error.response?.data || error.message);
-      return null;
+      throw error;
     }
   }
 
@@ -37,7 +106,6 @@ class ShopifyService {
       console.log(`➕ Creating new customer: ${customerData.email}`);
       
       const warrantyTags = this.generateWarrantyTags(warrantyData);
-      const customerNotes = this.generateWarrantyNotes(warrantyData);
       
       const newCustomer = {
         customer: {
@@ -45,8 +113,7 @@ class ShopifyService {
           last_name: customerData.lastName,
           email: customerData.email,
           phone: customerData.phone || null,
-          tags: warrantyTags.join(', '),
-          note: customerNotes
+          tags: warrantyTags.join(', ')
         }
       };
 
@@ -57,7 +124,7 @@ class ShopifyService {
         }];
       }
 
-      const response = await axios.post(
+      const response = await shopifyHttp.post(
         `${this.baseUrl}/customers.json`,
         newCustomer,
         { headers: this.headers }
@@ -93,12 +160,11 @@ class ShopifyService {
       const updatedCustomer = {
         customer: {
           id: existingCustomer.id,
-          tags: allTags.join(', '),
-          note: this.updateCustomerNotes(existingCustomer.note, warrantyData)
+          tags: allTags.join(', ')
         }
       };
 
-      const response = await axios.put(
+      const response = await shopifyHttp.put(
         `${this.baseUrl}/customers/${existingCustomer.id}.json`,
         updatedCustomer,
         { headers: this.headers }
@@ -145,11 +211,161 @@ class ShopifyService {
     }
   }
 
+  // Add and remove tags on an existing customer
+  async updateCustomerTags(email, addTags = [], removeTags = []) {
+    try {
+      const customer = await this.findCustomerByEmail(email);
+      if (!customer) {
+        return { success: false, error: 'Customer not found in Shopify', action: 'skipped' };
+      }
+
+      const existingTags = customer.tags ? customer.tags.split(', ') : [];
+      const tags = [...new Set([...existingTags, ...addTags])]
+        .filter(tag => !removeTags.includes(tag));
+
+      const response = await shopifyHttp.put(
+        `${this.baseUrl}/customers/${customer.id}.json`,
+        { customer: { id: customer.id, tags: tags.join(', ') } },
+        { headers: this.headers }
+      );
+
+      console.log(`✅ Customer tags updated. ID: ${customer.id}`);
+      return {
+        success: true,
+        customer: response.data.customer,
+        action: 'updated'
+      };
+    } catch (error) {
+      console.error('❌ Error updating customer tags:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message,
+        action: 'failed'
+      };
+    }
+  }
+
+  // Look up an order by what a customer would type: '#1001', '1001' or the full order ID.
+  // Returns { success: true, order } with order null when nothing matches.
+  async findOrder(orderReference) {
+    try {
+      const reference = String(orderReference || '').trim().replace(/^#/, '');
+      if (!reference) {
+        return { success: true, order: null };
+      }
+
+      // Order IDs are long numbers, order numbers are short ones
+      if (/^\d{10,}$/.test(reference)) {
+        try {
+          const response = await shopifyHttp.get(
+            `${this.baseUrl}/orders/${reference}.json`,
+            { headers: this.headers }
+          );
+          return { success: true, order: response.data.order };
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+
+      const response = await shopifyHttp.get(
+        `${this.baseUrl}/orders.json?name=${encodeURIComponent(`#${reference}`)}&status=any`,
+        { headers: this.headers }
+      );
+      const orders = response.data.orders.filter(order => order.name.replace(/^#/, '') === reference);
+      return { success: true, order: orders.length > 0 ? orders[0] : null };
+    } catch (error) {
+      console.error('❌ Error finding order:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Check a registration's order: it must exist, belong to the same email,
+  // include the registered product and not be cancelled or refunded.
+  // Status is 'verified', 'mismatch', 'cancelled', 'not-found' or 'error'.
+  async verifyOrder(orderReference, email, productName) {
+    const lookup = await this.findOrder(orderReference);
+    if (!lookup.success) {
+      return { status: 'error', reasons: [lookup.error] };
+    }
+    if (!lookup.order) {
+      return { status: 'not-found', reasons: [`No Shopify order matches "${orderReference}"`] };
+    }
+
+    const order = lookup.order;
+    const orderEmail = order.email || (order.customer && order.customer.email) || '';
+    const reasons = [];
+
+    if (orderEmail.toLowerCase() !== String(email || '').toLowerCase()) {
+      reasons.push('Order email does not match the registration email');
+    }
+
+    const product = productCatalog.findByName(productName);
+    if (!(order.line_items || []).some(item => productCatalog.matchesShopifyLineItem(product, item))) {
+      reasons.push(`Order has no line item for ${productName}`);
+    }
+
+    let status = reasons.length > 0 ? 'mismatch' : 'verified';
+    if (order.cancelled_at || ['refunded', 'voided'].includes(order.financial_status)) {
+      status = 'cancelled';
+      reasons.push(order.cancelled_at ? 'Order was cancelled' : `Order is ${order.financial_status}`);
+    }
+
+    return {
+      status,
+      reasons,
+      order: { id: String(order.id), name: order.name, email: orderEmail }
+    };
+  }
+
+  // Tags a customer should have given all of their registrations and claims
+  getLifecycleTags(registrations, claims = []) {
+    if (registrations.length === 0) return [];
+
+    const now = new Date();
+    const isActive = (registration) => COVERED_STATUSES.includes(registration.status) &&
+      (!registration.warrantyEndDate || new Date(registration.warrantyEndDate) > now);
+    const isExpired = (registration) => registration.status === 'expired' ||
+      (COVERED_STATUSES.includes(registration.status) && !isActive(registration));
+
+    const tags = new Set(['warranty-registered']);
+    registrations.forEach(registration => tags.add(productCatalog.getShopifyTag(registration.product)));
+
+    if (registrations.some(isActive)) {
+      tags.add('warranty-active');
+    } else if (registrations.some(isExpired)) {
+      // Only advertised once nothing is covered any more
+      tags.add('warranty-expired');
+    }
+
+    // Registration status stays 'claimed' after the claim closes, so only the claims decide this
+    if (claims.some(claim => !CLOSED_CLAIM_STATUSES.includes(claim.status))) {
+      tags.add('warranty-claimed');
+    }
+
+    return [...tags];
+  }
+
+  // Bring a customer's warranty tags in line with their current registrations and claims
+  async reconcileCustomerTags(email, registrations, claims) {
+    const desiredTags = this.getLifecycleTags(registrations, claims);
+    const managedTags = [
+      ...WARRANTY_STATUS_TAGS,
+      ...productCatalog.getAllProducts().map(product => productCatalog.getShopifyTag(product.name))
+    ];
+    const removeTags = managedTags.filter(tag => !desiredTags.includes(tag));
+
+    const result = await this.updateCustomerTags(email, desiredTags, removeTags);
+    return { ...result, desiredTags, removedTags: removeTags };
+  }
+
   // Generate warranty tags for customer segmentation
   generateWarrantyTags(warrantyData) {
     const tags = [
       'warranty-registered',
-      `product-${this.getProductCode(warrantyData.product)}`,
+      productCatalog.getShopifyTag(warrantyData.product),
       'warranty-active',
       `source-${warrantyData.source.toLowerCase().replace(/[^a-z0-9]/g, '-')}`,
       `registered-${new Date().getFullYear()}`
@@ -158,45 +374,124 @@ class ShopifyService {
     return tags;
   }
 
-  // Generate customer notes with warranty details
-  generateWarrantyNotes(warrantyData) {
-    const registrationDate = new Date().toLocaleDateString();
-    const warrantyEndDate = new Date(warrantyData.purchaseDate);
-    warrantyEndDate.setFullYear(warrantyEndDate.getFullYear() + 1);
+  // One warranty entry for the customer metafield
+  buildWarrantyRecord(registration, claims = []) {
+    const toDate = (value) => value ? new Date(value).toISOString().slice(0, 10) : null;
+    return {
+      warrantyNumber: registration.warrantyNumber,
+      product: registration.product,
+      productCode: registration.productId,
+      status: registration.status,
+      purchaseDate: toDate(registration.purchaseDate),
+      warrantyStartDate: toDate(registration.warrantyStartDate),
+      warrantyEndDate: toDate(registration.warrantyEndDate),
+      coverageType: registration.coverageType || null,
+      planCode: registration.warrantyPlanCode || null,
+      source: registration.source,
+      orderId: registration.orderId || null,
+      claims: claims.map(claim => ({
+        claimNumber: claim.claimNumber,
+        status: claim.status,
+        submittedAt: toDate(claim.submittedAt)
+      }))
+    };
+  }
+
+  async getWarrantyMetafield(customerId) {
+    const response = await shopifyHttp.get(
+      `${this.baseUrl}/customers/${customerId}/metafields.json`,
+      { headers: this.headers, params: WARRANTY_METAFIELD }
+    );
+    return response.data.metafields.find(metafield =>
+      metafield.namespace === WARRANTY_METAFIELD.namespace && metafield.key === WARRANTY_METAFIELD.key
+    ) || null;
+  }
+
+  // Write the customer's warranty list. Entries are keyed by warranty number and the
+  // write is skipped when nothing changed, so calling this repeatedly is safe.
+  async setWarrantyRecords(customerId, records) {
+    try {
+      const byNumber = new Map(records.map(record => [record.warrantyNumber, record]));
+      const warranties = [...byNumber.values()]
+        .sort((a, b) => String(a.warrantyNumber).localeCompare(String(b.warrantyNumber)));
+
+      const existing = await this.getWarrantyMetafield(customerId);
+      if (existing) {
+        let current = null;
+        try {
+          current = JSON.parse(existing.value).warranties;
+        } catch (parseError) {
+          // Unreadable value - overwrite it below
+        }
+        if (JSON.stringify(current) === JSON.stringify(warranties)) {
+          return { success: true, action: 'unchanged', count: warranties.length };
+        }
+      }
 
-    return `WARRANTY REGISTRATION - ${registrationDate}
-Product: ${warrantyData.product}
-Warranty #: ${warrantyData.warrantyNumber}
-Purchase Date: ${new Date(warrantyData.purchaseDate).toLocaleDateString()}
-Warranty Valid Until: ${warrantyEndDate.toLocaleDateString()}
-Source: ${warrantyData.source}
-${warrantyData.orderId ? `Order ID: ${warrantyData.orderId}` : ''}
+      const value = JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), warranties });
+      if (existing) {
+        await shopifyHttp.put(
+          `${this.baseUrl}/customers/${customerId}/metafields/${existing.id}.json`,
+          { metafield: { id: existing.id, type: 'json', value } },
+          { headers: this.headers }
+        );
+      } else {
+        await shopifyHttp.post(
+          `${this.baseUrl}/customers/${customerId}/metafields.json`,
+          { metafield: { ...WARRANTY_METAFIELD, type: 'json', value } },
+          { headers: this.headers }
+        );
+      }
 
---- Previous Notes ---
-`;
+      console.log(`✅ Warranty metafield ${existing ? 'updated' : 'created'} for customer ${customerId} (${warranties.length} warranties)`);
+      return { success: true, action: existing ? 'updated' : 'created', count: warranties.length };
+    } catch (error) {
+      console.error('❌ Error writing warranty metafield:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message,
+        action: 'failed'
+      };
+    }
   }
 
-  // Update existing customer notes
-  updateCustomerNotes(existingNotes, warrantyData) {
-    const newNote = this.generateWarrantyNotes(warrantyData);
-    return newNote + (existingNotes || '');
+  // Remove the warranty blocks older versions prepended to the customer note, keeping anything else
+  async cleanWarrantyNotes(customer) {
+    try {
+      const note = customer.note || '';
+      const blocks = note.match(NOTE_BLOCK_PATTERN) || [];
+      if (blocks.length === 0) {
+        return { success: true, action: 'unchanged', removedBlocks: 0 };
+      }
+
+      const cleaned = note.replace(NOTE_BLOCK_PATTERN, '').trim();
+      await shopifyHttp.put(
+        `${this.baseUrl}/customers/${customer.id}.json`,
+        { customer: { id: customer.id, note: cleaned } },
+        { headers: this.headers }
+      );
+
+      console.log(`🧹 Removed ${blocks.length} warranty note blocks from customer ${customer.id}`);
+      return { success: true, action: 'updated', removedBlocks: blocks.length };
+    } catch (error) {
+      console.error('❌ Error cleaning customer note:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message,
+        action: 'failed'
+      };
+    }
   }
 
   // Get product code from product name
   getProductCode(productName) {
-    const productMap = {
-      'LDAS TH11 Headset': 'th11',
-      'LDAS G7 Headset': 'g7', 
-      'LDAS G10 Headset': 'g10'
-    };
-    
-    return productMap[productName] || 'unknown';
+    return productCatalog.getProductCode(productName);
   }
 
   // Test connection (we already know this works!)
   async testConnection() {
     try {
-      const response = await axios.get(
+      const response = await shopifyHttp.get(
         `${this.baseUrl}/shop.json`,
         { headers: this.headers }
       );
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Incoming Shopify webhooks: signature check, delivery log and the order records they keep in sync
+
+const WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.SHOPIFY_WEBHOOK_RETENTION_DAYS) || 90;
+// A delivery still 'received' after this long is assumed lost (crash or restart mid-process)
+// and is processed again by the next retry from Shopify
+const PROCESSING_LEASE_MS = 30 * 1000;
+
+const ORDER_TOPICS = ['orders/create', 'orders/cancelled'];
+const PRIVACY_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
+// One row per delivery. Shopify retries until it gets a 2xx, so the dedup ID keeps
+// a retried delivery from being processed twice.
+const ShopifyWebhookDeliverySchema = new mongoose.Schema({
+  dedupId: { type: String, required: true, unique: true }, // X-Shopify-Event-Id, else X-Shopify-Webhook-Id
+  webhookId: { type: String },
+  topic: { type: String, required: true },
+  shopDomain: { type: String },
+  apiVersion: { type: String },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  error: { type: String },
+  result: { type: mongoose.Schema.Types.Mixed }, // What the delivery changed (order ID, records redacted...)
+  duplicateCount: { type: Number, default: 0 },
+  lastReceivedAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: Date.now }, // When the current processing attempt started
+  processedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+ShopifyWebhookDeliverySchema.index({ topic: 1, createdAt: -1 });
+
+// Orders seen through webhooks, used to tell real order IDs from made-up or refunded ones
+const ShopifyOrderSchema = new mongoose.Schema({
+  shopifyOrderId: { type: String, required: true, unique: true },
+  orderNumber: { type: String }, // e.g. '1001'
+  name: { type: String }, // e.g. '#1001'
+  shopDomain: { type: String },
+  email: { type: String },
+  shopifyCustomerId: { type: String },
+  financialStatus: { type: String },
+  totalPrice: { type: String },
+  currency: { type: String },
+  lineItems: [{
+    productId: String,
+    variantId: String,
+    sku: String,
+    title: String,
+    quantity: Number
+  }],
+  status: { type: String, enum: ['open', 'cancelled', 'refunded'], default: 'open' },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String },
+  orderCreatedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ShopifyOrderSchema.index({ orderNumber: 1 });
+ShopifyOrderSchema.index({ name: 1 });
+ShopifyOrderSchema.index({ email: 1 });
+
+const ShopifyWebhookDelivery = mongoose.model('ShopifyWebhookDelivery', ShopifyWebhookDeliverySchema);
+const ShopifyOrder = mongoose.model('ShopifyOrder', ShopifyOrderSchema);
+
+function isConfigured() {
+  return !!WEBHOOK_SECRET;
+}
+
+// X-Shopify-Hmac-Sha256 is a base64 HMAC-SHA256 of the exact request bytes
+function verifyHmac(rawBody, hmacHeader) {
+  if (!WEBHOOK_SECRET || !Buffer.isBuffer(rawBody) || !hmacHeader) return false;
+
+  const expected = crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function getDeliveryHeaders(req) {
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  return {
+    dedupId: req.get('X-Shopify-Event-Id') || webhookId,
+    webhookId,
+    topic: req.get('X-Shopify-Topic'),
+    shopDomain: req.get('X-Shopify-Shop-Domain'),
+    apiVersion: req.get('X-Shopify-API-Version')
+  };
+}
+
+// Log a delivery. Returns { delivery, duplicate, inProgress }:
+// - duplicate: it was already processed (or ignored) and is only counted
+// - inProgress: another attempt is processing it right now, so Shopify should retry later
+// Otherwise the caller owns the delivery and processes it. A failed delivery, or one stuck in
+// 'received' past the lease, is claimed with a single conditional update so concurrent retries
+// can't both process it.
+async function recordDelivery(headers) {
+  try {
+    const delivery = await ShopifyWebhookDelivery.create(headers);
+    return { delivery, duplicate: false, inProgress: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const now = new Date();
+  const claimed = await ShopifyWebhookDelivery.findOneAndUpdate(
+    {
+      dedupId: headers.dedupId,
+      $or: [
+        { status: 'failed' },
+        { status: 'received', lockedAt: { $not: { $gte: new Date(now.getTime() - PROCESSING_LEASE_MS) } } }
+      ]
+    },
+    { $inc: { duplicateCount: 1 }, status: 'received', lockedAt: now, lastReceivedAt: now },
+    { new: true }
+  );
+  if (claimed) {
+    return { delivery: claimed, duplicate: false, inProgress: false };
+  }
+
+  const delivery = await ShopifyWebhookDelivery.findOneAndUpdate(
+    { dedupId: headers.dedupId },
+    { $inc: { duplicateCount: 1 }, lastReceivedAt: now },
+    { new: true }
+  );
+  if (!delivery) {
+    // Expired between the insert and the lookup - try once more
+    return { delivery: await ShopifyWebhookDelivery.create(headers), duplicate: false, inProgress: false };
+  }
+  return {
+    delivery,
+    duplicate: ['processed', 'ignored'].includes(delivery.status),
+    inProgress: delivery.status === 'received'
+  };
+}
+
+function getOrderStatus(order) {
+  if (['refunded', 'voided'].includes(order.financial_status)) return 'refunded';
+  if (order.cancelled_at) return 'cancelled';
+  return 'open';
+}
+
+async function upsertOrder(order, shopDomain) {
+  if (!order || !order.id) {
+    throw new Error('Order payload has no id');
+  }
+
+  const fields = {
+    orderNumber: order.order_number !== undefined ? String(order.order_number) : undefined,
+    name: order.name,
+    shopDomain,
+    email: order.email || (order.customer && order.customer.email),
+    shopifyCustomerId: order.customer && order.customer.id ? String(order.customer.id) : undefined,
+    financialStatus: order.financial_status,
+    totalPrice: order.total_price,
+    currency: order.currency,
+    lineItems: (order.line_items || []).map(item => ({
+      productId: item.product_id ? String(item.product_id) : undefined,
+      variantId: item.variant_id ? String(item.variant_id) : undefined,
+      sku: item.sku,
+      title: item.title,
+      quantity: item.quantity
+    })),
+    status: getOrderStatus(order),
+    cancelledAt: order.cancelled_at ? new Date(order.cancelled_at) : null,
+    cancelReason: order.cancel_reason || null,
+    orderCreatedAt: order.created_at ? new Date(order.created_at) : undefined,
+    updatedAt: new Date()
+  };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+  return ShopifyOrder.findOneAndUpdate(
+    { shopifyOrderId: String(order.id) },
+    { $set: fields },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Drop logged results that list these records or orders (customer redaction)
+async function forgetDeliveryResults({ registrationIds = [], claimIds = [], orderIds = [] }) {
+  const conditions = [];
+  if (registrationIds.length > 0) {
+    conditions.push({ 'result.registrations.id': { $in: [...registrationIds, ...registrationIds.map(String)] } });
+  }
+  if (claimIds.length > 0) {
+    conditions.push({ 'result.claims.id': { $in: [...claimIds, ...claimIds.map(String)] } });
+  }
+  if (orderIds.length > 0) {
+    conditions.push({ 'result.orderId': { $in: orderIds.map(String) } });
+  }
+  if (conditions.length === 0) return 0;
+
+  const result = await ShopifyWebhookDelivery.updateMany({ $or: conditions }, { $unset: { result: 1 } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ShopifyWebhookDelivery,
+  ShopifyOrder,
+  ORDER_TOPICS,
+  PRIVACY_TOPICS,
+  isConfigured,
+  verifyHmac,
+  getDeliveryHeaders,
+  recordDelivery,
+  upsertOrder,
+  forgetDeliveryResults
+};
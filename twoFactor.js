@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238) second factor for admin accounts
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'LDAS Warranty Admin';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that must have 2FA turned on, e.g. TWO_FACTOR_REQUIRED_ROLES=super_admin,admin
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Secrets are stored encrypted so a database dump alone can't generate codes
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+  .digest();
+
+function isRequiredForRole(role) {
+  return REQUIRED_ROLES.includes(role);
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/[\s=-]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function getCurrentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+// Returns the matching time step, or null. Allows one step of clock drift either way
+// and rejects any step at or before lastUsedStep so a code can't be replayed.
+function verifyCode(secret, code, lastUsedStep) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(clean)) return null;
+
+  const currentStep = getCurrentStep();
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// URI that authenticator apps accept (usually shown as a QR code)
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Plain codes are shown to the admin once; only the hashes are stored
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  REQUIRED_ROLES,
+  isRequiredForRole,
+  generateSecret,
+  encryptSecret,
+  decryptSecret,
+  generateCode,
+  getCurrentStep,
+  verifyCode,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
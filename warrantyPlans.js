@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Coverage length used when no plan applies to a product
+const DEFAULT_DURATION_MONTHS = 12;
+
+const WarrantyPlanSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  products: [{ type: String, lowercase: true, trim: true }], // Product codes this plan applies to
+  durationMonths: { type: Number, required: true, min: 1 },
+  coverageType: {
+    type: String,
+    enum: ['standard', 'extended', 'accidental-damage'],
+    default: 'standard'
+  },
+  price: { type: Number, default: 0, min: 0 },
+  currency: { type: String, default: 'CAD' },
+  isDefault: { type: Boolean, default: false }, // Applied when a registration doesn't pick a plan
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+WarrantyPlanSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const WarrantyPlan = mongoose.model('WarrantyPlan', WarrantyPlanSchema);
+
+// Seed data - the one-year coverage every product had before plans existed
+const DEFAULT_PLANS = [
+  {
+    code: 'standard-1y',
+    name: 'Standard 1-Year Warranty',
+    description: 'Manufacturer warranty included with every purchase',
+    products: ['th11', 'g7', 'g10'],
+    durationMonths: 12,
+    coverageType: 'standard',
+    price: 0,
+    isDefault: true
+  }
+];
+
+// Seed the default plan on first run
+async function initializeWarrantyPlans() {
+  try {
+    const count = await WarrantyPlan.countDocuments();
+    if (count === 0) {
+      await WarrantyPlan.insertMany(DEFAULT_PLANS);
+      console.log('Default warranty plan created: standard-1y');
+    }
+  } catch (error) {
+    console.error('Error initializing warranty plans:', error);
+  }
+}
+
+// Single source of truth for warranty end dates
+function calculateWarrantyEndDate(purchaseDate, durationMonths = DEFAULT_DURATION_MONTHS) {
+  const start = new Date(purchaseDate);
+  const endDate = new Date(start);
+  endDate.setMonth(endDate.getMonth() + durationMonths);
+
+  // Clamp month overflow (e.g. Jan 31 + 1 month should be Feb 28/29, not Mar 3)
+  if (endDate.getDate() !== start.getDate()) {
+    endDate.setDate(0);
+  }
+
+  return endDate;
+}
+
+// Find the plan for a registration: the requested plan (by id or code) if given,
+// otherwise the product's default plan. Returns null when nothing matches.
+async function resolvePlan(productCode, requestedPlan) {
+  if (requestedPlan) {
+    const filter = mongoose.Types.ObjectId.isValid(requestedPlan)
+      ? { _id: requestedPlan }
+      : { code: String(requestedPlan).toLowerCase() };
+    const plan = await WarrantyPlan.findOne({ ...filter, isActive: true });
+
+    if (!plan || !plan.products.includes(productCode)) {
+      const error = new Error('Warranty plan is not available for this product');
+      error.name = 'WarrantyPlanError';
+      throw error;
+    }
+    return plan;
+  }
+
+  return WarrantyPlan.findOne({ products: productCode, isDefault: true, isActive: true });
+}
+
+// Warranty fields stored on a registration for a given plan
+function getPlanTerms(plan) {
+  if (!plan) {
+    return {
+      warrantyPlan: null,
+      warrantyPlanCode: null,
+      coverageType: 'standard',
+      warrantyDurationMonths: DEFAULT_DURATION_MONTHS
+    };
+  }
+
+  return {
+    warrantyPlan: plan._id,
+    warrantyPlanCode: plan.code,
+    coverageType: plan.coverageType,
+    warrantyDurationMonths: plan.durationMonths
+  };
+}
+
+module.exports = {
+  WarrantyPlan,
+  DEFAULT_PLANS,
+  DEFAULT_DURATION_MONTHS,
+  initializeWarrantyPlans,
+  calculateWarrantyEndDate,
+  resolvePlan,
+  getPlanTerms
+};
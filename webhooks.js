@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+
+// Outgoing webhooks: admins subscribe URLs to events and we POST each event to them.
+//
+// Every delivery is a JSON body { id, event, createdAt, data } with these headers:
+//   X-LDAS-Webhook-Event      event name, e.g. 'claim.submitted'
+//   X-LDAS-Webhook-Id         delivery ID - the same on every retry, so receivers can dedupe
+//   X-LDAS-Webhook-Timestamp  Unix seconds when the attempt was sent
+//   X-LDAS-Webhook-Signature  'sha256=' + hex HMAC-SHA256 of `${timestamp}.${rawBody}` keyed with the subscription secret
+//
+// Failed attempts are retried by the queue worker with its backoff (see jobQueue.js).
+//
+// Endpoints must be https and must not resolve to loopback, private or link-local addresses,
+// so a subscription can't be pointed at the server itself or at cloud metadata (169.254.169.254).
+// That is checked when a subscription is saved, before every attempt, and again on connect
+// so a DNS answer that changes in between doesn't get through.
+
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+const MIN_SECRET_LENGTH = 16;
+
+const WEBHOOK_EVENTS = {
+  'registration.created': 'A warranty is registered (including replacement units)',
+  'claim.submitted': 'A customer submits a claim',
+  'claim.status_changed': 'A claim moves to another status',
+  'integration.failed': 'A Shopify or email job runs out of retries'
+};
+
+// Sent by the "Send test" button only, never subscribed to
+const TEST_EVENT = 'webhook.test';
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // e.g. 'Helpdesk'
+  url: { type: String, required: true },
+  events: {
+    type: [{ type: String, enum: Object.keys(WEBHOOK_EVENTS) }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  secret: { type: String, required: true },
+  isActive: { type: Boolean, default: true }, // Inactive subscriptions get no new deliveries
+  lastDeliveryAt: { type: Date },
+  lastDeliveryStatus: { type: String, enum: ['delivered', 'failed'] },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+WebhookSubscriptionSchema.index({ events: 1, isActive: 1 });
+
+WebhookSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+// One row per event per subscription, updated on every attempt
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  responseStatus: { type: Number }, // HTTP status of the last attempt
+  responseBody: { type: String }, // Start of the last response body
+  error: { type: String },
+  attemptLog: [{
+    attempt: Number,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number,
+    at: { type: Date, default: Date.now }
+  }],
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, expires: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Addresses a webhook may never be delivered to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, including cloud metadata
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128],
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10],
+  ['ff00::', 8] // Multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 rules by BlockList
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Error message for a subscription URL, or null when it's usable. Resolves the host,
+// so a name pointing at an internal address is refused too.
+async function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (error) {
+    return 'URL is not valid';
+  }
+  if (parsed.protocol !== 'https:') {
+    return 'URL must start with https://';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      return `URL host ${host} could not be resolved`;
+    }
+  }
+  if (addresses.some(isBlockedAddress)) {
+    return 'URL must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup that refuses blocked addresses, used for the actual connection
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = entries.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a blocked address (${blocked.address})`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgent = new https.Agent({ lookup: guardedLookup });
+
+// Error message for an admin-supplied secret, or null when it's usable
+function validateSecret(secret) {
+  if (typeof secret !== 'string' || secret.trim().length < MIN_SECRET_LENGTH) {
+    return `Secret must be at least ${MIN_SECRET_LENGTH} characters`;
+  }
+  return null;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Subscription without its secret - only a hint of the end is shown after creation
+function formatSubscription(subscription) {
+  const { secret, ...summary } = subscription.toObject();
+  return { ...summary, secretHint: `…${secret.slice(-4)}` };
+}
+
+async function createDelivery(subscription, event, data) {
+  const delivery = new WebhookDelivery({ subscriptionId: subscription._id, event });
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    createdAt: delivery.createdAt.toISOString(),
+    data
+  };
+  await delivery.save();
+  return delivery;
+}
+
+// A delivery for every active subscription to the event
+async function createDeliveries(event, data) {
+  const subscriptions = await WebhookSubscription.find({ events: event, isActive: true });
+  const deliveries = [];
+  for (const subscription of subscriptions) {
+    deliveries.push(await createDelivery(subscription, event, data));
+  }
+  return deliveries;
+}
+
+function describeError(error) {
+  if (error.code === 'ECONNABORTED') return `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s`;
+  return error.code && !error.message.includes(error.code) ? `${error.code}: ${error.message}` : error.message;
+}
+
+// POST the delivery once and record the outcome on it.
+// Resolves with { success, responseStatus, error, permanent } and doesn't throw for HTTP errors.
+async function attemptDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    return { success: false, permanent: true, error: `Delivery ${deliveryId} no longer exists` };
+  }
+  if (delivery.status === 'delivered') {
+    return { success: true, responseStatus: delivery.responseStatus, alreadyDelivered: true };
+  }
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+  if (!subscription) {
+    return { success: false, permanent: true, error: 'Subscription was deleted' };
+  }
+  if (!subscription.isActive && delivery.event !== TEST_EVENT) {
+    return { success: false, permanent: true, error: 'Subscription is inactive' };
+  }
+
+  // Checked again here: the subscription may predate the rules, or its host may now resolve elsewhere
+  const urlError = await validateUrl(subscription.url);
+  if (urlError) {
+    return { success: false, permanent: true, error: urlError };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let responseStatus;
+  let responseBody;
+  let error = null;
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LDAS-Warranty-Webhooks/1.0',
+        'X-LDAS-Webhook-Event': delivery.event,
+        'X-LDAS-Webhook-Id': delivery._id.toString(),
+        'X-LDAS-Webhook-Timestamp': String(timestamp),
+        'X-LDAS-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      httpsAgent: deliveryAgent,
+      maxRedirects: 0,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+    responseStatus = response.status;
+    responseBody = String(response.data || '').slice(0, 500);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = describeError(requestError);
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const success = !error;
+  delivery.attempts += 1;
+  delivery.responseStatus = responseStatus;
+  delivery.responseBody = responseBody;
+  delivery.error = error;
+  delivery.status = success ? 'delivered' : 'retrying';
+  if (success) delivery.deliveredAt = new Date();
+  delivery.attemptLog.push({ attempt: delivery.attempts, responseStatus, error, durationMs });
+  await delivery.save();
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    { lastDeliveryAt: new Date(), lastDeliveryStatus: success ? 'delivered' : 'failed' }
+  );
+
+  return { success, responseStatus, durationMs, error };
+}
+
+// Out of retries (or no longer deliverable)
+async function markDeliveryFailed(deliveryId, error) {
+  await WebhookDelivery.updateOne({ _id: deliveryId }, { status: 'failed', error });
+}
+
+// Delete deliveries whose payload is about these records or this email address (customer redaction).
+// Resolves with the deleted delivery IDs so their queue jobs can go too.
+async function deleteDeliveriesFor({ ids = [], emailPattern }) {
+  const values = ids.map(String);
+  const conditions = [
+    { 'payload.data.id': { $in: values } },
+    { 'payload.data.registration.id': { $in: values } },
+    { 'payload.data.entityId': { $in: values } }
+  ];
+  if (emailPattern) {
+    conditions.push({ 'payload.data.email': emailPattern }, { 'payload.data.customerEmail': emailPattern });
+  }
+
+  const deliveries = await WebhookDelivery.find({ $or: conditions }).select('_id');
+  const deliveryIds = deliveries.map(delivery => delivery._id.toString());
+  if (deliveryIds.length > 0) {
+    await WebhookDelivery.deleteMany({ _id: { $in: deliveryIds } });
+  }
+  return deliveryIds;
+}
+
+module.exports = {
+  WebhookSubscription,
+  WebhookDelivery,
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_DELIVERY_ATTEMPTS,
+  generateSecret,
+  isBlockedAddress,
+  validateUrl,
+  validateSecret,
+  signPayload,
+  formatSubscription,
+  createDelivery,
+  createDeliveries,
+  attemptDelivery,
+  markDeliveryFailed,
+  deleteDeliveriesFor
+};